@@ -1,537 +1,21 @@
 /**
- * AI Inference and Routing Functions
- * Handles intelligent routing, tool execution, and AI-powered inference
+ * AI Inference Functions
+ * Handles tool execution and AI-powered inference (tool selection lives in groq-router.js)
  */
 
 import { 
-  groqClient,
-  SALESFORCE_MCP_URL,
-  MODEL_ROUTER,
   MODEL_INFERENCE,
   MODEL_DIRECT_ANSWER,
-  MODEL_SYNTHESIS,
-  ROUTER_RETRY_DELAY_MS
+  MODEL_SYNTHESIS
 } from "./config.js";
-import { getAvailableTools } from "./tool-registry-unified.js";
-import { getSalesforceSessionId } from "./auth-utils.js";
-import { processToolAuth } from "./auth-utils.js";
+import { createChatCompletion, streamChatCompletion } from "./llm-client.js";
+import { getAvailableTools, resolveServerUrl } from "./tool-registry-unified.js";
+import { intelligentRouter } from "./groq-router.js";
+import { processToolAuth, refreshSalesforceCredentials, isUnauthorizedError } from "./auth-utils.js";
 import { getSalesforceFocus, getFocusGoalPrompt } from "./salesforce-focus.js";
-
-// Enhanced AI-powered router that decides which tools and specific MCP functions to use
-export async function intelligentRouter(question, userName, context = {}, chatHistory = []) {
-  try {
-    // Get routing information from unified registry
-    const availableTools = getAvailableTools();
-
-    console.log(`ROUTING: Analyzing question: "${question}" from user: ${userName}`);
-
-    // Prepare chat history context (last 30 messages for context)
-    // Note: chatHistory comes from frontend with newest first, so take first 30 and reverse
-    const recentHistory = chatHistory
-      .slice(0, 30)
-      .reverse() // Reverse to get chronological order (oldest to newest)
-      .map(msg => ({
-        role: msg.user_id === 'groq-ai' || msg.user_id === 'discovery-ai' ? 'assistant' : 'user',
-        content: msg.data,
-        timestamp: msg.timestamp,
-        tools: msg.tools || []
-      }));
-    
-    // Detect if recent conversation has Salesforce context
-    const hasSalesforceContext = recentHistory.some(msg => 
-      msg.tools && msg.tools.some(tool => 
-        tool.category === 'mcp' && tool.server === 'Salesforce'
-      )
-    );
-    
-    console.log(`🔍 ROUTING: Salesforce context in recent history: ${hasSalesforceContext ? 'YES' : 'NO'}`);
-
-    // Build detailed tool information including MCP functions
-    const toolsDescription = Object.values(availableTools).map(tool => {
-      let toolInfo = `## ${tool.displayName} (${tool.id})
-Type: ${tool.type}
-Description: ${tool.description}
-Trigger: ${tool.trigger_prompt || 'N/A'}
-Examples: ${tool.examples.join('; ')}`;
-
-      // Add MCP function details if available
-      if (tool.mcp_functions && tool.mcp_functions.length > 0) {
-        toolInfo += `\nAvailable Functions:`;
-        tool.mcp_functions.forEach(func => {
-          toolInfo += `\n  - ${func.name}: ${func.description}`;
-          if (func.params && func.params.length > 0) {
-            toolInfo += `\n    Parameters: ${func.params.join(', ')}`;
-          }
-        });
-      }
-
-      return toolInfo;
-    }).join('\n\n');
-
-    // Get today's date for context
-    const today = new Date().toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
-
-    // Build context string from chat history
-    const contextHint = hasSalesforceContext 
-      ? '\n\n⚠️ **CONTEXT ALERT**: Recent conversation includes Salesforce operations (leads/contacts/accounts). If the current question refers to "update", "change", "fix", or mentions a person\'s name without explicit context, it is LIKELY a Salesforce update request. Strongly consider using the \'salesforce\' tool.'
-      : '';
-    
-    // Dynamically generate system prompt from registry with detailed MCP function info
-    const systemPrompt = `You are an intelligent routing system for Groq AI. Your task is to analyze user questions and select the most appropriate tools and specific functions to use.
-
-TODAY'S DATE: ${today}
-
-CRITICAL INSTRUCTIONS:
-1. You MUST respond with VALID JSON only
-2. Do NOT include any explanatory text before or after the JSON
-3. The JSON must start with { and end with }
-4. For MCP tools, specify which specific functions should be called
-5. Extract parameters from the user's question when possible
-6. **IMPORTANT**: You are ONLY routing the CURRENT question below - do NOT route or take action on any messages from chat history
-7. **CONTEXT AWARENESS**: Use chat history to understand implicit references (e.g., "update it" likely refers to the last mentioned Salesforce record)${contextHint}
-
-CURRENT QUESTION TO ANALYZE: "${question}"
-USER: ${userName}
-
-RECENT CONVERSATION CONTEXT (for understanding references only):
-${recentHistory.slice(-5).map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content?.substring(0, 150)}...`).join('\n')}
-
-AVAILABLE TOOLS AND FUNCTIONS:
-${toolsDescription}
-
-ROUTING RULES:
-1. **MULTIPLE REQUESTS HANDLING**: Users may include multiple commands in a single message (e.g., "search for leads in Acme AND get the weather in SF"). You MUST identify ALL separate requests and return multiple tool entries in the tools array. Each distinct request should have its own tool entry.
-
-2. **Salesforce Priority (COMPREHENSIVE)**: If user mentions ANYTHING related to sales, CRM, or business operations → ALWAYS use 'salesforce' tool
-   - Sales terms: leads, contacts, accounts, opportunities, deals, prospects, customers, pipeline
-   - Actions: create, search, find, get, show, **UPDATE**, **CHANGE**, **MODIFY**, **EDIT**, **FIX**, **CORRECT**, **RENAME**, convert, add note, create task
-   - ⚠️ **UPDATE OPERATIONS**: If user says "change", "update", "modify", "edit", "set", "fix", "correct", "rename", "spelled wrong" on ANY field (name, company, email, phone, etc.) on a lead/contact/account → ALWAYS use 'salesforce' tool
-   - ⚠️ **NAME UPDATES**: If user says "update the name", "change the name", "spelled it wrong", "fix the name", "correct the spelling" → ALWAYS use 'salesforce' tool to update the record
-   - SOQL: any query with SELECT, FROM, WHERE, LIMIT keywords
-   - The Salesforce MCP has 30+ functions and handles ALL CRM operations automatically
-   
-3. **Weather Priority**: If user asks about weather, temperature, forecast → use 'weather' tool
-
-4. **Groq Compound Priority**: If user needs web search, current information, calculations, or code execution → use 'groq_compound' tool (FAST and lightweight)
-
-5. **HuggingFace Priority**: If user asks about AI models, datasets, machine learning models → use 'huggingface' tool
-
-6. **Parallel Search (Slow)**: Only use 'parallel_search' if groq_compound is insufficient or user specifically needs deep/multi-source search
-
-7. **Direct Answer Fallback**: For general knowledge questions without need for external data → use 'direct_answer'
-
-8. **Function Selection**: When selecting MCP tools, specify which functions to call based on the user's intent. For Salesforce, the MCP server has intelligent function routing so you can suggest common functions like sf_search_leads, sf_run_soql_query, etc.
-
-9. **Parameter Extraction**: Extract relevant parameters from the user's question (e.g., company names, search terms, SOQL queries, record IDs)
-
-**CRITICAL FOR SALESFORCE**: 
-- The Salesforce MCP server handles ALL sales/CRM operations (30+ functions available)
-- For SOQL queries: use 'sf_run_soql_query' with the full query as parameter
-- For lead searches: use 'sf_search_leads' with company/name/status filters
-- For creating records: use 'sf_create_lead', 'sf_create_account', etc.
-- **For UPDATING records**: Use 'sf_update_lead', 'sf_update_contact', 'sf_update_account' with record ID and fields to update
-- **UPDATE WORKFLOW**: When user says "change/update/fix/correct [person's] [field] to [value]":
-  1. First: Search for the record by name (e.g., 'sf_search_leads' with name filter)
-  2. Then: Update the found record using 'sf_update_lead' with the record ID and new field values
-- **NAME UPDATE WORKFLOW**: When user says "I spelled it wrong", "update the name", "fix the name", "change name to [new name]":
-  1. First: Search for the most recent lead/contact using context from chat history
-  2. Then: Update the name fields (first_name, last_name) using 'sf_update_lead' or 'sf_update_contact'
-- **For adding notes**: Use 'sf_create_note' with parent_id (the record ID to attach the note to), title, and body
-- **IMPORTANT NOTE WORKFLOW**: When user says "add a note to [person]" you should suggest BOTH functions in sequence:
-  1. First: 'sf_search_contacts' to find the contact by name
-  2. Then the MCP server will automatically use the found contact ID to call 'sf_create_note'
-- When in doubt about sales/CRM requests: ALWAYS choose 'salesforce' tool
-
-REQUIRED JSON RESPONSE FORMAT:
-{
-  "tools": [
-    {
-      "tool_id": "tool_name",
-      "functions": ["function_name"],
-      "params": {
-        "param_name": "extracted_value"
-      }
-    }
-  ],
-  "reasoning": "brief explanation of why these tools were selected",
-  "primary_intent": "main user intent category",
-  "confidence": 0.0
-}
-
-RESPONSE EXAMPLES:
-
-Question: "search for leads in Acme Corp"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_leads"],
-      "params": {
-        "company": "Acme Corp"
-      }
-    }
-  ],
-  "reasoning": "User wants to search Salesforce leads for a specific company",
-  "primary_intent": "crm_search",
-  "confidence": 0.95
-}
-
-Question: "find a good image classification model on hugging face"
-Response: {
-  "tools": [
-    {
-      "tool_id": "huggingface",
-      "functions": ["search_models"],
-      "params": {
-        "query": "image classification",
-        "task": "image-classification"
-      }
-    }
-  ],
-  "reasoning": "User wants to find ML models for image classification",
-  "primary_intent": "ai_ml",
-  "confidence": 0.9
-}
-
-Question: "what's the weather in San Francisco"
-Response: {
-  "tools": [
-    {
-      "tool_id": "weather",
-      "functions": [],
-      "params": {
-        "location": "San Francisco"
-      }
-    }
-  ],
-  "reasoning": "User wants weather information for a specific location",
-  "primary_intent": "weather",
-  "confidence": 0.95
-}
-
-Question: "create a new lead for John Doe at TechCorp"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_create_lead"],
-      "params": {
-        "first_name": "John",
-        "last_name": "Doe",
-        "company": "TechCorp"
-      }
-    }
-  ],
-  "reasoning": "User wants to create a new lead in Salesforce",
-  "primary_intent": "crm_create",
-  "confidence": 0.92
-}
-
-Question: "what's the weather in NYC and also search for leads in Acme Corp"
-Response: {
-  "tools": [
-    {
-      "tool_id": "weather",
-      "functions": [],
-      "params": {
-        "location": "NYC"
-      }
-    },
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_leads"],
-      "params": {
-        "company": "Acme Corp"
-      }
-    }
-  ],
-  "reasoning": "User has TWO separate requests: weather check AND Salesforce lead search. Both tools needed.",
-  "primary_intent": "multiple_requests",
-  "confidence": 0.95
-}
-
-Question: "run SOQL query SELECT Id, Name FROM Lead LIMIT 10"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_run_soql_query"],
-      "params": {
-        "query": "SELECT Id, Name FROM Lead LIMIT 10"
-      }
-    }
-  ],
-  "reasoning": "User wants to execute a SOQL query in Salesforce",
-  "primary_intent": "crm_query",
-  "confidence": 0.98
-}
-
-Question: "get the latest leads"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_leads"],
-      "params": {
-        "limit": "10"
-      }
-    }
-  ],
-  "reasoning": "User wants to retrieve recent leads from Salesforce",
-  "primary_intent": "crm_search",
-  "confidence": 0.90
-}
-
-Question: "add a note to Bob Jones reminding me to email him the examples"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_contacts", "sf_create_note"],
-      "params": {
-        "last_name": "Jones",
-        "first_name": "Bob",
-        "title": "Email Reminder",
-        "body": "Need to email Bob the examples."
-      }
-    }
-  ],
-  "reasoning": "User wants to add a note to a contact in Salesforce. First search for Bob Jones, then add the note to his record.",
-  "primary_intent": "crm_note",
-  "confidence": 0.93
-}
-
-Question: "change Elizabeth Holmes company to Theranos"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_leads", "sf_update_lead"],
-      "params": {
-        "first_name": "Elizabeth",
-        "last_name": "Holmes",
-        "company": "Theranos"
-      }
-    }
-  ],
-  "reasoning": "User wants to update a lead's company field in Salesforce. First search for Elizabeth Holmes, then update the company field to Theranos.",
-  "primary_intent": "crm_update",
-  "confidence": 0.95
-}
-
-Question: "I spelled it wrong. Can you update the name to Satya Nadella?"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_leads", "sf_update_lead"],
-      "params": {
-        "first_name": "Satya",
-        "last_name": "Nadella",
-        "update_name": true
-      }
-    }
-  ],
-  "reasoning": "User wants to correct/update a lead's name in Salesforce. This is a field update operation that requires the Salesforce tool to search for the lead and update the name fields.",
-  "primary_intent": "crm_update",
-  "confidence": 0.95
-}
-
-Example with CONTEXT:
-Recent Context: "Assistant: I've added Sacha Nadella as a lead..."
-Question: "Um, can you update the Sacha Nadella?"
-Response: {
-  "tools": [
-    {
-      "tool_id": "salesforce",
-      "functions": ["sf_search_leads", "sf_update_lead"],
-      "params": {
-        "last_name": "Nadella",
-        "first_name": "Sacha"
-      }
-    }
-  ],
-  "reasoning": "Context shows recent Salesforce lead creation. Vague 'update' reference with person's name indicates Salesforce update operation.",
-  "primary_intent": "crm_update",
-  "confidence": 0.90
-}
-
-Now analyze the user's question and return ONLY valid JSON:`;
-
-    // Race-based retry system: Fire initial request, then fire a retry after configured delay
-    // Whichever completes first wins
-    const RETRY_DELAY_MS = ROUTER_RETRY_DELAY_MS;
-    
-    console.log(`🏁 ROUTING: Starting race-based router request (retry after ${RETRY_DELAY_MS}ms)...`);
-    
-    const createRouterRequest = () => {
-      return groqClient.chat.completions.create({
-        model: MODEL_ROUTER,
-        messages: [
-          {
-            role: "system",
-            content: systemPrompt
-          },
-          {
-            role: "user",
-            content: question
-          }
-        ],
-        temperature: 0.1, // Low temperature for consistent JSON output
-        max_tokens: 1000, // More tokens for detailed function/param extraction
-        response_format: { type: "json_object" } // Force JSON response
-      });
-    };
-    
-    // Fire the first request immediately
-    const firstRequest = createRouterRequest();
-    let firstRequestFinished = false;
-    
-    // Set up the retry request to fire after delay
-    const retryPromise = new Promise((resolve, reject) => {
-      const retryTimer = setTimeout(async () => {
-        if (!firstRequestFinished) {
-          console.log(`🔄 ROUTING: First request taking too long, firing retry request...`);
-          try {
-            const retryResponse = await createRouterRequest();
-            console.log(`✅ ROUTING: Retry request completed first!`);
-            resolve(retryResponse);
-          } catch (error) {
-            console.error(`❌ ROUTING: Retry request failed:`, error);
-            reject(error);
-          }
-        } else {
-          // First request already finished, no need for retry
-          resolve(null);
-        }
-      }, RETRY_DELAY_MS);
-    });
-    
-    // Race between the first request and the retry
-    let response;
-    try {
-      response = await Promise.race([
-        firstRequest.then(r => {
-          firstRequestFinished = true;
-          console.log(`✅ ROUTING: First request completed!`);
-          return r;
-        }),
-        retryPromise
-      ]);
-      
-      // If retry returned null (first finished), wait for first
-      if (!response) {
-        response = await firstRequest;
-      }
-    } catch (error) {
-      // If race fails, try to wait for the first request as fallback
-      console.error(`⚠️ ROUTING: Race failed, falling back to first request:`, error);
-      try {
-        response = await firstRequest;
-        console.log(`✅ ROUTING: Fallback to first request succeeded`);
-      } catch (fallbackError) {
-        console.error(`❌ ROUTING: Both requests failed:`, fallbackError);
-        throw fallbackError;
-      }
-    }
-
-    const resultText = response.choices[0]?.message?.content || '';
-    console.log(`🔍 ROUTING: AI raw response: "${resultText}"`);
-
-    // Try to parse the JSON response - handle various formats
-    try {
-      // First try direct JSON parsing
-      let routingDecision = JSON.parse(resultText);
-      console.log(`✅ ROUTING: Successfully parsed JSON - tools: ${JSON.stringify(routingDecision.tools)}, reasoning: "${routingDecision.reasoning}", confidence: ${routingDecision.confidence}`);
-
-      // Normalize tools array to support both old and new format
-      const normalizedTools = routingDecision.tools.map(tool => {
-        if (typeof tool === 'string') {
-          // Old format: just tool IDs
-          return { tool_id: tool, functions: [], params: {} };
-        }
-        // New format: tool objects with functions and params
-        return tool;
-      });
-
-      return {
-        tools: normalizedTools.map(t => t.tool_id), // Keep backward compatibility
-        toolDetails: normalizedTools, // New detailed format
-        reasoning: routingDecision.reasoning || 'AI-powered routing decision',
-        primaryIntent: routingDecision.primary_intent || 'general',
-        confidence: routingDecision.confidence || 0.8
-      };
-    } catch (parseError) {
-      console.error('❌ ROUTING: Failed to parse routing decision as JSON:', parseError);
-
-      // Try multiple methods to extract JSON from the response
-      try {
-        // Method 1: Look for JSON-like content with curly braces
-        const jsonMatch = resultText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          const extractedJson = JSON.parse(jsonMatch[0]);
-          console.log(`🔄 ROUTING: Extracted JSON from braces`);
-          const normalizedTools = (extractedJson.tools || []).map(tool => 
-            typeof tool === 'string' ? { tool_id: tool, functions: [], params: {} } : tool
-          );
-          return {
-            tools: normalizedTools.map(t => t.tool_id),
-            toolDetails: normalizedTools,
-            reasoning: extractedJson.reasoning || 'Extracted from AI response',
-            primaryIntent: extractedJson.primary_intent || 'general',
-            confidence: extractedJson.confidence || 0.6
-          };
-        }
-
-        // Method 2: Try to find JSON between code blocks
-        const codeBlockMatch = resultText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-        if (codeBlockMatch) {
-          const extractedJson = JSON.parse(codeBlockMatch[1]);
-          console.log(`🔄 ROUTING: Extracted JSON from code block`);
-          const normalizedTools = (extractedJson.tools || []).map(tool => 
-            typeof tool === 'string' ? { tool_id: tool, functions: [], params: {} } : tool
-          );
-          return {
-            tools: normalizedTools.map(t => t.tool_id),
-            toolDetails: normalizedTools,
-            reasoning: extractedJson.reasoning || 'Extracted from code block',
-            primaryIntent: extractedJson.primary_intent || 'general',
-            confidence: extractedJson.confidence || 0.6
-          };
-        }
-
-      } catch (extractError) {
-        console.error('❌ ROUTING: Failed to extract JSON from response:', extractError);
-      }
-
-      // If all parsing fails, return default
-      console.log(`⚠️ ROUTING: All parsing failed, using default - tools: [direct_answer]`);
-      return {
-        tools: ['direct_answer'],
-        toolDetails: [{ tool_id: 'direct_answer', functions: [], params: {} }],
-        reasoning: 'Default routing due to parsing failure',
-        primaryIntent: 'general',
-        confidence: 0.5
-      };
-    }
-
-  } catch (error) {
-    console.error('❌ ROUTING: Intelligent routing error:', error);
-    console.log(`⚠️ ROUTING: Error fallback - tools: [direct_answer]`);
-    return {
-      tools: ['direct_answer'],
-      toolDetails: [{ tool_id: 'direct_answer', functions: [], params: {} }],
-      reasoning: 'Error in intelligent routing, using direct answer',
-      primaryIntent: 'general',
-      confidence: 0.3
-    };
-  }
-}
+import { getToolFunctions } from "./mcp-discovery.js";
+import { buildApprovalTools, resolveApprovalCall, createPendingAction } from "./approvals.js";
+import { redactText, redactValue, createStreamRedactor } from "./redaction.js";
 
 // Correct common misspellings of "Zoom" to ensure system works
 export function correctZoomSpelling(text) {
@@ -625,7 +109,7 @@ export async function getWeather(location) {
       day: 'numeric' 
     });
 
-    const response = await groqClient.chat.completions.create({
+    const response = await createChatCompletion({
       model: "groq/compound-mini",
       messages: [
         {
@@ -663,7 +147,7 @@ export async function performWebSearch(query) {
       day: 'numeric' 
     });
 
-    const response = await groqClient.chat.completions.create({
+    const response = await createChatCompletion({
       model: "groq/compound-mini",
       messages: [
         {
@@ -691,7 +175,13 @@ export async function performWebSearch(query) {
   }
 }
 
+// Helper function to stream a completion when there's somewhere to send the deltas
+function completeChat(request, onDelta) {
+  return onDelta ? streamChatCompletion(request, onDelta) : createChatCompletion(request);
+}
+
 // Answer question directly using OpenAI GPT model
+// context.onDelta(text), when set, receives the answer as it streams in
 export async function answerDirectly(question, context = {}) {
   try {
     const today = new Date().toLocaleDateString('en-US', { 
@@ -752,10 +242,10 @@ ${historyText}
       content: question
     });
 
-    const response = await groqClient.chat.completions.create({
+    const response = await completeChat({
       model: MODEL_DIRECT_ANSWER,
       messages: messages
-    });
+    }, context.onDelta);
 
     return {
       response: response.choices[0]?.message?.content || "I couldn't generate a response right now.",
@@ -771,8 +261,44 @@ ${historyText}
   }
 }
 
+// Helper function to decide whether an MCP header value must be masked in logs
+function isSensitiveHeader(key) {
+  return /token|secret|key|auth|cookie|session/i.test(key);
+}
+
+// Helper function to map an executed MCP tool ("<server_label>__<function>") back to its server label
+function getExecutedToolServer(toolName, mcpTools) {
+  const prefix = (toolName || '').split('__')[0].toLowerCase();
+  const match = mcpTools.find(t => t.server_label?.toLowerCase() === prefix)
+    || (mcpTools.length === 1 ? mcpTools[0] : null);
+  return match ? match.server_label : 'Salesforce';
+}
+
 // Generic inference function using intelligent routing with MCP support
-export async function performGroqInference(transcript, userName, context = 'general', chatHistory = [], skipTriggerDetection = false, progressCallback = null) {
+// options.extraTools: request-scoped tool configs (custom MCPs) - see validateCustomMcps
+// options.onDelta: receives { text } as the final answer streams in, and { reset: true } when streamed text
+// is being thrown away (a retry, or a fallback to another tool)
+// options.requestId / options.meetingUuid: attached to any approval requests this call creates
+// options.userId: whose credentials, focus goal and approvals this request uses (identity.js)
+export async function performGroqInference(transcript, userName, context = 'general', chatHistory = [], skipTriggerDetection = false, progressCallback = null, options = {}) {
+  const extraTools = options.extraTools || {};
+  const userId = options.userId || 'default';
+
+  // Only answers that become the final response are streamed; resets are only sent after something was
+  let streamedText = false;
+  const streamRedactor = options.onDelta ? createStreamRedactor((text) => options.onDelta({ text })) : null;
+  const streamDelta = streamRedactor ? (text) => {
+    streamedText = true;
+    streamRedactor.push(text);
+  } : null;
+  const resetStream = () => {
+    if (streamedText) {
+      streamedText = false;
+      streamRedactor.reset();
+      options.onDelta({ reset: true });
+    }
+  };
+
   console.log(`\n🚀 performGroqInference CALLED`);
   console.log(`   Transcript: "${transcript}"`);
   console.log(`   User: ${userName}`);
@@ -780,6 +306,7 @@ export async function performGroqInference(transcript, userName, context = 'gene
   console.log(`   Chat History Length: ${chatHistory.length}`);
   console.log(`   Skip Trigger Detection: ${skipTriggerDetection}`);
   console.log(`   Progress Callback: ${progressCallback ? 'YES' : 'NO'}`);
+  console.log(`   Custom Tools: ${Object.keys(extraTools).length > 0 ? Object.keys(extraTools).join(', ') : 'none'}`);
   
   try {
     // First, detect if this is actually a Zoom trigger (unless skipped)
@@ -812,7 +339,7 @@ export async function performGroqInference(transcript, userName, context = 'gene
     console.log(`⏳ Calling intelligentRouter...`);
     let routingDecision;
     try {
-      routingDecision = await intelligentRouter(transcript, userName, context, chatHistory);
+      routingDecision = await intelligentRouter(transcript, userName, context, chatHistory, { extraTools });
       console.log(`✅ intelligentRouter returned successfully`);
     } catch (routerError) {
       console.error(`❌ intelligentRouter FAILED:`, routerError);
@@ -828,9 +355,14 @@ export async function performGroqInference(transcript, userName, context = 'gene
     console.log(`   Reasoning: "${routingDecision.reasoning}"`);
     console.log(`   Primary Intent: ${routingDecision.primaryIntent}`);
     console.log(`   Confidence: ${routingDecision.confidence}`);
+    if (routingDecision.routingError) {
+      console.warn(`   ⚠️ Routing failed: ${routingDecision.routingError}`);
+    }
     
     // Broadcast routing decision to frontend
-    if (progressCallback) {
+    if (progressCallback && routingDecision.routingError) {
+      progressCallback(`⚠️ Couldn't pick a tool (routing failed) - answering directly`);
+    } else if (progressCallback) {
       const toolsList = routingDecision.tools.map(t => t.replace('_', ' ')).join(', ');
       progressCallback(`Analyzing... Will use: ${toolsList}`);
     }
@@ -850,11 +382,16 @@ export async function performGroqInference(transcript, userName, context = 'gene
     }
     console.log(`${'='.repeat(80)}\n`);
 
-    const availableTools = getAvailableTools();
+    const availableTools = { ...getAvailableTools(), ...extraTools };
     const toolResults = [];
     let finalResponse = '';
     const toolsUsed = [];
     const mcpTools = [];
+    const approvalTools = []; // Gated MCP functions, offered as plain function tools (see approvals.js)
+    const pendingActions = [];
+    const customToolsUsed = [];
+    const authErrors = {}; // toolName -> why its credentials couldn't be attached
+    const salesforceMcpTools = []; // { toolName, toolConfig, mcpToolConfig } - headers are rebuilt after a token refresh
 
     // Prepare MCP tools for the Responses API: include ONLY MCP tools selected by the router
     console.log(`\n${'='.repeat(80)}`);
@@ -876,11 +413,13 @@ export async function performGroqInference(transcript, userName, context = 'gene
       }
 
       // Dynamically set server URL for Salesforce
-      const serverUrl = toolConfig.id === 'salesforce' 
-        ? `${SALESFORCE_MCP_URL}/mcp`
-        : toolConfig.server_url;
+      const serverUrl = resolveServerUrl(toolConfig);
       
       console.log(`   🌐 Server URL: ${serverUrl || 'NOT SET'}`);
+      if (!serverUrl) {
+        console.warn(`   ❌ Skipping MCP tool ${toolName}: no server URL configured`);
+        continue;
+      }
 
       const mcpToolConfig = {
         type: 'mcp',
@@ -890,38 +429,65 @@ export async function performGroqInference(transcript, userName, context = 'gene
 
       // Use generalized auth processing
       console.log(`   🔐 Processing authentication for ${toolName}...`);
-      
-      // CRITICAL FIX: For Salesforce, do NOT include auth headers
-      // The AI will call sf_set_credentials first to establish the session
-      // Including headers causes duplicate executions (once with headers, once with sf_set_credentials)
-      if (toolName === 'salesforce') {
-        console.log(`   ⚠️ Salesforce: Skipping auth headers (will use sf_set_credentials instead)`);
-        mcpToolConfig.headers = {};
-      } else {
-        // For other MCP tools, use standard auth processing
-        const authResult = processToolAuth(toolConfig);
-        
-        if (!authResult.shouldInclude) {
-          console.warn(`   ❌ Skipping MCP tool ${toolName}: ${authResult.error}`);
-          continue;
+
+      // Credentials only ever travel as MCP headers - for Salesforce, the session handle and token headers the
+      // MCP wrapper resolves - so they never appear in the prompt and the model never calls sf_set_credentials
+      const authResult = await processToolAuth(toolConfig, userId);
+
+      if (!authResult.shouldInclude) {
+        console.warn(`   ❌ Skipping MCP tool ${toolName}: ${authResult.error}`);
+        authErrors[toolName] = authResult.error;
+        continue;
+      }
+
+      // Add static headers from the tool config (custom MCPs carry theirs) plus auth headers from processToolAuth
+      // These are required for MCP servers that need authentication (like Parallel API)
+      mcpToolConfig.headers = { ...(toolConfig.headers || {}), ...(authResult.headers || {}) };
+
+      console.log(`   🔑 Auth headers configured: ${Object.keys(mcpToolConfig.headers).length > 0 ? Object.keys(mcpToolConfig.headers).join(', ') : 'none'}`);
+
+      // Functions that need approval are kept out of the remote MCP call - the model can only ask for them;
+      // private functions (they take or return credentials) aren't offered to the model at all
+      const gatedTools = buildApprovalTools(toolConfig);
+      const privateFunctions = toolConfig.private_functions || [];
+      if (gatedTools.length > 0 || privateFunctions.length > 0) {
+        const gatedNames = new Set(gatedTools.map(t => t.function.name.slice(toolName.length + 2)));
+        const allowed = (toolConfig.allowed_tools?.length ? toolConfig.allowed_tools : getToolFunctions(toolConfig).map(f => f.name))
+          .filter(name => !gatedNames.has(name) && !privateFunctions.includes(name));
+        approvalTools.push(...gatedTools);
+        if (gatedNames.size > 0) {
+          console.log(`   🛡️ Needs approval: ${[...gatedNames].join(', ')}`);
         }
 
-        // Add authentication headers from processToolAuth
-        // These are required for MCP servers that need authentication (like Parallel API)
-        mcpToolConfig.headers = authResult.headers || {};
-        
-        console.log(`   🔑 Auth headers configured: ${Object.keys(mcpToolConfig.headers).length > 0 ? Object.keys(mcpToolConfig.headers).join(', ') : 'none'}`);
+        if (allowed.length === 0) {
+          console.log(`   ℹ️ Every ${toolName} function needs approval - not adding the MCP server itself`);
+          continue;
+        }
+        mcpToolConfig.allowed_tools = allowed;
       }
 
       console.log(`   ✅ Added MCP tool to request: ${toolName}`);
       mcpTools.push(mcpToolConfig);
+      if (toolConfig.auth?.type === 'salesforce_session') {
+        salesforceMcpTools.push({ toolName, toolConfig, mcpToolConfig });
+      }
+
+      if (toolConfig.custom) {
+        customToolsUsed.push({
+          id: toolConfig.id,
+          name: toolConfig.custom.name,
+          server_url: toolConfig.server_url,
+          success: true
+        });
+      }
     }
     
     console.log(`\n   Final MCP tools count: ${mcpTools.length}`);
+    console.log(`   Functions needing approval: ${approvalTools.length}`);
     console.log(`${'='.repeat(80)}\n`);
 
     // If we have MCP tools, use the chat completions API with MCP tools
-    if (mcpTools.length > 0) {
+    if (mcpTools.length > 0 || approvalTools.length > 0) {
       try {
         console.log(`\n${'='.repeat(80)}`);
         console.log(`🚀 GROQ API CALL WITH MCP TOOLS`);
@@ -935,11 +501,8 @@ export async function performGroqInference(transcript, userName, context = 'gene
           day: 'numeric' 
         });
 
-        // Get Salesforce credentials if needed - add to system prompt
-        const sfCreds = getSalesforceSessionId('default');
-        
         // Get Salesforce focus goal if set
-        const sfFocus = getSalesforceFocus('default');
+        const sfFocus = getSalesforceFocus(userId);
         const focusPrompt = sfFocus ? getFocusGoalPrompt(sfFocus) : '';
         
         const messages = [];
@@ -949,7 +512,9 @@ export async function performGroqInference(transcript, userName, context = 'gene
           role: "system",
           content: `You are Groq AI assistant. Today's date is ${today}. Provide accurate, helpful responses using available tools.
 
-For Salesforce: Credentials are in the user message. Call functions directly (sf_search_leads, sf_create_lead, sf_run_soql_query, etc.).${focusPrompt}`
+For Salesforce: The connection is already authenticated - never ask for or handle credentials. Call functions directly (sf_search_leads, sf_create_lead, sf_run_soql_query, etc.).${focusPrompt}${approvalTools.length > 0 ? `
+
+Functions that "run only after a person approves it" are queued for approval, not run: call them with complete arguments, then tell the user the action is waiting for their approval.` : ''}`
         });
         
         if (sfFocus) {
@@ -960,39 +525,8 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
           });
         }
         
-        // Build the user message based on router's extracted intent
-        // SIMPLIFIED APPROACH: Use router's extracted params to create a clean, directed request
-        let userMessageContent = '';
-        let directedRequest = transcript; // Default to original transcript
-        
-        // Add Salesforce credentials at the start if using Salesforce tools (per MCP protocol)
-        if (sfCreds && routingDecision.tools.includes('salesforce')) {
-          const credentialsObj = {
-            access_token: sfCreds.access_token,
-            instance_url: sfCreds.instance_url,
-            state: sfCreds.state || `mcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-          };
-          
-          userMessageContent = `${JSON.stringify(credentialsObj, null, 2)}\n\n`;
-          console.log(`   🔐 Adding Salesforce credentials to user message`);
-          
-          // Extract the Salesforce tool details from routing decision
-          const sfToolDetail = routingDecision.toolDetails?.find(t => t.tool_id === 'salesforce');
-          
-          if (sfToolDetail && sfToolDetail.params && Object.keys(sfToolDetail.params).length > 0) {
-            // Router extracted specific params - create a directed request
-            console.log(`   🎯 Router extracted params:`, sfToolDetail.params);
-            
-            // Build a clean, directed request based on extracted params
-            if (sfToolDetail.functions && sfToolDetail.functions.length > 0) {
-              directedRequest = `${transcript}`;
-              console.log(`   ✅ Using directed request with router-extracted context`);
-            }
-          }
-        }
-        
-        // MINIMAL user message: credentials + simple request (matching successful curl pattern)
-        userMessageContent += directedRequest;
+        // MINIMAL user message: just the request - credentials travel as MCP headers, never in the prompt
+        const userMessageContent = transcript;
         
         // Push the complete user message
         messages.push({
@@ -1000,7 +534,6 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
           content: userMessageContent
         });
         
-        console.log(`   ✅ User message created (credentials: ${sfCreds && routingDecision.tools.includes('salesforce') ? 'YES' : 'NO'})`);
         console.log(`   📝 User message length: ${userMessageContent.length} chars`);
 
         console.log(`\n   📤 REQUEST DETAILS:`);
@@ -1015,10 +548,8 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
             console.log(`      ${idx + 1}. [ASSISTANT] Tool calls: ${msg.tool_calls.length} call(s)`);
           } else if (msg.role === 'tool') {
             console.log(`      ${idx + 1}. [TOOL] ${msg.name}: ${msg.content?.substring(0, 40) || 'empty'}...`);
-          } else if (msg.content && msg.content.includes('access_token')) {
-            console.log(`      ${idx + 1}. [USER] Credentials + "${directedRequest.substring(0, 50)}..."`);
           } else if (msg.content) {
-            console.log(`      ${idx + 1}. [${msg.role.toUpperCase()}] "${msg.content.substring(0, 60)}..."`);
+            console.log(`      ${idx + 1}. [${msg.role.toUpperCase()}] "${redactText(msg.content).substring(0, 60)}..."`);
           } else {
             console.log(`      ${idx + 1}. [${msg.role.toUpperCase()}] (no content)`);
           }
@@ -1032,8 +563,8 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
           if (tool.headers && Object.keys(tool.headers).length > 0) {
             Object.entries(tool.headers).forEach(([key, value]) => {
               // Sanitize sensitive headers
-              const displayValue = key.toLowerCase().includes('token') || key.toLowerCase().includes('secret')
-                ? value.substring(0, 20) + '...'
+              const displayValue = isSensitiveHeader(key)
+                ? '[REDACTED]'
                 : value;
               console.log(`            ${key}: ${displayValue}`);
             });
@@ -1048,12 +579,7 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
             
             // Handle different message types
             if (m.content) {
-              // Sanitize Salesforce credentials in user message
-              if (m.content.includes('access_token')) {
-                sanitized.content = '[SALESFORCE CREDENTIALS - REDACTED]';
-              } else {
-                sanitized.content = m.content;
-              }
+              sanitized.content = redactText(m.content);
             }
             if (m.tool_calls) {
               sanitized.tool_calls = '[TOOL CALLS - REDACTED]';
@@ -1073,7 +599,7 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
           tools: mcpTools.map(t => ({
             ...t,
             headers: Object.keys(t.headers || {}).reduce((acc, key) => {
-              acc[key] = key.toLowerCase().includes('token') ? '[REDACTED]' : t.headers[key];
+              acc[key] = isSensitiveHeader(key) ? '[REDACTED]' : t.headers[key];
               return acc;
             }, {})
           }))
@@ -1104,6 +630,7 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
         let retryCount = 0;
         let completion = null;
         let lastError = null;
+        let salesforceRefreshed = false;
         
         while (retryCount <= maxRetries) {
           try {
@@ -1113,25 +640,49 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
               if (progressCallback) {
                 progressCallback(`Retrying (${retryCount}/${maxRetries})...`);
               }
+              resetStream();
               await new Promise(resolve => setTimeout(resolve, delay));
             }
             
             // Use the OpenAI client (matching Playground's working parameters)
-            completion = await groqClient.chat.completions.create({
+            completion = await completeChat({
               model: MODEL_INFERENCE,
               messages: messages,
               temperature: 1, // Match Playground - temp 0 may cause issues with MCP
               max_completion_tokens: 8192,
               top_p: 1,
               "reasoning_effort": "medium",
-              tools: mcpTools
-            });
+              tools: [...mcpTools, ...approvalTools]
+            }, streamDelta);
             
             console.log(`   ✅ API call completed for request: ${requestId}`);
             break; // Success! Exit retry loop
             
           } catch (error) {
             lastError = error;
+
+            // The Salesforce MCP wrapper rejected the access token: refresh it once and retry with the new headers
+            // (a 401 from Groq itself is a bad GROQ_API_KEY, so only a 401 quoted from an MCP server counts)
+            const salesforceRejected = salesforceMcpTools.length > 0 && error.status !== 401 && isUnauthorizedError(error) &&
+              (mcpTools.length === 1 || salesforceMcpTools.some(({ mcpToolConfig }) => error.message?.includes(mcpToolConfig.server_label)));
+            if (salesforceRejected && !salesforceRefreshed) {
+              salesforceRefreshed = true;
+              console.warn(`   🔄 Salesforce rejected the access token - refreshing`);
+              if (await refreshSalesforceCredentials(userId)) {
+                for (const { toolConfig, mcpToolConfig } of salesforceMcpTools) {
+                  const authResult = await processToolAuth(toolConfig, userId);
+                  mcpToolConfig.headers = { ...(toolConfig.headers || {}), ...(authResult.headers || {}) };
+                }
+                if (progressCallback) {
+                  progressCallback('Salesforce session refreshed, retrying...');
+                }
+                resetStream();
+                continue;
+              }
+              salesforceMcpTools.forEach(({ toolName }) => {
+                authErrors[toolName] = 'Salesforce session expired. Please reconnect in the Salesforce MCP section.';
+              });
+            }
             
             // Only retry on 500 errors
             if (error.status === 500 && retryCount < maxRetries) {
@@ -1150,6 +701,9 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
           throw lastError;
         }
 
+        // Nothing below (logs, executed_tools output, the answer) should ever echo a credential back
+        completion = redactValue(completion);
+
         const duration = Date.now() - startTime;
         console.log(`\n${'='.repeat(80)}`);
         console.log(`✅ GROQ API RESPONSE RECEIVED (${duration}ms)`);
@@ -1214,18 +768,55 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
         console.log(`   Standard tool_calls: ${toolCalls.length}`);
         console.log(`   Groq executed_tools (MCP): ${executedTools.length}`);
         
-        // Process standard tool_calls format
+        // Process standard tool_calls format - calls to gated functions become approval requests
         toolCalls.forEach(call => {
+          const gated = resolveApprovalCall(call.function?.name, availableTools);
+          if (gated) {
+            let args;
+            try {
+              args = JSON.parse(call.function.arguments || '{}');
+            } catch {
+              console.warn(`⚠️ Ignoring ${call.function.name} call with unparseable arguments`);
+              return;
+            }
+            const action = createPendingAction(gated.tool, gated.functionName, args, {
+              question: transcript,
+              requestId: options.requestId,
+              meetingUuid: options.meetingUuid,
+              userId
+            });
+            pendingActions.push(action);
+            toolsUsed.push({
+              name: call.function.name,
+              success: true,
+              category: 'mcp',
+              server: gated.tool.server_label,
+              approval_id: action.id,
+              approval_status: 'pending'
+            });
+            return;
+          }
+
           console.log(`✅ MCP call (tool_calls): ${call.function?.name}`);
           toolsUsed.push({
             name: call.function?.name || 'unknown',
             success: true,
             category: 'mcp',
-            server: 'Salesforce',
+            server: getExecutedToolServer(call.function?.name, mcpTools),
             citations: citations.length > 0 ? citations : undefined
           });
         });
         
+        // Tell the user what's waiting for them instead of the "couldn't generate a response" fallback
+        if (pendingActions.length > 0) {
+          const content = completion.choices?.[0]?.message?.content;
+          const waiting = pendingActions.map(action => `**${action.function}** (${action.tool_name})`).join(', ');
+          finalResponse = `${content ? `${content}\n\n` : ''}⏸️ Waiting for approval before running ${waiting} - approve, edit or reject it in the Action Feed.`;
+          if (progressCallback) {
+            progressCallback(`⏸️ Waiting for approval: ${pendingActions.map(action => action.function).join(', ')}`);
+          }
+        }
+        
         // Process Groq's executed_tools format (for MCP tools)
         // Track tool calls to detect duplicates
         const toolCallTracker = new Map();
@@ -1272,7 +863,7 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
             name: tool.name || 'unknown',
             success: true,
             category: 'mcp',
-            server: 'Salesforce',
+            server: getExecutedToolServer(tool.name, mcpTools),
             citations: citations.length > 0 ? citations : undefined,
             executed_tool_index: tool.index
           });
@@ -1336,6 +927,9 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
           console.error('💡 This might be a model compatibility issue - MCP may not be supported by the current model');
         }
 
+        customToolsUsed.forEach(tool => { tool.success = false; });
+        resetStream();
+
         // Fall back to built-in tools or direct answer
       }
     }
@@ -1352,14 +946,16 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
 
           if (toolConfig.type === 'mcp') {
             // MCP tool failed, try to provide a fallback response
-            if (toolName === 'salesforce') {
+            if (authErrors[toolName]) {
+              finalResponse = `I couldn't use ${toolConfig.displayName || toolName}: ${authErrors[toolName]}`;
+            } else if (toolName === 'salesforce') {
               finalResponse = `I tried to access Salesforce but encountered a temporary issue the API (after multiple retries). Please try again in a moment. If the issue persists, the Groq API may be experiencing downtime.`;
             } else if (toolName === 'huggingface') {
               finalResponse = `I tried to search Hugging Face for trending models, but the tool is currently unavailable. You can visit https://huggingface.co/models?sort=trending to see the latest trending models directly.`;
             } else if (toolName === 'parallel_search') {
               finalResponse = `I tried to perform a web search, but the tool is currently unavailable. You can try searching directly on your preferred search engine.`;
             } else {
-              finalResponse = `I tried to use the ${toolName} tool, but it's currently unavailable (after multiple retries). This may be a temporary Groq API issue.`;
+              finalResponse = `I tried to use the ${toolConfig.custom ? toolConfig.custom.name : toolName} tool, but it's currently unavailable (after multiple retries). This may be a temporary Groq API issue.`;
             }
             toolsUsed.push({
               name: toolName,
@@ -1367,7 +963,7 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
               category: 'mcp',
               namespace: toolConfig.namespace,
               displayName: toolConfig.displayName,
-              error: 'MCP tool unavailable'
+              error: authErrors[toolName] || 'MCP tool unavailable'
             });
             continue;
           }
@@ -1386,7 +982,9 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
               result.location = location;
             } else {
               // Pass chatHistory to all builtin tools so they have conversation context
-              result = await toolConfig.handler(transcript, { userName, context, chatHistory });
+              // A lone tool's answer is the final response, so it can stream (answerDirectly does)
+              const onDelta = routingDecision.tools.length === 1 ? streamDelta : null;
+              result = await toolConfig.handler(transcript, { userName, context, chatHistory, onDelta });
             }
           } else {
             console.warn(`No handler found for built-in tool: ${toolName}`);
@@ -1424,7 +1022,8 @@ For Salesforce: Credentials are in the user message. Call functions directly (sf
       // If still no response, fall back to direct answer
       if (!finalResponse) {
         try {
-          const directResult = await answerDirectly(transcript, { userName, context, chatHistory });
+          resetStream();
+          const directResult = await answerDirectly(transcript, { userName, context, chatHistory, onDelta: streamDelta });
           finalResponse = directResult.response;
           toolsUsed.push({
             name: 'direct_answer',
@@ -1453,7 +1052,8 @@ ${toolResults.map((result, index) =>
 
 Please provide a comprehensive, well-formatted response that synthesizes all this information for the user.`;
 
-          const summaryResponse = await groqClient.chat.completions.create({
+          resetStream();
+          const summaryResponse = await completeChat({
             model: MODEL_SYNTHESIS,
             messages: [
               {
@@ -1465,7 +1065,7 @@ Please provide a comprehensive, well-formatted response that synthesizes all thi
                 content: "Please summarize and synthesize the tool results into a comprehensive response."
               }
             ]
-          });
+          }, streamDelta);
 
           finalResponse = summaryResponse.choices[0]?.message?.content || finalResponse;
           toolsUsed.push({
@@ -1493,7 +1093,10 @@ Please provide a comprehensive, well-formatted response that synthesizes all thi
       routing: routingDecision,
       context: context,
       chatHistoryLength: chatHistory.length,
-      citations: allCitations.length > 0 ? allCitations : undefined
+      citations: allCitations.length > 0 ? allCitations : undefined,
+      custom_tools_used: customToolsUsed,
+      routing_error: routingDecision.routingError || null,
+      pending_approvals: pendingActions.map(action => action.id)
     };
 
   } catch (error) {
@@ -1504,6 +1107,9 @@ Please provide a comprehensive, well-formatted response that synthesizes all thi
       error: error.message,
       tools: []
     };
+  } finally {
+    // Release the streamed answer's held-back tail
+    streamRedactor?.flush();
   }
 }
 
@@ -0,0 +1,323 @@
+/**
+ * Tool Approvals
+ * Human sign-off for MCP functions that change things. A tool needs approval for every function
+ * (require_approval: 'always') or for the functions matching its approval_functions globs (e.g. 'sf_update_*')
+ *
+ * Gated functions are never handed to the remote MCP call - the model sees them as plain function tools,
+ * and each call it makes becomes a pending action with its exact arguments. The UI can edit, approve or
+ * reject it; approved actions run through the MCP server directly (mcp-client.js), rejected and
+ * timed-out ones never run
+ *
+ * Action status: pending -> running -> done | failed, or pending -> rejected | expired
+ *
+ * Actions belong to the user whose request proposed them: only that user sees them and can decide them,
+ * and approved actions run with that user's credentials
+ */
+
+import { APPROVAL_TIMEOUT_MS, INSTANCE_ID, bc } from "./config.js";
+import { getAvailableTools, resolveServerUrl } from "./tool-registry-unified.js";
+import { getToolFunctions } from "./mcp-discovery.js";
+import { getSalesforceSessionId, processToolAuth, withSalesforceRefresh } from "./auth-utils.js";
+import { createMcpSession, callMcpTool, closeMcpSession } from "./mcp-client.js";
+import { broadcastUserEvent } from "./websocket-utils.js";
+import { redactText, redactValue } from "./redaction.js";
+
+// Settled actions are kept for the UI until this many have piled up
+const MAX_SETTLED_ACTIONS = 100;
+const MAX_ARGS_CHARS = 20000;
+
+// Function tool names are "<tool id>__<function>", like the names Groq reports for executed MCP calls
+const TOOL_NAME_SEPARATOR = '__';
+
+// actionId -> action
+const actions = new Map();
+
+// actionId -> expiry timer (only on the isolate that created the action)
+const expiryTimers = new Map();
+
+// Helper function to turn an approval_functions glob ('sf_create_*') into a regex
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Does calling this function of this tool need a person's OK?
+export function requiresApproval(tool, functionName) {
+  if (!tool || tool.type !== 'mcp') return false;
+  if (tool.require_approval === 'always') return true;
+  return (tool.approval_functions || []).some(glob => globToRegExp(glob).test(functionName));
+}
+
+// Functions of a tool that need approval (discovered functions when available, otherwise the registry's)
+// Private functions are left out - the model is never offered them, gated or not
+export function getGatedFunctions(tool) {
+  return getToolFunctions(tool)
+    .filter(func => requiresApproval(tool, func.name) && !(tool.private_functions || []).includes(func.name));
+}
+
+// Function tool definitions for a tool's gated functions - added to the inference request next to the MCP tools
+export function buildApprovalTools(tool) {
+  return getGatedFunctions(tool).map(func => ({
+    type: 'function',
+    function: {
+      name: `${tool.id}${TOOL_NAME_SEPARATOR}${func.name}`,
+      description: `${func.description || func.name} (${tool.displayName || tool.id} - runs only after a person approves it)`,
+      parameters: func.input_schema || {
+        type: 'object',
+        properties: Object.fromEntries((func.params || []).map(param => [param, {}]))
+      }
+    }
+  }));
+}
+
+// Map a function tool call name back to { tool, functionName } when it's a gated function (null otherwise)
+export function resolveApprovalCall(name, availableTools = getAvailableTools()) {
+  const separator = (name || '').indexOf(TOOL_NAME_SEPARATOR);
+  if (separator === -1) return null;
+
+  const tool = availableTools[name.slice(0, separator)];
+  const functionName = name.slice(separator + TOOL_NAME_SEPARATOR.length);
+  return tool && requiresApproval(tool, functionName) ? { tool, functionName } : null;
+}
+
+// Helper function to check edited arguments - an object of declared params, small enough to show in the UI
+function validateActionArgs(action, args) {
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    return 'args must be an object';
+  }
+  if (JSON.stringify(args).length > MAX_ARGS_CHARS) {
+    return `args must be at most ${MAX_ARGS_CHARS} characters of JSON`;
+  }
+
+  const tool = getAvailableTools()[action.tool_id];
+  const declared = tool ? getToolFunctions(tool).find(func => func.name === action.function)?.params : null;
+  const unknown = declared?.length ? Object.keys(args).filter(key => !declared.includes(key)) : [];
+  if (unknown.length > 0) {
+    return `${action.function} doesn't take ${unknown.map(key => `"${key}"`).join(', ')} (declared: ${declared.join(', ')})`;
+  }
+  return null;
+}
+
+// Helper function to publish action changes to the owner's SSE clients and other isolates
+function publishAction(action) {
+  broadcastUserEvent('approval', action, action.user_id);
+  if (bc) {
+    bc.postMessage({ type: 'approval', origin: INSTANCE_ID, payload: action });
+  }
+}
+
+// Helper function to drop the oldest settled actions once there are too many
+function pruneSettledActions() {
+  const settled = [...actions.values()].filter(action => !['pending', 'running'].includes(action.status));
+  settled
+    .sort((a, b) => a.created_at - b.created_at)
+    .slice(0, Math.max(0, settled.length - MAX_SETTLED_ACTIONS))
+    .forEach(action => actions.delete(action.id));
+}
+
+// Helper function to stop an action's expiry timer (if this isolate has one)
+function clearExpiryTimer(actionId) {
+  clearTimeout(expiryTimers.get(actionId));
+  expiryTimers.delete(actionId);
+}
+
+// Helper function to expire an action when its timer fires - re-read, since another isolate's update
+// may have replaced the object (rememberAction) or decided it in the meantime
+function expireAction(actionId) {
+  expiryTimers.delete(actionId);
+  const action = actions.get(actionId);
+  if (action?.status === 'pending') {
+    console.log(`⌛ APPROVALS: ${action.function} (${action.id.slice(0, 8)}...) expired`);
+    settleAction(action, 'expired', `No decision within ${Math.round(APPROVAL_TIMEOUT_MS / 1000)}s`);
+  }
+}
+
+// Helper function to settle an action without running it (rejected or expired)
+function settleAction(action, status, reason) {
+  clearExpiryTimer(action.id);
+
+  action.status = status;
+  action.reason = reason;
+  action.decided_at = Date.now();
+  publishAction(action);
+  pruneSettledActions();
+}
+
+// Hold a gated function call for approval
+// context: { question, requestId, meetingUuid, userId } from the inference request that proposed it
+export function createPendingAction(tool, functionName, args, context = {}) {
+  const now = Date.now();
+  const action = {
+    id: crypto.randomUUID(),
+    tool_id: tool.id,
+    tool_name: tool.displayName || tool.id,
+    function: functionName,
+    args,
+    proposed_args: structuredClone(args),
+    question: context.question || null,
+    request_id: context.requestId || null,
+    meeting_uuid: context.meetingUuid || null,
+    user_id: context.userId || 'default',
+    status: 'pending',
+    created_at: now,
+    expires_at: now + APPROVAL_TIMEOUT_MS,
+    decided_at: null,
+    reason: null,
+    result: null,
+    error: null
+  };
+
+  actions.set(action.id, action);
+  expiryTimers.set(action.id, setTimeout(() => expireAction(action.id), APPROVAL_TIMEOUT_MS));
+
+  publishAction(action);
+  console.log(`🛡️ APPROVALS: ${tool.id}.${functionName} is waiting for approval (${action.id.slice(0, 8)}...)`);
+  return action;
+}
+
+// List a user's actions, newest first (optionally only one status)
+export function listActions(userId, status = null) {
+  return [...actions.values()]
+    .filter(action => action.user_id === userId && (!status || action.status === status))
+    .sort((a, b) => b.created_at - a.created_at);
+}
+
+// Get one of a user's actions (null if unknown or someone else's)
+export function getAction(actionId, userId) {
+  const action = actions.get(actionId);
+  return action && action.user_id === userId ? action : null;
+}
+
+// Record an action relayed from another isolate so decisions work wherever the UI lands
+// Once it has left pending elsewhere, this isolate's expiry timer (if it created the action) is no longer needed
+export function rememberAction(action) {
+  if (action?.id) {
+    actions.set(action.id, action);
+    if (action.status !== 'pending') {
+      clearExpiryTimer(action.id);
+    }
+  }
+}
+
+// Helper function to look up a user's action that can still be decided; returns { action } or { status, error }
+function getDecidableAction(actionId, userId) {
+  const action = getAction(actionId, userId);
+  if (!action) {
+    return { status: 404, error: 'Unknown approval request' };
+  }
+  if (action.status === 'pending' && Date.now() > action.expires_at) {
+    settleAction(action, 'expired', 'Approval window has passed');
+  }
+  if (action.status !== 'pending') {
+    return { status: 409, error: `Approval request is already ${action.status}` };
+  }
+  return { action };
+}
+
+// Replace a pending action's arguments; returns { success, action } or { success: false, status, error }
+export function editAction(actionId, args, userId) {
+  const { action, status, error } = getDecidableAction(actionId, userId);
+  if (!action) {
+    return { success: false, status, error };
+  }
+
+  const invalid = validateActionArgs(action, args);
+  if (invalid) {
+    return { success: false, status: 400, error: invalid };
+  }
+
+  action.args = args;
+  publishAction(action);
+  return { success: true, action };
+}
+
+// Reject a pending action - it never runs
+export function rejectAction(actionId, reason, userId) {
+  const { action, status, error } = getDecidableAction(actionId, userId);
+  if (!action) {
+    return { success: false, status, error };
+  }
+
+  settleAction(action, 'rejected', reason || 'Rejected');
+  console.log(`🚫 APPROVALS: ${action.function} (${action.id.slice(0, 8)}...) rejected`);
+  return { success: true, action };
+}
+
+// Helper function to call the approved function on the tool's MCP server
+async function callActionTool(action, tool) {
+  const authResult = await processToolAuth(tool, action.user_id);
+  if (!authResult.shouldInclude) {
+    throw new Error(authResult.error);
+  }
+
+  let session = null;
+  try {
+    session = await createMcpSession(resolveServerUrl(tool), { ...(tool.headers || {}), ...(authResult.headers || {}) });
+
+    // The Salesforce server keeps credentials per session, so set them before the call (as CRM sync does)
+    if (tool.auth?.type === 'salesforce_session') {
+      const creds = await getSalesforceSessionId(action.user_id);
+      await callMcpTool(session, 'sf_set_credentials', {
+        access_token: creds.access_token,
+        instance_url: creds.instance_url
+      });
+    }
+
+    const result = await callMcpTool(session, action.function, action.args);
+    if (result.isError) {
+      throw new Error(result.text || `${action.function} failed`);
+    }
+    // Results are shown in the Action Feed, so nothing credential-shaped goes back out
+    return redactValue(result.structuredContent || result.text);
+  } finally {
+    await closeMcpSession(session);
+  }
+}
+
+// Helper function to run an approved call - an expired Salesforce token is refreshed once and the call retried
+function runAction(action, tool) {
+  if (tool.auth?.type === 'salesforce_session') {
+    return withSalesforceRefresh(action.user_id, () => callActionTool(action, tool));
+  }
+  return callActionTool(action, tool);
+}
+
+// Approve a pending action (optionally with edited args) and run it
+export async function approveAction(actionId, args, userId) {
+  const { action, status, error } = getDecidableAction(actionId, userId);
+  if (!action) {
+    return { success: false, status, error };
+  }
+
+  if (args !== undefined) {
+    const invalid = validateActionArgs(action, args);
+    if (invalid) {
+      return { success: false, status: 400, error: invalid };
+    }
+    action.args = args;
+  }
+
+  const tool = getAvailableTools()[action.tool_id];
+  if (!tool) {
+    return { success: false, status: 409, error: `Tool "${action.tool_id}" is no longer registered` };
+  }
+
+  clearExpiryTimer(action.id);
+  action.status = 'running';
+  action.decided_at = Date.now();
+  publishAction(action);
+
+  try {
+    action.result = await runAction(action, tool);
+    action.status = 'done';
+    console.log(`✅ APPROVALS: ${action.function} (${action.id.slice(0, 8)}...) approved and ran`);
+  } catch (runError) {
+    action.status = 'failed';
+    action.error = redactText(runError.message);
+    console.error(`❌ APPROVALS: ${action.function} (${action.id.slice(0, 8)}...) failed:`, runError.message);
+  }
+
+  publishAction(action);
+  pruneSettledActions();
+  return { success: action.status === 'done', action };
+}
@@ -1,33 +1,179 @@
 /**
  * Authentication and Credentials Management
  * Handles Salesforce and other authentication flows
- * 
- * IMPORTANT: In-memory storage (Map) works for localhost but NOT for Deno Deploy (serverless)
- * Solution: Frontend sends credentials with each request via localStorage
- * Fallback: In-memory Map for backward compatibility with localhost
+ *
+ * Credentials live in the encrypted credential vault (credential-vault.js), keyed by user and tool -
+ * with the KV backend every Deno Deploy isolate sees the same sessions, so nothing has to round-trip
+ * through the browser
+ *
+ * Salesforce access tokens expire. When the OAuth exchange returned a refresh token, the session is
+ * refreshed through the Salesforce MCP wrapper shortly before its known expiry and whenever the wrapper
+ * answers 401; only when that refresh fails is the session flagged needs_reconnect and the user asked
+ * to sign in again (a salesforce_reconnect SSE event)
  */
 
-// Store for Salesforce session credentials (in-memory, per-instance)
-// NOTE: This persists on localhost but resets on each Deno Deploy isolate/request
-const salesforceCredentials = new Map();
+import { SALESFORCE_MCP_URL } from "./config.js";
+import { registerSecret, forgetSecret } from "./redaction.js";
+import { getCredential, putCredential, deleteCredential } from "./credential-vault.js";
+import { broadcastUserEvent } from "./websocket-utils.js";
+import { CORE_TOOL_IDS, isToolSecretEnv } from "./tool-registry-unified.js";
 
-// Helper function to get or create Salesforce session ID
-export function getSalesforceSessionId(userId = 'default') {
-  return salesforceCredentials.get(userId);
+// Vault slot for Salesforce sessions (the registry id of the Salesforce tool)
+const SALESFORCE_VAULT_ID = 'salesforce';
+
+// Refresh this long before a known expiry, so a request doesn't set off with a token about to lapse
+const SALESFORCE_REFRESH_MARGIN_MS = 60 * 1000;
+const SALESFORCE_REFRESH_TIMEOUT_MS = 15000;
+
+// userId -> refresh in flight, so concurrent 401s share one refresh call
+const salesforceRefreshes = new Map();
+
+// Credential fields that must never reach a prompt or a log
+const SECRET_CREDENTIAL_FIELDS = ['access_token', 'refresh_token', 'state', 'session_id'];
+
+// Helper function to register a credentials object's secret fields for redaction
+function registerCredentialSecrets(credentials) {
+  SECRET_CREDENTIAL_FIELDS.forEach(field => registerSecret(credentials?.[field]));
+}
+
+// Helper function to get a user's Salesforce session credentials (null when not connected)
+export async function getSalesforceSessionId(userId = 'default') {
+  const credentials = await getCredential(userId, SALESFORCE_VAULT_ID);
+  // Sessions stored by another isolate (or before a restart) are registered as they're read
+  registerCredentialSecrets(credentials);
+  return credentials;
 }
 
 // Helper function to set Salesforce session credentials
-export function setSalesforceCredentials(userId = 'default', credentials) {
-  salesforceCredentials.set(userId, credentials);
+export async function setSalesforceCredentials(userId = 'default', credentials) {
+  registerCredentialSecrets(credentials);
+  await putCredential(userId, SALESFORCE_VAULT_ID, credentials);
 }
 
 // Helper function to delete Salesforce credentials
-export function clearSalesforceCredentials(userId = 'default') {
-  salesforceCredentials.delete(userId);
+export async function clearSalesforceCredentials(userId = 'default') {
+  const credentials = await getCredential(userId, SALESFORCE_VAULT_ID);
+  SECRET_CREDENTIAL_FIELDS.forEach(field => forgetSecret(credentials?.[field]));
+  await deleteCredential(userId, SALESFORCE_VAULT_ID);
+}
+
+// Build stored Salesforce credentials from an exchange-code or refresh-token response
+// Fields the response leaves out (refresh tokens aren't always rotated) are kept from the previous session
+export function salesforceCredentialsFromTokens(tokens, previous = {}) {
+  const now = Date.now();
+  const issuedAt = Number(tokens.issued_at) || now;
+  const expiresIn = Number(tokens.expires_in);
+
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token || previous.refresh_token || null,
+    instance_url: tokens.instance_url || previous.instance_url,
+    state: tokens.state || previous.state,
+    issued_at: issuedAt,
+    // Salesforce doesn't report a lifetime unless the wrapper does; without one a 401 is the only signal
+    expires_at: expiresIn > 0 ? issuedAt + expiresIn * 1000 : null,
+    needs_reconnect: false,
+    timestamp: now
+  };
+}
+
+// Helper function to flag a session that can't be refreshed, and tell the user's open tabs
+async function markSalesforceReconnect(userId, credentials, reason) {
+  await putCredential(userId, SALESFORCE_VAULT_ID, { ...credentials, needs_reconnect: true, refresh_error: reason });
+  broadcastUserEvent('salesforce_reconnect', { reason }, userId);
+  console.warn(`🔌 Salesforce session for ${userId} needs a reconnect: ${reason}`);
+}
+
+// Helper function to exchange a refresh token for a new access token through the MCP wrapper
+async function requestSalesforceRefresh(credentials) {
+  const response = await fetch(`${SALESFORCE_MCP_URL}/api/refresh-token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      refresh_token: credentials.refresh_token,
+      instance_url: credentials.instance_url,
+      state: credentials.state
+    }),
+    signal: AbortSignal.timeout(SALESFORCE_REFRESH_TIMEOUT_MS)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok || !result.success || !result.access_token) {
+    throw new Error(result.error || `Token refresh failed: ${response.status} ${response.statusText}`);
+  }
+  return result;
+}
+
+// Refresh a user's Salesforce access token; returns the new credentials, or null when the user has to reconnect
+export function refreshSalesforceCredentials(userId = 'default') {
+  if (salesforceRefreshes.has(userId)) {
+    return salesforceRefreshes.get(userId);
+  }
+
+  const refresh = (async () => {
+    const credentials = await getCredential(userId, SALESFORCE_VAULT_ID);
+    if (!credentials) return null;
+    if (!credentials.refresh_token) {
+      await markSalesforceReconnect(userId, credentials, 'Salesforce session expired and there is no refresh token');
+      return null;
+    }
+
+    try {
+      const tokens = await requestSalesforceRefresh(credentials);
+      forgetSecret(credentials.access_token);
+      const refreshed = salesforceCredentialsFromTokens(tokens, credentials);
+      await setSalesforceCredentials(userId, refreshed);
+      console.log(`🔄 Salesforce access token refreshed for ${userId}`);
+      return refreshed;
+    } catch (error) {
+      await markSalesforceReconnect(userId, credentials, error.message);
+      return null;
+    }
+  })().finally(() => salesforceRefreshes.delete(userId));
+
+  salesforceRefreshes.set(userId, refresh);
+  return refresh;
+}
+
+// Whether an error means the token was rejected - an HTTP 401 (status set by mcp-client.js, or quoted in a
+// provider's message) or Salesforce's INVALID_SESSION_ID passed through in a tool error
+export function isUnauthorizedError(error) {
+  return error?.status === 401 ||
+    /\b(?:HTTP|status(?: code)?:?)\s*401\b|\b401 Unauthorized\b|\bINVALID_SESSION_ID\b/i.test(error?.message || '');
+}
+
+// Run fn(); if the Salesforce MCP wrapper rejects the access token (401), refresh it once and run fn() again
+// fn reads the credentials itself (processToolAuth / getSalesforceSessionId), so the retry picks up the new token
+export async function withSalesforceRefresh(userId, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (!isUnauthorizedError(error)) throw error;
+
+    console.warn('🔄 Salesforce rejected the access token - refreshing and retrying');
+    if (!(await refreshSalesforceCredentials(userId))) {
+      throw new Error('Salesforce session expired - please reconnect Salesforce');
+    }
+    return await fn();
+  }
+}
+
+// Helper function to resolve a tool secret: the user's own from the vault, else the deployment's env var
+// Stored tools only fall back to TOOL_SECRET_* variables, even when their record pre-dates that check
+async function resolveToolSecret(toolConfig, authConfig, userId) {
+  const stored = await getCredential(userId, toolConfig.id);
+  if (typeof stored === 'string' && stored) return stored;
+
+  if (!CORE_TOOL_IDS.has(toolConfig.id) && !isToolSecretEnv(authConfig.env)) {
+    console.warn(`🚫 AUTH: ${toolConfig.id} names ${authConfig.env}, which isn't a TOOL_SECRET_* variable - not sending it`);
+    return null;
+  }
+  return Deno.env.get(authConfig.env);
 }
 
 // Helper function to process authentication for MCP tools based on registry auth config
-export function processToolAuth(toolConfig, userId = 'default') {
+// Secrets come from the user's vault entry for the tool, falling back to the env var named in the config
+export async function processToolAuth(toolConfig, userId = 'default') {
   const authConfig = toolConfig.auth || { type: 'none' };
   const result = {
     shouldInclude: true,
@@ -42,13 +188,23 @@ export function processToolAuth(toolConfig, userId = 'default') {
 
     case 'salesforce_session':
       // Salesforce session-based authentication
-      const sfCreds = getSalesforceSessionId(userId);
+      let sfCreds = await getSalesforceSessionId(userId);
       if (!sfCreds) {
         result.shouldInclude = false;
         result.error = `No Salesforce credentials configured for ${toolConfig.id}. Please configure in the Salesforce MCP section.`;
         break;
       }
 
+      // Refresh ahead of a known expiry rather than waiting for the wrapper's 401
+      if (!sfCreds.needs_reconnect && sfCreds.expires_at && sfCreds.expires_at - SALESFORCE_REFRESH_MARGIN_MS <= Date.now()) {
+        sfCreds = await refreshSalesforceCredentials(userId) || { needs_reconnect: true };
+      }
+      if (sfCreds.needs_reconnect) {
+        result.shouldInclude = false;
+        result.error = `Salesforce session expired for ${toolConfig.id}. Please reconnect in the Salesforce MCP section.`;
+        break;
+      }
+
       // Add state/session_id to query params or body (handled by MCP server)
       result.headers['X-Salesforce-Session'] = sfCreds.state || sfCreds.session_id;
       result.headers['X-Salesforce-Access-Token'] = sfCreds.access_token;
@@ -63,10 +219,10 @@ export function processToolAuth(toolConfig, userId = 'default') {
         break;
       }
 
-      const envValue = Deno.env.get(authConfig.env);
+      const envValue = await resolveToolSecret(toolConfig, authConfig, userId);
       if (!envValue) {
         result.shouldInclude = false;
-        result.error = `Missing environment variable: ${authConfig.env} for ${toolConfig.id}`;
+        result.error = `No ${toolConfig.id} credential stored and environment variable ${authConfig.env} is not set`;
         break;
       }
 
@@ -81,10 +237,10 @@ export function processToolAuth(toolConfig, userId = 'default') {
         break;
       }
 
-      const bearerToken = Deno.env.get(authConfig.env);
+      const bearerToken = await resolveToolSecret(toolConfig, authConfig, userId);
       if (!bearerToken) {
         result.shouldInclude = false;
-        result.error = `Missing environment variable: ${authConfig.env} for ${toolConfig.id}`;
+        result.error = `No ${toolConfig.id} credential stored and environment variable ${authConfig.env} is not set`;
         break;
       }
 
@@ -99,10 +255,10 @@ export function processToolAuth(toolConfig, userId = 'default') {
         break;
       }
 
-      const apiKey = Deno.env.get(authConfig.env);
+      const apiKey = await resolveToolSecret(toolConfig, authConfig, userId);
       if (!apiKey) {
         result.shouldInclude = false;
-        result.error = `Missing environment variable: ${authConfig.env} for ${toolConfig.id}`;
+        result.error = `No ${toolConfig.id} credential stored and environment variable ${authConfig.env} is not set`;
         break;
       }
 
@@ -116,6 +272,11 @@ export function processToolAuth(toolConfig, userId = 'default') {
       break;
   }
 
+  // Everything that goes into an auth header is a secret (the instance URL is just an address)
+  Object.entries(result.headers)
+    .filter(([name]) => name !== 'X-Salesforce-Instance-URL')
+    .forEach(([, value]) => registerSecret(String(value).replace(/^Bearer\s+/i, '')));
+
   return result;
 }
 
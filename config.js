@@ -4,20 +4,25 @@
  */
 
 import "jsr:@std/dotenv/load"; // needed for deno run; not req for smallweb or valtown
-import OpenAI from "npm:openai@4.52.7";
 
 // Zoom RTMS configuration
 export const ZOOM_CLIENT_ID = Deno.env.get("ZOOM_CLIENT_ID");
 export const ZOOM_CLIENT_SECRET = Deno.env.get("ZOOM_CLIENT_SECRET");
 export const ZOOM_SECRET_TOKEN = Deno.env.get("ZOOM_SECRET_TOKEN");
 export const WEBHOOK_PATH = Deno.env.get("WEBHOOK_PATH") || "/webhook";
+// Max allowed age (seconds) of x-zm-request-timestamp before a webhook is rejected as a replay
+// Anything but a positive number falls back to 300 - a typo must not switch replay protection off
+const webhookMaxSkewSeconds = Number(Deno.env.get("WEBHOOK_MAX_SKEW_SECONDS") || "300");
+export const WEBHOOK_MAX_SKEW_SECONDS = webhookMaxSkewSeconds > 0 ? webhookMaxSkewSeconds : 300;
+if (WEBHOOK_MAX_SKEW_SECONDS !== webhookMaxSkewSeconds) {
+  console.warn(`⚠️ WEBHOOK_MAX_SKEW_SECONDS must be a positive number of seconds - using ${WEBHOOK_MAX_SKEW_SECONDS}`);
+}
 
 // Groq API configuration
 export const GROQ_API_KEY = Deno.env.get("GROQ_API_KEY");
-export const groqClient = new OpenAI({
-  apiKey: GROQ_API_KEY,
-  baseURL: "https://api.groq.com/openai/v1",
-});
+// LLM client mode - "live" (default), "record" (live + save every call to the cassette) or "replay" (cassette only, no key needed)
+export const LLM_CLIENT_MODE = Deno.env.get("LLM_CLIENT_MODE") || "live";
+export const LLM_CASSETTE_PATH = Deno.env.get("LLM_CASSETTE_PATH") || "./fixtures/llm-cassette.json";
 
 // Salesforce MCP configuration
 export const SALESFORCE_MCP_URL = Deno.env.get("SALESFORCE_MCP_URL");
@@ -41,9 +46,56 @@ export const MODEL_DIRECT_ANSWER = Deno.env.get("MODEL_DIRECT_ANSWER") || "llama
 export const MODEL_SYNTHESIS = Deno.env.get("MODEL_SYNTHESIS") || "openai/gpt-oss-120b"; // Multi-tool response synthesis
 // export const MODEL_SYNTHESIS = Deno.env.get("MODEL_SYNTHESIS") || "llama-3.1-8b-instant"; // Multi-tool response synthesis
 
+export const MODEL_SUMMARY = Deno.env.get("MODEL_SUMMARY") || "openai/gpt-oss-120b"; // Post-meeting summary and action items
+export const MODEL_LIVE_SUMMARY = Deno.env.get("MODEL_LIVE_SUMMARY") || "openai/gpt-oss-20b"; // Rolling "so far" summary during the meeting
+
 // Router retry configuration - race-based retry system for handling slow router responses
 export const ROUTER_RETRY_DELAY_MS = parseInt(Deno.env.get("ROUTER_RETRY_DELAY_MS") || "3500"); // Default 3.5 seconds
 
+// Router strategy - "hybrid" (keyword pre-router first, LLM when unsure), "llm" (always MODEL_ROUTER) or "keyword" (never the LLM)
+export const ROUTER_STRATEGY = Deno.env.get("ROUTER_STRATEGY") || "hybrid";
+export const ROUTER_HYBRID_MIN_CONFIDENCE = parseFloat(Deno.env.get("ROUTER_HYBRID_MIN_CONFIDENCE") || "0.75"); // Keyword decisions below this go to the LLM
+
+// RTMS reconnect configuration - exponential backoff for unexpected signaling/media socket drops
+export const RTMS_RECONNECT_BASE_DELAY_MS = parseInt(Deno.env.get("RTMS_RECONNECT_BASE_DELAY_MS") || "1000"); // First retry after 1 second
+export const RTMS_RECONNECT_MAX_DELAY_MS = parseInt(Deno.env.get("RTMS_RECONNECT_MAX_DELAY_MS") || "30000"); // Cap backoff at 30 seconds
+export const RTMS_RECONNECT_MAX_ATTEMPTS = parseInt(Deno.env.get("RTMS_RECONNECT_MAX_ATTEMPTS") || "10"); // Give up (state: failed) after 10 attempts
+
+// RTMS media subscriptions - comma-separated list of: audio, video, share, transcript, chat (or "all")
+export const RTMS_MEDIA_TYPES = (Deno.env.get("RTMS_MEDIA_TYPES") || "transcript")
+  .split(",")
+  .map((type) => type.trim().toLowerCase())
+  .filter(Boolean);
+
+// Live summary configuration - fold new utterances into the running summary in batches
+export const LIVE_SUMMARY_BATCH_SIZE = parseInt(Deno.env.get("LIVE_SUMMARY_BATCH_SIZE") || "8"); // Fold as soon as 8 new utterances arrive
+export const LIVE_SUMMARY_INTERVAL_MS = parseInt(Deno.env.get("LIVE_SUMMARY_INTERVAL_MS") || "30000"); // ...or 30 seconds after the first unfolded one
+
+// Transcript storage - "kv" (Deno KV, durable) or "memory" (per-isolate, for tests/local runs)
+export const TRANSCRIPT_STORE = Deno.env.get("TRANSCRIPT_STORE") || "kv";
+export const TRANSCRIPT_RETENTION_DAYS = parseInt(Deno.env.get("TRANSCRIPT_RETENTION_DAYS") || "30"); // Entries expire after 30 days
+
+// Runtime tool registry - "kv" (Deno KV, shared by all isolates) or "memory"; editing tools requires TOOLS_ADMIN_TOKEN
+export const TOOL_STORE = Deno.env.get("TOOL_STORE") || "kv";
+export const TOOLS_ADMIN_TOKEN = Deno.env.get("TOOLS_ADMIN_TOKEN");
+export const MCP_DISCOVERY_INTERVAL_MS = parseInt(Deno.env.get("MCP_DISCOVERY_INTERVAL_MS") || "900000"); // Re-run tools/list every 15 minutes (0 = startup only)
+
+// Tool approvals - gated MCP function calls wait this long for an approve/reject before they expire
+export const APPROVAL_TIMEOUT_MS = parseInt(Deno.env.get("APPROVAL_TIMEOUT_MS") || "300000"); // Default 5 minutes
+
+// User identity - session cookies are signed with SESSION_SECRET (falls back to the Zoom client secret)
+export const SESSION_SECRET = Deno.env.get("SESSION_SECRET") || ZOOM_CLIENT_SECRET;
+export const SESSION_MAX_AGE_DAYS = parseInt(Deno.env.get("SESSION_MAX_AGE_DAYS") || "30"); // Cookie lifetime
+
+// Credential vault - "kv" (Deno KV, shared by all isolates) or "memory"; secrets are sealed with CREDENTIAL_VAULT_KEY
+// (falls back to a key derived from SESSION_SECRET). Old keys stay listed in CREDENTIAL_VAULT_OLD_KEYS until rotated out
+export const CREDENTIAL_VAULT = Deno.env.get("CREDENTIAL_VAULT") || "kv";
+export const CREDENTIAL_VAULT_KEY = Deno.env.get("CREDENTIAL_VAULT_KEY");
+export const CREDENTIAL_VAULT_OLD_KEYS = (Deno.env.get("CREDENTIAL_VAULT_OLD_KEYS") || "")
+  .split(",")
+  .map((key) => key.trim())
+  .filter(Boolean);
+
 // Cross-isolate relay for Deno Deploy: broadcast transcripts to all isolates
 export const INSTANCE_ID = (typeof crypto !== 'undefined' && 'randomUUID' in crypto && typeof crypto.randomUUID === 'function')
   ? crypto.randomUUID()
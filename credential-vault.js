@@ -0,0 +1,258 @@
+/**
+ * Credential Vault
+ * Per-user, per-tool secrets (Salesforce sessions, personal API keys for MCP tools) encrypted at rest,
+ * so tokens live on the server instead of round-tripping through the browser
+ *
+ * Each entry is sealed with AES-256-GCM (WebCrypto) under the vault key, with the JSON array [userId, toolId]
+ * as additional data so a sealed entry can't be moved to another user or tool. Entries record the id of the
+ * key that sealed them: CREDENTIAL_VAULT_OLD_KEYS still open older entries, and rotateVaultKey() re-seals
+ * everything under the current key. Entries with expires_at read as missing once it has passed
+ *
+ * Backends:
+ * - kv:     Deno KV (default) - shared by every isolate
+ * - memory: per-isolate Map - for tests and local runs without KV
+ */
+
+import {
+  CREDENTIAL_VAULT,
+  CREDENTIAL_VAULT_KEY,
+  CREDENTIAL_VAULT_OLD_KEYS,
+  SESSION_SECRET
+} from "./config.js";
+import { base64ToBytes, bytesToBase64 } from "./crypto-utils.js";
+
+let activeVault = null;
+let keyringPromise = null;
+
+// Deno KV backend - one key per secret: ['credentials', userId, toolId]
+export function createKvVault(kv) {
+  return {
+    type: 'kv',
+
+    async list(userId = null) {
+      const records = [];
+      for await (const entry of kv.list({ prefix: userId ? ['credentials', userId] : ['credentials'] })) {
+        records.push(entry.value);
+      }
+      return records;
+    },
+
+    async get(userId, toolId) {
+      const entry = await kv.get(['credentials', userId, toolId]);
+      return entry.value;
+    },
+
+    async put(record) {
+      const expireIn = record.expires_at ? Math.max(record.expires_at - Date.now(), 1000) : undefined;
+      await kv.set(['credentials', record.user_id, record.tool_id], record, expireIn ? { expireIn } : undefined);
+      return record;
+    },
+
+    async delete(userId, toolId) {
+      await kv.delete(['credentials', userId, toolId]);
+    }
+  };
+}
+
+// In-memory backend with the same interface
+export function createMemoryVault() {
+  const records = new Map();
+  const keyOf = (userId, toolId) => `${userId}\u0000${toolId}`;
+
+  return {
+    type: 'memory',
+    list: (userId = null) => Promise.resolve([...records.values()].filter(record => !userId || record.user_id === userId)),
+    get: (userId, toolId) => Promise.resolve(records.get(keyOf(userId, toolId)) || null),
+    put: (record) => {
+      records.set(keyOf(record.user_id, record.tool_id), record);
+      return Promise.resolve(record);
+    },
+    delete: (userId, toolId) => {
+      records.delete(keyOf(userId, toolId));
+      return Promise.resolve();
+    }
+  };
+}
+
+// Get the configured vault (opened lazily; falls back to memory if KV is unavailable)
+export async function getVault() {
+  if (activeVault) return activeVault;
+
+  if (CREDENTIAL_VAULT === 'kv' && typeof Deno.openKv === 'function') {
+    try {
+      activeVault = createKvVault(await Deno.openKv());
+      console.log('🔐 Credential vault: Deno KV');
+      return activeVault;
+    } catch (error) {
+      console.error('❌ Failed to open Deno KV, falling back to in-memory credential vault:', error);
+    }
+  } else if (CREDENTIAL_VAULT === 'kv') {
+    console.warn('⚠️ Deno KV not available (run with --unstable-kv), falling back to in-memory credential vault');
+  }
+
+  activeVault = createMemoryVault();
+  console.log('🔐 Credential vault: in-memory (credentials are lost on restart)');
+  return activeVault;
+}
+
+// Swap the active vault (tests, or a custom backend)
+export function setVault(vault) {
+  activeVault = vault;
+}
+
+// Helper function to turn configured key material (any string) into an AES key plus a short id
+async function importVaultKey(material) {
+  const raw = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material)));
+  const fingerprint = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+  return {
+    id: Array.from(fingerprint.slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join(''),
+    key: await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt'])
+  };
+}
+
+// Helper function to load the current and old keys once: { current, byId }
+function getKeyring() {
+  if (keyringPromise) return keyringPromise;
+
+  let material = CREDENTIAL_VAULT_KEY;
+  if (!material && SESSION_SECRET) {
+    console.warn('⚠️ CREDENTIAL_VAULT_KEY is not set - deriving the vault key from SESSION_SECRET');
+    material = `credential-vault:${SESSION_SECRET}`;
+  } else if (!material) {
+    console.warn('⚠️ No CREDENTIAL_VAULT_KEY or SESSION_SECRET - vault entries will not survive a restart');
+    material = crypto.randomUUID();
+  }
+
+  keyringPromise = (async () => {
+    const current = await importVaultKey(material);
+    const byId = new Map([[current.id, current]]);
+    for (const oldMaterial of CREDENTIAL_VAULT_OLD_KEYS) {
+      const old = await importVaultKey(oldMaterial);
+      byId.set(old.id, old);
+    }
+    return { current, byId };
+  })();
+  return keyringPromise;
+}
+
+// Helper function to bind a sealed entry to its user and tool - JSON-encoded, since ids can contain any
+// separator ("a:b" + "c" and "a" + "b:c" must not share additional data)
+function entryAdditionalData(userId, toolId) {
+  return new TextEncoder().encode(JSON.stringify([userId, toolId]));
+}
+
+// Helper function to seal a value for one user and tool
+async function sealValue(userId, toolId, value) {
+  const { current } = await getKeyring();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const additionalData = entryAdditionalData(userId, toolId);
+  const sealed = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData },
+    current.key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { key_id: current.id, iv: bytesToBase64(iv), ciphertext: bytesToBase64(new Uint8Array(sealed)) };
+}
+
+// Helper function to open a stored record; throws when its key is unknown or the record was tampered with
+async function openRecord(record) {
+  const { byId } = await getKeyring();
+  const vaultKey = byId.get(record.key_id);
+  if (!vaultKey) {
+    throw new Error(`sealed with unknown key ${record.key_id} (add it to CREDENTIAL_VAULT_OLD_KEYS)`);
+  }
+
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(record.iv), additionalData: entryAdditionalData(record.user_id, record.tool_id) },
+    vaultKey.key,
+    base64ToBytes(record.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// Helper function to describe a record without its secret
+function describeRecord(record) {
+  return {
+    tool_id: record.tool_id,
+    created_at: record.created_at,
+    updated_at: record.updated_at,
+    expires_at: record.expires_at || null
+  };
+}
+
+// Store (or replace) a user's secret for a tool - value is any JSON (a token string, a credentials object)
+// options.expiresAt: epoch ms after which the secret reads as missing
+export async function putCredential(userId, toolId, value, { expiresAt = null } = {}) {
+  const vault = await getVault();
+  const existing = await vault.get(userId, toolId);
+  const now = Date.now();
+
+  const record = {
+    user_id: userId,
+    tool_id: toolId,
+    ...(await sealValue(userId, toolId, value)),
+    created_at: existing?.created_at || now,
+    updated_at: now,
+    expires_at: expiresAt || null
+  };
+  await vault.put(record);
+  return describeRecord(record);
+}
+
+// Read a user's secret for a tool (null when missing, expired or unreadable)
+export async function getCredential(userId, toolId) {
+  const vault = await getVault();
+  const record = await vault.get(userId, toolId);
+  if (!record) return null;
+
+  if (record.expires_at && record.expires_at <= Date.now()) {
+    await vault.delete(userId, toolId);
+    return null;
+  }
+
+  try {
+    return await openRecord(record);
+  } catch (error) {
+    console.error(`❌ VAULT: Can't open ${toolId} credential for ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+// Delete a user's secret for a tool
+export async function deleteCredential(userId, toolId) {
+  const vault = await getVault();
+  await vault.delete(userId, toolId);
+}
+
+// A user's stored secrets, without the secrets themselves
+export async function listCredentials(userId) {
+  const vault = await getVault();
+  const now = Date.now();
+  return (await vault.list(userId))
+    .filter(record => !record.expires_at || record.expires_at > now)
+    .map(describeRecord);
+}
+
+// Re-seal every entry that isn't under the current key; returns { rotated, failed }
+// Run after moving the old key to CREDENTIAL_VAULT_OLD_KEYS, then drop it from there once failed is 0
+export async function rotateVaultKey() {
+  const vault = await getVault();
+  const { current } = await getKeyring();
+  let rotated = 0;
+  let failed = 0;
+
+  for (const record of await vault.list()) {
+    if (record.key_id === current.id) continue;
+    try {
+      const value = await openRecord(record);
+      await vault.put({ ...record, ...(await sealValue(record.user_id, record.tool_id, value)) });
+      rotated++;
+    } catch (error) {
+      failed++;
+      console.error(`❌ VAULT: Can't rotate ${record.tool_id} credential for ${record.user_id}: ${error.message}`);
+    }
+  }
+
+  console.log(`🔐 VAULT: Re-sealed ${rotated} credential(s) under key ${current.id}${failed ? ` (${failed} failed)` : ''}`);
+  return { rotated, failed, key_id: current.id };
+}
@@ -0,0 +1,267 @@
+/**
+ * CRM Sync
+ * Turns a meeting's summary into a reviewable Salesforce proposal (a Note on the focus record plus a Task
+ * per action item) and, once approved in the UI, executes it through the Salesforce MCP server
+ *
+ * Proposals belong to one user: they're built from that user's focus record, committed with that user's
+ * credentials and only ever sent to that user's SSE clients
+ */
+
+import { INSTANCE_ID, bc } from "./config.js";
+import { getMeetingSummary } from "./meeting-summary.js";
+import { getSalesforceFocus } from "./salesforce-focus.js";
+import { getSalesforceSessionId, processToolAuth, withSalesforceRefresh, isUnauthorizedError } from "./auth-utils.js";
+import { UNIFIED_TOOL_REGISTRY, resolveServerUrl } from "./tool-registry-unified.js";
+import { createMcpSession, callMcpTool, closeMcpSession } from "./mcp-client.js";
+import { broadcastUserEvent } from "./websocket-utils.js";
+import { redactText, redactValue } from "./redaction.js";
+
+// "<meetingUuid>:<userId>" -> proposal
+const proposals = new Map();
+
+// Helper function to key a proposal by meeting and owner
+function proposalKey(meetingUuid, userId) {
+  return `${meetingUuid}:${userId}`;
+}
+
+// Helper function to render the summary as a plain-text note body (Salesforce notes don't render Markdown)
+function buildNoteBody(summary, meetingDate) {
+  const lines = [`Meeting on ${meetingDate}`, ''];
+  if (summary.overview) {
+    lines.push(summary.overview, '');
+  }
+
+  const section = (title, items) => {
+    if (items.length === 0) return;
+    lines.push(`${title}:`, ...items.map(item => `- ${item}`), '');
+  };
+
+  section('Decisions', summary.decisions);
+  section('Action items', summary.action_items.map(a =>
+    `${a.task}${a.owner ? ` (owner: ${a.owner})` : ''}${a.due_date ? ` - due ${a.due_date}` : ''}`
+  ));
+  section('Open questions', summary.open_questions);
+  section('Follow-ups', summary.follow_ups.map(f => `${f.description}${f.date ? ` (${f.date})` : ''}`));
+
+  return lines.join('\n').trim();
+}
+
+// Helper function to publish proposal changes to the owner's SSE clients and other isolates
+function publishProposal(proposal) {
+  broadcastUserEvent('crm_sync', proposal, proposal.owner_id);
+  if (bc) {
+    bc.postMessage({ type: 'crm_sync', origin: INSTANCE_ID, payload: proposal });
+  }
+}
+
+// Build (or rebuild) the CRM sync proposal for a meeting from its summary and the user's focus record
+export async function proposeCrmSync(meetingUuid, userId = 'default') {
+  const summaryState = await getMeetingSummary(meetingUuid);
+  if (!summaryState || summaryState.status !== 'ready') {
+    return { success: false, error: `Meeting summary is not ready (${summaryState?.status || 'missing'})` };
+  }
+
+  const summary = summaryState.summary;
+  const focus = getSalesforceFocus(userId);
+  const meetingDate = new Date(summaryState.generated_at || Date.now()).toISOString().split('T')[0];
+  const operations = [];
+
+  operations.push({
+    id: 'note',
+    type: 'note',
+    function: 'sf_create_note',
+    enabled: Boolean(focus?.recordId),
+    warning: focus?.recordId ? null : 'No Salesforce focus record set - set a focus to attach meeting notes',
+    args: {
+      parent_id: focus?.recordId || '',
+      title: `Meeting notes - ${meetingDate}`,
+      body: buildNoteBody(summary, meetingDate)
+    },
+    status: 'pending',
+    result: null,
+    error: null
+  });
+
+  summary.action_items.forEach((item, index) => {
+    const descriptionLines = [`From meeting on ${meetingDate}`];
+    if (item.owner) {
+      descriptionLines.unshift(`Owner: ${item.owner}`);
+    }
+
+    const args = {
+      subject: item.task.slice(0, 255),
+      status: 'Not Started',
+      priority: 'Normal',
+      description: descriptionLines.join('\n')
+    };
+    if (focus?.recordId) {
+      args.related_to_id = focus.recordId;
+    }
+    if (item.due_date) {
+      args.due_date = item.due_date;
+    }
+
+    operations.push({
+      id: `task-${index + 1}`,
+      type: 'task',
+      function: 'sf_create_task',
+      enabled: true,
+      warning: item.due_date ? null : 'No due date mentioned in the meeting',
+      args,
+      status: 'pending',
+      result: null,
+      error: null
+    });
+  });
+
+  const proposal = {
+    meeting_uuid: meetingUuid,
+    owner_id: userId,
+    status: 'proposed',
+    focus: focus ? { recordId: focus.recordId, recordType: focus.recordType, name: focus.name, description: focus.description } : null,
+    operations,
+    created_at: Date.now(),
+    committed_at: null
+  };
+
+  proposals.set(proposalKey(meetingUuid, userId), proposal);
+  publishProposal(proposal);
+  console.log(`📇 CRM SYNC: Proposed ${operations.length} operation(s) for meeting ${meetingUuid.slice(0, 8)}...`);
+  return { success: true, proposal };
+}
+
+// Get a user's current proposal for a meeting (null if none)
+export function getCrmSyncProposal(meetingUuid, userId = 'default') {
+  return proposals.get(proposalKey(meetingUuid, userId)) || null;
+}
+
+// Record a proposal relayed from another isolate so approvals work wherever the UI lands
+export function rememberCrmSyncProposal(proposal) {
+  if (proposal?.meeting_uuid && proposal.owner_id) {
+    proposals.set(proposalKey(proposal.meeting_uuid, proposal.owner_id), proposal);
+  }
+}
+
+// Helper function to open a Salesforce MCP session with the user's current credentials
+// The Salesforce server keeps credentials per session, so they're set right after initialize
+async function openSalesforceSession(userId) {
+  const toolConfig = UNIFIED_TOOL_REGISTRY.salesforce;
+  const authResult = await processToolAuth(toolConfig, userId);
+  if (!authResult.shouldInclude) {
+    throw new Error(authResult.error);
+  }
+
+  const session = await createMcpSession(resolveServerUrl(toolConfig), authResult.headers);
+  try {
+    const creds = await getSalesforceSessionId(userId);
+    await callMcpTool(session, 'sf_set_credentials', {
+      access_token: creds.access_token,
+      instance_url: creds.instance_url
+    });
+    return session;
+  } catch (error) {
+    await closeMcpSession(session);
+    throw error;
+  }
+}
+
+// Helper function to call a Salesforce function; if the token was rejected, the session is reopened
+// with a refreshed token and the call retried once
+function callSalesforce(connection, name, args) {
+  return withSalesforceRefresh(connection.userId, async () => {
+    connection.session = connection.session || await openSalesforceSession(connection.userId);
+    try {
+      const result = await callMcpTool(connection.session, name, args);
+      if (result.isError) {
+        throw new Error(result.text || `${name} failed`);
+      }
+      return result;
+    } catch (error) {
+      if (isUnauthorizedError(error)) {
+        await closeMcpSession(connection.session);
+        connection.session = null;
+      }
+      throw error;
+    }
+  });
+}
+
+// Execute the approved operations through the Salesforce MCP server
+// edits: [{ id, enabled, args }] from the review UI - args are merged over the proposed ones
+export async function commitCrmSync(meetingUuid, edits = [], userId = 'default') {
+  const proposal = proposals.get(proposalKey(meetingUuid, userId));
+  if (!proposal) {
+    return { success: false, error: 'No CRM sync proposal for this meeting' };
+  }
+  if (proposal.status === 'committing') {
+    return { success: false, error: 'CRM sync is already running' };
+  }
+
+  const creds = await getSalesforceSessionId(userId);
+  if (!creds?.access_token || !creds?.instance_url) {
+    return { success: false, error: 'Salesforce is not connected. Please log in to Salesforce first.' };
+  }
+  if (creds.needs_reconnect) {
+    return { success: false, error: 'Salesforce session expired. Please reconnect Salesforce.' };
+  }
+
+  for (const edit of edits) {
+    const operation = proposal.operations.find(op => op.id === edit.id);
+    if (!operation || operation.status === 'done') continue;
+    if (typeof edit.enabled === 'boolean') {
+      operation.enabled = edit.enabled;
+    }
+    if (edit.args && typeof edit.args === 'object') {
+      operation.args = { ...operation.args, ...edit.args };
+    }
+  }
+
+  const pending = proposal.operations.filter(op => op.enabled && op.status !== 'done');
+  const invalidNote = pending.find(op => op.type === 'note' && !op.args.parent_id);
+  if (invalidNote) {
+    return { success: false, error: 'The meeting note needs a parent record (parent_id)' };
+  }
+  if (pending.length === 0) {
+    return { success: false, error: 'No operations selected' };
+  }
+
+  proposal.status = 'committing';
+  publishProposal(proposal);
+
+  const connection = { userId, session: null };
+
+  try {
+    connection.session = await withSalesforceRefresh(userId, () => openSalesforceSession(userId));
+
+    for (const operation of pending) {
+      try {
+        const result = await callSalesforce(connection, operation.function, operation.args);
+        operation.status = 'done';
+        operation.result = redactValue(result.structuredContent || result.text);
+        operation.error = null;
+        console.log(`✅ CRM SYNC: ${operation.function} (${operation.id}) succeeded`);
+      } catch (error) {
+        operation.status = 'failed';
+        operation.error = redactText(error.message);
+        console.error(`❌ CRM SYNC: ${operation.function} (${operation.id}) failed:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ CRM SYNC: Could not open Salesforce MCP session:', error);
+    for (const operation of pending) {
+      if (operation.status === 'pending') {
+        operation.status = 'failed';
+        operation.error = redactText(error.message);
+      }
+    }
+  } finally {
+    await closeMcpSession(connection.session);
+  }
+
+  const failed = pending.filter(op => op.status === 'failed').length;
+  proposal.status = failed === 0 ? 'committed' : (failed === pending.length ? 'failed' : 'partial');
+  proposal.committed_at = Date.now();
+  publishProposal(proposal);
+
+  return { success: failed === 0, proposal };
+}
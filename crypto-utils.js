@@ -3,7 +3,12 @@
  * Helper functions for HMAC signatures and encryption
  */
 
-import { ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET } from "./config.js";
+import {
+  ZOOM_CLIENT_ID,
+  ZOOM_CLIENT_SECRET,
+  ZOOM_SECRET_TOKEN,
+  WEBHOOK_MAX_SKEW_SECONDS
+} from "./config.js";
 
 // Deno crypto helper for HMAC
 export async function createHmacSha256(key, data) {
@@ -30,3 +35,67 @@ export async function generateSignature(meetingUuid, streamId) {
   return await createHmacSha256(ZOOM_CLIENT_SECRET, message);
 }
 
+// Constant-time string comparison so signature checks don't leak how many bytes matched
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const aBytes = encoder.encode(String(a ?? ''));
+  const bBytes = encoder.encode(String(b ?? ''));
+  const length = Math.max(aBytes.length, bBytes.length);
+
+  let diff = aBytes.length ^ bBytes.length;
+  for (let i = 0; i < length; i++) {
+    diff |= (aBytes[i] ?? 0) ^ (bBytes[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+// Verify a Zoom webhook request (v0 scheme):
+// x-zm-signature = "v0=" + HMAC_SHA256(ZOOM_SECRET_TOKEN, "v0:{x-zm-request-timestamp}:{raw body}")
+export async function verifyZoomWebhookSignature(rawBody, timestamp, signature, now = Date.now()) {
+  if (!ZOOM_SECRET_TOKEN) {
+    return { valid: false, reason: 'ZOOM_SECRET_TOKEN is not configured' };
+  }
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'Missing x-zm-signature or x-zm-request-timestamp header' };
+  }
+
+  const timestampValue = Number(timestamp);
+  if (!Number.isFinite(timestampValue)) {
+    return { valid: false, reason: 'Invalid x-zm-request-timestamp header' };
+  }
+
+  // Zoom sends epoch seconds; tolerate milliseconds as well
+  const timestampMs = timestampValue > 1e12 ? timestampValue : timestampValue * 1000;
+  const skewSeconds = Math.abs(now - timestampMs) / 1000;
+  if (skewSeconds > WEBHOOK_MAX_SKEW_SECONDS) {
+    return { valid: false, reason: `Request timestamp outside replay window (${Math.round(skewSeconds)}s old)` };
+  }
+
+  const hash = await createHmacSha256(ZOOM_SECRET_TOKEN, `v0:${timestamp}:${rawBody}`);
+  if (!timingSafeEqual(`v0=${hash}`, signature)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+// Helper function to decode base64 (standard or URL-safe) to bytes
+export function base64ToBytes(base64) {
+  const normalized = base64.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(normalized + '='.repeat((4 - normalized.length % 4) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Helper function to encode bytes as base64
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
@@ -0,0 +1,378 @@
+/**
+ * Router Evaluation Harness
+ * Runs the labeled questions in eval/router-golden.json (plus the examples embedded in the tool registry)
+ * through intelligentRouter and reports tool accuracy, function-selection accuracy and param F1 per tool
+ *
+ * Usage:
+ *   deno task eval-router                              # replay recorded router responses (no API calls)
+ *   deno task eval-router --scripted                   # answer from the golden labels (no API calls, no recordings)
+ *   deno task eval-router --live                       # call MODEL_ROUTER for real (needs GROQ_API_KEY)
+ *   deno task eval-router --live --record              # ...and save the responses for later replays
+ *   deno task eval-router --strategy=keyword           # keyword pre-router only (never needs recordings)
+ *   deno task eval-router --tool=salesforce --verbose  # one tool's cases, with every miss printed
+ *
+ * Other flags: --strategy=llm|keyword|hybrid (default llm), --golden=<file>, --recordings=<file>,
+ * --no-registry-examples, --json=<file> (write the full report), --min-accuracy=0.9 (exit 1 below it)
+ *
+ * Recordings are keyed by case id and store a hash of the router prompt they were made with; replaying a
+ * case whose prompt has changed since is flagged as stale - re-record after editing the prompt or MODEL_ROUTER
+ *
+ * Without a recordings file (or with --scripted) a scripted client answers each case with its own labels, so the
+ * run checks the golden file and the router's parsing and schema validation - it says nothing about the model
+ */
+
+import { MODEL_ROUTER } from "./config.js";
+import { intelligentRouter, getRouterMetrics } from "./groq-router.js";
+import { getAvailableTools } from "./tool-registry-unified.js";
+import { createGroqLlmClient, createScriptedLlmClient, completionFromText, setLlmClient } from "./llm-client.js";
+
+const DEFAULT_GOLDEN = './eval/router-golden.json';
+const DEFAULT_RECORDINGS = './eval/router-recordings.json';
+
+// Helper function to read --flag and --flag=value arguments
+function parseFlags(args) {
+  const flags = {};
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      flags[match[1]] = match[2] === undefined ? true : match[2];
+    }
+  }
+  return flags;
+}
+
+const flags = parseFlags(Deno.args);
+const live = Boolean(flags.live);
+const strategy = flags.strategy || 'llm';
+
+// Helper function to read a JSON file (null when it doesn't exist)
+async function readJson(path) {
+  try {
+    return JSON.parse(await Deno.readTextFile(path));
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) return null;
+    throw error;
+  }
+}
+
+// Helper function to hash the router prompt (minus today's date) so stale recordings can be spotted
+async function hashPrompt(prompt) {
+  const stable = prompt.replace(/^TODAY'S DATE: .*$/m, '');
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stable));
+  return Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Golden cases plus one tool-only case per registry example
+function loadCases(golden, includeRegistryExamples) {
+  const cases = golden.cases.map(c => ({ ...c, source: 'golden' }));
+  if (!includeRegistryExamples) return cases;
+
+  // The same example can sit under several tools (e.g. web search) - any of them counts as correct
+  const owners = new Map();
+  for (const tool of Object.values(getAvailableTools())) {
+    for (const example of tool.examples || []) {
+      const key = example.trim().toLowerCase();
+      if (!owners.has(key)) owners.set(key, { question: example.trim(), tools: [] });
+      owners.get(key).tools.push(tool.id);
+    }
+  }
+
+  for (const [key, { question, tools }] of owners) {
+    if (cases.some(c => c.question.trim().toLowerCase() === key)) continue;
+    cases.push({
+      id: `registry:${tools[0]}:${key.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40)}`,
+      question,
+      tools: [tools[0]],
+      accept: tools.slice(1).map(toolId => [toolId]),
+      source: 'registry'
+    });
+  }
+  return cases;
+}
+
+// LLM client that answers from the case recordings (replay) or wraps the live client to capture answers (record)
+// Unlike a request-keyed cassette, recordings are keyed by case, so a prompt edit replays as "stale" instead of missing
+function createEvalLlmClient(recordings, state) {
+  const liveClient = live ? createGroqLlmClient() : null;
+
+  const createChatCompletion = async (request) => {
+    // Two messages = routing request, more = the one-shot repair request
+    const kind = request.messages.length > 2 ? 'repair' : 'route';
+    const caseId = state.caseId;
+    if (kind === 'route' && !state.promptHash) {
+      state.promptHash = await hashPrompt(request.messages[0].content);
+    }
+
+    if (!live) {
+      const recorded = recordings.cases[caseId];
+      if (!recorded?.responses?.[kind]) {
+        throw new Error(`No recorded ${kind} response for case "${caseId}" - run with --live --record`);
+      }
+      if (recorded.prompt_hash !== state.promptHash) {
+        state.stale = true;
+      }
+      return completionFromText(recorded.responses[kind]);
+    }
+
+    const response = await liveClient.createChatCompletion(request);
+    // The router races a retry request - keep whichever answer resolved first, and ignore late
+    // retries that finish after the harness has moved on to the next case
+    if (state.caseId === caseId && !state.responses[kind]) {
+      state.responses[kind] = response.choices[0]?.message?.content || '';
+    }
+    return response;
+  };
+
+  return { type: live ? 'eval-record' : 'eval-replay', createChatCompletion };
+}
+
+// Helper function to write a case's labels as the router's JSON answer (used by the scripted client)
+function labeledAnswer(testCase) {
+  return JSON.stringify({
+    tools: testCase.tools.map(toolId => ({
+      tool_id: toolId,
+      functions: testCase.functions?.[toolId] || [],
+      params: testCase.params?.[toolId] || {}
+    })),
+    reasoning: `Golden labels for ${testCase.id}`,
+    primary_intent: 'eval',
+    confidence: 0.9
+  });
+}
+
+// Helper function to compare two lists as sets
+function sameSet(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  return left.size === right.size && [...left].every(item => right.has(item));
+}
+
+// Helper function to normalize a param value for comparison
+function normalizeValue(value) {
+  return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Score one routing decision against its labels
+function scoreCase(testCase, decision) {
+  const predicted = decision.tools || [];
+  const acceptable = [testCase.tools, ...(testCase.accept || [])];
+  const toolsCorrect = acceptable.some(expected => sameSet(expected, predicted));
+
+  const perTool = {};
+  for (const toolId of testCase.tools) {
+    const detail = (decision.toolDetails || []).find(d => d.tool_id === toolId);
+    const entry = { toolsCorrect, functionsCorrect: null, params: null };
+
+    const expectedFunctions = testCase.functions?.[toolId];
+    if (expectedFunctions) {
+      entry.functionsCorrect = Boolean(detail) && sameSet(expectedFunctions, detail.functions || []);
+    }
+
+    const expectedParams = testCase.params?.[toolId];
+    if (expectedParams) {
+      const predictedParams = detail?.params || {};
+      const truePositives = Object.entries(expectedParams)
+        .filter(([key, value]) => predictedParams[key] !== undefined && normalizeValue(predictedParams[key]) === normalizeValue(value))
+        .length;
+      entry.params = {
+        truePositives,
+        predicted: Object.keys(predictedParams).length,
+        expected: Object.keys(expectedParams).length
+      };
+    }
+    perTool[toolId] = entry;
+  }
+
+  return { toolsCorrect, perTool };
+}
+
+// Helper function to turn counts into precision/recall/F1
+function f1(truePositives, predicted, expected) {
+  const precision = predicted ? truePositives / predicted : 0;
+  const recall = expected ? truePositives / expected : 0;
+  return precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+// Helper function to format a ratio for the report table
+function pct(value) {
+  return value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+// Aggregate case results into overall and per-tool numbers
+function buildReport(results, goldenVersion, mode) {
+  const scored = results.filter(r => !r.skipped);
+  const tools = {};
+  const totals = { functionCases: 0, functionHits: 0, tp: 0, predicted: 0, expected: 0 };
+
+  for (const result of scored) {
+    for (const [toolId, entry] of Object.entries(result.score.perTool)) {
+      const stats = tools[toolId] || (tools[toolId] = { cases: 0, correct: 0, functionCases: 0, functionHits: 0, tp: 0, predicted: 0, expected: 0 });
+      stats.cases++;
+      if (entry.toolsCorrect) stats.correct++;
+      if (entry.functionsCorrect !== null) {
+        stats.functionCases++;
+        totals.functionCases++;
+        if (entry.functionsCorrect) {
+          stats.functionHits++;
+          totals.functionHits++;
+        }
+      }
+      if (entry.params) {
+        for (const key of ['tp', 'predicted', 'expected']) {
+          const value = key === 'tp' ? entry.params.truePositives : entry.params[key];
+          stats[key] += value;
+          totals[key] += value;
+        }
+      }
+    }
+  }
+
+  return {
+    golden_version: goldenVersion,
+    model: MODEL_ROUTER,
+    strategy,
+    mode,
+    cases: results.length,
+    scored: scored.length,
+    skipped: results.length - scored.length,
+    stale: scored.filter(r => r.stale).length,
+    accuracy: scored.length ? scored.filter(r => r.score.toolsCorrect).length / scored.length : 0,
+    function_accuracy: totals.functionCases ? totals.functionHits / totals.functionCases : null,
+    param_f1: totals.expected ? f1(totals.tp, totals.predicted, totals.expected) : null,
+    tools: Object.fromEntries(Object.entries(tools).map(([toolId, stats]) => [toolId, {
+      cases: stats.cases,
+      accuracy: stats.correct / stats.cases,
+      function_accuracy: stats.functionCases ? stats.functionHits / stats.functionCases : null,
+      param_f1: stats.expected ? f1(stats.tp, stats.predicted, stats.expected) : null
+    }])),
+    router_metrics: getRouterMetrics(),
+    results: results.map(r => ({
+      id: r.id,
+      question: r.question,
+      expected: r.expected,
+      predicted: r.predicted,
+      tools_correct: r.skipped ? null : r.score.toolsCorrect,
+      stale: r.stale || false,
+      skipped: r.skipped || null,
+      routing_error: r.routingError || null
+    }))
+  };
+}
+
+// Print the report as a table
+function printReport(report, verbose) {
+  console.log(`\n📊 ROUTER EVAL - golden v${report.golden_version}, ${report.mode}, strategy ${report.strategy}, model ${report.model}`);
+  console.log(`   ${report.scored}/${report.cases} cases scored${report.skipped ? `, ${report.skipped} skipped (no recording)` : ''}${report.stale ? `, ${report.stale} replayed from a stale prompt` : ''}\n`);
+
+  console.log(`${'tool'.padEnd(18)}${'cases'.padStart(6)}  ${'accuracy'.padStart(8)}  ${'functions'.padStart(9)}  ${'param F1'.padStart(8)}`);
+  for (const [toolId, stats] of Object.entries(report.tools).sort()) {
+    console.log(`${toolId.padEnd(18)}${String(stats.cases).padStart(6)}  ${pct(stats.accuracy).padStart(8)}  ${pct(stats.function_accuracy).padStart(9)}  ${pct(stats.param_f1).padStart(8)}`);
+  }
+  console.log(`${'overall'.padEnd(18)}${String(report.scored).padStart(6)}  ${pct(report.accuracy).padStart(8)}  ${pct(report.function_accuracy).padStart(9)}  ${pct(report.param_f1).padStart(8)}`);
+
+  const misses = report.results.filter(r => r.tools_correct === false);
+  if (misses.length > 0) {
+    console.log(`\n❌ ${misses.length} misrouted case(s)${verbose ? '' : ' (--verbose for details)'}`);
+    if (verbose) {
+      for (const miss of misses) {
+        console.log(`   ${miss.id}: "${miss.question}" -> [${miss.predicted.join(', ')}], expected [${miss.expected.join(', ')}]${miss.routing_error ? ` (${miss.routing_error})` : ''}`);
+      }
+    }
+  }
+}
+
+async function runEval() {
+  const goldenPath = flags.golden || DEFAULT_GOLDEN;
+  const recordingsPath = flags.recordings || DEFAULT_RECORDINGS;
+
+  const golden = await readJson(goldenPath);
+  if (!golden?.cases) {
+    console.error(`❌ No golden cases found in ${goldenPath}`);
+    Deno.exit(1);
+  }
+
+  const savedRecordings = await readJson(recordingsPath);
+  const recordings = savedRecordings || { version: 1, cases: {} };
+  const mode = live ? 'live' : (flags.scripted || !savedRecordings ? 'scripted' : 'replay');
+  if (mode === 'scripted' && strategy !== 'keyword') {
+    console.log(`📝 ${flags.scripted ? '--scripted' : `No recordings in ${recordingsPath}`} - answering from the golden labels (checks labels and schema, not the model)`);
+  }
+  if (live && !Deno.env.get("GROQ_API_KEY")) {
+    console.error('❌ --live needs GROQ_API_KEY');
+    Deno.exit(1);
+  }
+
+  let cases = loadCases(golden, !flags['no-registry-examples']);
+  if (flags.tool) {
+    cases = cases.filter(c => c.tools.includes(flags.tool));
+  }
+
+  const state = {};
+  setLlmClient(mode === 'scripted'
+    ? createScriptedLlmClient(() => labeledAnswer(state.testCase))
+    : createEvalLlmClient(recordings, state));
+
+  // The router logs every step - keep the report readable
+  const { log, warn, error } = console;
+  const results = [];
+
+  for (const testCase of cases) {
+    Object.assign(state, { testCase, caseId: testCase.id, promptHash: null, stale: false, responses: {} });
+    console.log = console.warn = console.error = () => {};
+
+    let decision;
+    let skipped = null;
+    try {
+      decision = await intelligentRouter(testCase.question, 'Eval', {}, testCase.chat_history || [], { strategy });
+      // A missing recording surfaces as a router error - don't score it as a miss
+      if (decision.routingError?.includes('No recorded')) {
+        skipped = 'no recording';
+      }
+    } finally {
+      Object.assign(console, { log, warn, error });
+    }
+
+    if (live && flags.record && Object.keys(state.responses).length > 0) {
+      recordings.cases[testCase.id] = {
+        prompt_hash: state.promptHash,
+        model: MODEL_ROUTER,
+        recorded_at: new Date().toISOString(),
+        responses: state.responses
+      };
+    }
+
+    results.push({
+      id: testCase.id,
+      question: testCase.question,
+      expected: testCase.tools,
+      predicted: decision.tools,
+      routingError: decision.routingError,
+      stale: state.stale,
+      skipped,
+      score: skipped ? null : scoreCase(testCase, decision)
+    });
+  }
+
+  if (live && flags.record) {
+    recordings.golden_version = golden.version;
+    await Deno.writeTextFile(recordingsPath, `${JSON.stringify(recordings, null, 2)}\n`);
+    console.log(`💾 Saved recordings for ${Object.keys(recordings.cases).length} case(s) to ${recordingsPath}`);
+  }
+
+  const report = buildReport(results, golden.version, mode);
+  printReport(report, Boolean(flags.verbose));
+
+  if (flags.json) {
+    await Deno.writeTextFile(flags.json, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`\n💾 Full report written to ${flags.json}`);
+  }
+
+  const minAccuracy = flags['min-accuracy'] !== undefined ? parseFloat(flags['min-accuracy']) : null;
+  if (minAccuracy !== null && report.accuracy < minAccuracy) {
+    console.error(`\n❌ Accuracy ${pct(report.accuracy).trim()} is below --min-accuracy ${minAccuracy}`);
+    Deno.exit(1);
+  }
+  Deno.exit(0);
+}
+
+await runEval();
@@ -1,71 +1,188 @@
 /**
  * GROQ ROUTER
- * 
- * AI-powered intelligent routing and inference logic
- * This module handles tool selection, parameter extraction, and Groq API calls
+ *
+ * Decides which tools (and which MCP functions/params) handle a request.
+ * Strategies share one decision shape and one parser:
+ * - llm:     MODEL_ROUTER reads the registry-generated prompt and returns JSON (race-based retry)
+ * - keyword: local scoring against each tool's routing_keywords, examples and routing_patterns - no model call
+ * - hybrid:  keyword pre-router first, LLM only when the keyword match isn't confident (default)
+ *
+ * Per-isolate counters of which path answered (keyword, llm, fallback) are exposed via getRouterMetrics()
+ *
+ * LLM output is validated against a schema generated from the registry (router-schema.js); an invalid
+ * answer gets one repair request, and if that fails too the decision falls back to direct_answer with
+ * routingError set, so callers can tell the user routing failed instead of guessing silently
+ *
+ * Decision shape:
+ * { tools: ['tool_id'], toolDetails: [{ tool_id, functions, params }], reasoning, primaryIntent, confidence, strategy, routingError? }
  */
 
+import {
+  MODEL_ROUTER,
+  ROUTER_RETRY_DELAY_MS,
+  ROUTER_STRATEGY,
+  ROUTER_HYBRID_MIN_CONFIDENCE,
+  INSTANCE_ID
+} from "./config.js";
+import { createChatCompletion } from "./llm-client.js";
 import { getAvailableTools } from "./tool-registry-unified.js";
+import { getToolFunctions } from "./mcp-discovery.js";
+import { buildRoutingSchema, validateAgainstSchema } from "./router-schema.js";
+
+// Validation errors sent back to the model in a repair request
+const MAX_REPAIR_ERRORS = 10;
+
+// Fallback decision when nothing better is available (routingError explains a failed routing attempt)
+export function createFallbackDecision(reasoning, confidence = 0.5, strategy = null, routingError = null) {
+  return {
+    tools: ['direct_answer'],
+    toolDetails: [{ tool_id: 'direct_answer', functions: [], params: {} }],
+    reasoning,
+    primaryIntent: 'general',
+    confidence,
+    strategy,
+    ...(routingError && { routingError })
+  };
+}
+
+// Normalize a raw router result (old string-array or new object format) into the decision shape
+export function normalizeRoutingDecision(raw, { reasoning = 'AI-powered routing decision', confidence = 0.8, strategy = null } = {}) {
+  const toolDetails = (Array.isArray(raw?.tools) ? raw.tools : [])
+    .map(tool => typeof tool === 'string'
+      ? { tool_id: tool, functions: [], params: {} }
+      : { tool_id: tool?.tool_id, functions: Array.isArray(tool?.functions) ? tool.functions : [], params: tool?.params && typeof tool.params === 'object' ? tool.params : {} })
+    .filter(tool => typeof tool.tool_id === 'string' && tool.tool_id);
 
-// Groq client and config will be injected from main.js
-let groqClient = null;
-let SALESFORCE_MCP_URL = null;
-let MODEL_ROUTER = "openai/gpt-oss-20b"; // Default fallback
+  if (toolDetails.length === 0) {
+    return createFallbackDecision(raw?.reasoning || 'Router selected no tools', 0.5, strategy);
+  }
 
-// Initialize with groq client and config
-export function initializeRouter(client, config) {
-  groqClient = client;
-  SALESFORCE_MCP_URL = config.SALESFORCE_MCP_URL;
-  MODEL_ROUTER = config.MODEL_ROUTER || "openai/gpt-oss-20b";
+  return {
+    tools: toolDetails.map(t => t.tool_id), // Keep backward compatibility
+    toolDetails, // New detailed format
+    reasoning: raw.reasoning || reasoning,
+    primaryIntent: raw.primary_intent || raw.primaryIntent || 'general',
+    confidence: typeof raw.confidence === 'number' ? raw.confidence : confidence,
+    strategy
+  };
 }
 
-// Enhanced AI-powered router that decides which tools and specific MCP functions to use
-export async function intelligentRouter(question, userName, context = {}, chatHistory = []) {
+// Parse the model's JSON - directly, then the first {...} block, then a ```json fence
+// Returns the raw object (validate it before use) or null when nothing parses
+export function parseRoutingResponse(text) {
   try {
-    // Get routing information from unified registry
-    const availableTools = getAvailableTools();
+    return JSON.parse(text);
+  } catch (parseError) {
+    console.error('❌ ROUTING: Failed to parse routing decision as JSON:', parseError.message);
+  }
+
+  const attempts = [
+    { pattern: /\{[\s\S]*\}/, group: 0, label: 'braces' },
+    { pattern: /```(?:json)?\s*(\{[\s\S]*?\})\s*```/, group: 1, label: 'code block' }
+  ];
+  for (const attempt of attempts) {
+    const match = String(text).match(attempt.pattern);
+    if (!match) continue;
+    try {
+      const extracted = JSON.parse(match[attempt.group]);
+      console.log(`🔄 ROUTING: Extracted JSON from ${attempt.label}`);
+      return extracted;
+    } catch (extractError) {
+      console.error(`❌ ROUTING: Failed to extract JSON from ${attempt.label}:`, extractError.message);
+    }
+  }
+
+  return null;
+}
 
-    console.log(`🔍 ROUTING: Analyzing question: "${question}" from user: ${userName}`);
+// Check the model's text against the routing schema; returns { raw, errors }
+export function checkRoutingResponse(text, schema) {
+  const raw = parseRoutingResponse(text);
+  if (raw === null) {
+    return { raw, errors: ['$: response is not valid JSON'] };
+  }
+  return { raw, errors: validateAgainstSchema(raw, schema) };
+}
 
-    // Prepare chat history context (last 5 messages for context)
-    const recentHistory = chatHistory.slice(-5).map(msg => ({
-      role: msg.user_id === 'groq-ai' ? 'assistant' : 'user',
+// Helper function to turn the frontend chat history (newest first) into chronological router context
+function prepareRecentHistory(chatHistory) {
+  // Note: chatHistory comes from frontend with newest first, so take first 30 and reverse
+  return chatHistory
+    .slice(0, 30)
+    .reverse() // Reverse to get chronological order (oldest to newest)
+    .map(msg => ({
+      role: msg.user_id === 'groq-ai' || msg.user_id === 'discovery-ai' ? 'assistant' : 'user',
       content: msg.data,
-      timestamp: msg.timestamp
+      timestamp: msg.timestamp,
+      tools: msg.tools || []
     }));
+}
 
-    // Build detailed tool information including MCP functions
-    const toolsDescription = Object.values(availableTools).map(tool => {
-      let toolInfo = `## ${tool.displayName} (${tool.id})
+// Helper function to describe every candidate tool (with discovered MCP functions) for the router prompt
+function describeToolsForPrompt(availableTools) {
+  return Object.values(availableTools).map(tool => {
+    let toolInfo = `## ${tool.displayName} (${tool.id})
 Type: ${tool.type}
 Description: ${tool.description}
 Trigger: ${tool.trigger_prompt || 'N/A'}
-Examples: ${tool.examples.join('; ')}`;
-
-      // Add MCP function details if available
-      if (tool.mcp_functions && tool.mcp_functions.length > 0) {
-        toolInfo += `\nAvailable Functions:`;
-        tool.mcp_functions.forEach(func => {
-          toolInfo += `\n  - ${func.name}: ${func.description}`;
-          if (func.params && func.params.length > 0) {
-            toolInfo += `\n    Parameters: ${func.params.join(', ')}`;
-          }
-        });
-      }
-
-      return toolInfo;
-    }).join('\n\n');
+Examples: ${(tool.examples || []).join('; ')}`;
+
+    // Add MCP function details if available (discovered via tools/list, static list as fallback)
+    // Private functions (credential handling) are never suggested
+    const functions = tool.type === 'mcp'
+      ? getToolFunctions(tool).filter(func => !(tool.private_functions || []).includes(func.name))
+      : [];
+    if (functions.length > 0) {
+      toolInfo += `\nAvailable Functions:`;
+      functions.forEach(func => {
+        toolInfo += `\n  - ${func.name}: ${func.description}`;
+        if (func.params && func.params.length > 0) {
+          const required = new Set(func.required || []);
+          toolInfo += `\n    Parameters: ${func.params.map(p => required.has(p) ? `${p} (required)` : p).join(', ')}`;
+        }
+      });
+    }
 
-    // Get today's date for context
-    const today = new Date().toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    });
+    return toolInfo;
+  }).join('\n\n');
+}
 
-    // Dynamically generate system prompt from registry with detailed MCP function info
-    const systemPrompt = `You are an intelligent routing system for Groq AI. Your task is to analyze user questions and select the most appropriate tools and specific functions to use.
+// Build the LLM router's system prompt from the registry
+function buildRouterPrompt({ question, userName, chatHistory, availableTools }) {
+  const recentHistory = prepareRecentHistory(chatHistory);
+
+  // Detect if recent conversation has Salesforce context
+  const hasSalesforceContext = recentHistory.some(msg => 
+    msg.tools && msg.tools.some(tool => 
+      tool.category === 'mcp' && tool.server === 'Salesforce'
+    )
+  );
+  
+  console.log(`🔍 ROUTING: Salesforce context in recent history: ${hasSalesforceContext ? 'YES' : 'NO'}`);
+
+  const toolsDescription = describeToolsForPrompt(availableTools);
+
+  // Get today's date for context
+  const today = new Date().toLocaleDateString('en-US', { 
+    weekday: 'long', 
+    year: 'numeric', 
+    month: 'long', 
+    day: 'numeric' 
+  });
+
+  // Build context string from chat history
+  const contextHint = hasSalesforceContext 
+    ? '\n\n⚠️ **CONTEXT ALERT**: Recent conversation includes Salesforce operations (leads/contacts/accounts). If the current question refers to "update", "change", "fix", or mentions a person\'s name without explicit context, it is LIKELY a Salesforce update request. Strongly consider using the \'salesforce\' tool.'
+    : '';
+
+  // Point the router at user-configured tools when the request brings any
+  const customToolIds = Object.values(availableTools).filter(tool => tool.custom).map(tool => tool.id);
+  const customToolsHint = customToolIds.length > 0
+    ? `\n\n🧩 **CUSTOM TOOLS**: The user configured these MCP tools for this request: ${customToolIds.join(', ')}. If the question matches one of their descriptions or trigger examples, PREFER that custom tool over the general-purpose tools.`
+    : '';
+  
+  // Dynamically generate system prompt from registry with detailed MCP function info
+  const systemPrompt = `You are an intelligent routing system for Groq AI. Your task is to analyze user questions and select the most appropriate tools and specific functions to use.
 
 TODAY'S DATE: ${today}
 
@@ -75,39 +192,59 @@ CRITICAL INSTRUCTIONS:
 3. The JSON must start with { and end with }
 4. For MCP tools, specify which specific functions should be called
 5. Extract parameters from the user's question when possible
+6. **IMPORTANT**: You are ONLY routing the CURRENT question below - do NOT route or take action on any messages from chat history
+7. **CONTEXT AWARENESS**: Use chat history to understand implicit references (e.g., "update it" likely refers to the last mentioned Salesforce record)${contextHint}${customToolsHint}
 
-QUESTION TO ANALYZE: "${question}"
+CURRENT QUESTION TO ANALYZE: "${question}"
 USER: ${userName}
 
+RECENT CONVERSATION CONTEXT (for understanding references only):
+${recentHistory.slice(-5).map(msg => `${msg.role === 'assistant' ? 'Assistant' : 'User'}: ${msg.content?.substring(0, 150)}...`).join('\n')}
+
 AVAILABLE TOOLS AND FUNCTIONS:
 ${toolsDescription}
 
 ROUTING RULES:
-1. **Salesforce Priority (COMPREHENSIVE)**: If user mentions ANYTHING related to sales, CRM, or business operations → ALWAYS use 'salesforce' tool
+1. **MULTIPLE REQUESTS HANDLING**: Users may include multiple commands in a single message (e.g., "search for leads in Acme AND get the weather in SF"). You MUST identify ALL separate requests and return multiple tool entries in the tools array. Each distinct request should have its own tool entry.
+
+2. **Salesforce Priority (COMPREHENSIVE)**: If user mentions ANYTHING related to sales, CRM, or business operations → ALWAYS use 'salesforce' tool
    - Sales terms: leads, contacts, accounts, opportunities, deals, prospects, customers, pipeline
-   - Actions: create, search, find, get, show, update, convert, add note, create task
+   - Actions: create, search, find, get, show, **UPDATE**, **CHANGE**, **MODIFY**, **EDIT**, **FIX**, **CORRECT**, **RENAME**, convert, add note, create task
+   - ⚠️ **UPDATE OPERATIONS**: If user says "change", "update", "modify", "edit", "set", "fix", "correct", "rename", "spelled wrong" on ANY field (name, company, email, phone, etc.) on a lead/contact/account → ALWAYS use 'salesforce' tool
+   - ⚠️ **NAME UPDATES**: If user says "update the name", "change the name", "spelled it wrong", "fix the name", "correct the spelling" → ALWAYS use 'salesforce' tool to update the record
    - SOQL: any query with SELECT, FROM, WHERE, LIMIT keywords
    - The Salesforce MCP has 30+ functions and handles ALL CRM operations automatically
    
-2. **Weather Priority**: If user asks about weather, temperature, forecast → use 'weather' tool
+3. **Weather Priority**: If user asks about weather, temperature, forecast → use 'weather' tool
 
-3. **Groq Compound Priority**: If user needs web search, current information, calculations, or code execution → use 'groq_compound' tool (FAST and lightweight)
+4. **Groq Compound Priority**: If user needs web search, current information, calculations, or code execution → use 'groq_compound' tool (FAST and lightweight)
 
-4. **HuggingFace Priority**: If user asks about AI models, datasets, machine learning models → use 'huggingface' tool
+5. **HuggingFace Priority**: If user asks about AI models, datasets, machine learning models → use 'huggingface' tool
 
-5. **Parallel Search (Slow)**: Only use 'parallel_search' if groq_compound is insufficient or user specifically needs deep/multi-source search
+6. **Parallel Search (Slow)**: Only use 'parallel_search' if groq_compound is insufficient or user specifically needs deep/multi-source search
 
-6. **Direct Answer Fallback**: For general knowledge questions without need for external data → use 'direct_answer'
+7. **Direct Answer Fallback**: For general knowledge questions without need for external data → use 'direct_answer'
 
-7. **Function Selection**: When selecting MCP tools, specify which functions to call based on the user's intent. For Salesforce, the MCP server has intelligent function routing so you can suggest common functions like sf_search_leads, sf_run_soql_query, etc.
+8. **Function Selection**: When selecting MCP tools, specify which functions to call based on the user's intent. For Salesforce, the MCP server has intelligent function routing so you can suggest common functions like sf_search_leads, sf_run_soql_query, etc.
 
-8. **Parameter Extraction**: Extract relevant parameters from the user's question (e.g., company names, search terms, SOQL queries, record IDs)
+9. **Parameter Extraction**: Extract relevant parameters from the user's question (e.g., company names, search terms, SOQL queries, record IDs)
 
 **CRITICAL FOR SALESFORCE**: 
 - The Salesforce MCP server handles ALL sales/CRM operations (30+ functions available)
 - For SOQL queries: use 'sf_run_soql_query' with the full query as parameter
 - For lead searches: use 'sf_search_leads' with company/name/status filters
 - For creating records: use 'sf_create_lead', 'sf_create_account', etc.
+- **For UPDATING records**: Use 'sf_update_lead', 'sf_update_contact', 'sf_update_account' with record ID and fields to update
+- **UPDATE WORKFLOW**: When user says "change/update/fix/correct [person's] [field] to [value]":
+  1. First: Search for the record by name (e.g., 'sf_search_leads' with name filter)
+  2. Then: Update the found record using 'sf_update_lead' with the record ID and new field values
+- **NAME UPDATE WORKFLOW**: When user says "I spelled it wrong", "update the name", "fix the name", "change name to [new name]":
+  1. First: Search for the most recent lead/contact using context from chat history
+  2. Then: Update the name fields (first_name, last_name) using 'sf_update_lead' or 'sf_update_contact'
+- **For adding notes**: Use 'sf_create_note' with parent_id (the record ID to attach the note to), title, and body
+- **IMPORTANT NOTE WORKFLOW**: When user says "add a note to [person]" you should suggest BOTH functions in sequence:
+  1. First: 'sf_search_contacts' to find the contact by name
+  2. Then the MCP server will automatically use the found contact ID to call 'sf_create_note'
 - When in doubt about sales/CRM requests: ALWAYS choose 'salesforce' tool
 
 REQUIRED JSON RESPONSE FORMAT:
@@ -195,6 +332,29 @@ Response: {
   "confidence": 0.92
 }
 
+Question: "what's the weather in NYC and also search for leads in Acme Corp"
+Response: {
+  "tools": [
+    {
+      "tool_id": "weather",
+      "functions": [],
+      "params": {
+        "location": "NYC"
+      }
+    },
+    {
+      "tool_id": "salesforce",
+      "functions": ["sf_search_leads"],
+      "params": {
+        "company": "Acme Corp"
+      }
+    }
+  ],
+  "reasoning": "User has TWO separate requests: weather check AND Salesforce lead search. Both tools needed.",
+  "primary_intent": "multiple_requests",
+  "confidence": 0.95
+}
+
 Question: "run SOQL query SELECT Id, Name FROM Lead LIMIT 10"
 Response: {
   "tools": [
@@ -227,9 +387,96 @@ Response: {
   "confidence": 0.90
 }
 
+Question: "add a note to Bob Jones reminding me to email him the examples"
+Response: {
+  "tools": [
+    {
+      "tool_id": "salesforce",
+      "functions": ["sf_search_contacts", "sf_create_note"],
+      "params": {
+        "last_name": "Jones",
+        "first_name": "Bob",
+        "title": "Email Reminder",
+        "body": "Need to email Bob the examples."
+      }
+    }
+  ],
+  "reasoning": "User wants to add a note to a contact in Salesforce. First search for Bob Jones, then add the note to his record.",
+  "primary_intent": "crm_note",
+  "confidence": 0.93
+}
+
+Question: "change Elizabeth Holmes company to Theranos"
+Response: {
+  "tools": [
+    {
+      "tool_id": "salesforce",
+      "functions": ["sf_search_leads", "sf_update_lead"],
+      "params": {
+        "first_name": "Elizabeth",
+        "last_name": "Holmes",
+        "company": "Theranos"
+      }
+    }
+  ],
+  "reasoning": "User wants to update a lead's company field in Salesforce. First search for Elizabeth Holmes, then update the company field to Theranos.",
+  "primary_intent": "crm_update",
+  "confidence": 0.95
+}
+
+Question: "I spelled it wrong. Can you update the name to Satya Nadella?"
+Response: {
+  "tools": [
+    {
+      "tool_id": "salesforce",
+      "functions": ["sf_search_leads", "sf_update_lead"],
+      "params": {
+        "fields": {
+          "FirstName": "Satya",
+          "LastName": "Nadella"
+        }
+      }
+    }
+  ],
+  "reasoning": "User wants to correct a lead's name in Salesforce. The lead to fix comes from the chat history; the corrected name goes in the update's fields.",
+  "primary_intent": "crm_update",
+  "confidence": 0.95
+}
+
+Example with CONTEXT:
+Recent Context: "Assistant: I've added Sacha Nadella as a lead..."
+Question: "Um, can you update the Sacha Nadella?"
+Response: {
+  "tools": [
+    {
+      "tool_id": "salesforce",
+      "functions": ["sf_search_leads", "sf_update_lead"],
+      "params": {
+        "last_name": "Nadella",
+        "first_name": "Sacha"
+      }
+    }
+  ],
+  "reasoning": "Context shows recent Salesforce lead creation. Vague 'update' reference with person's name indicates Salesforce update operation.",
+  "primary_intent": "crm_update",
+  "confidence": 0.90
+}
+
 Now analyze the user's question and return ONLY valid JSON:`;
 
-    const response = await groqClient.chat.completions.create({
+  return systemPrompt;
+}
+
+// Helper function to call MODEL_ROUTER with a race-based retry
+async function requestRouterCompletion(systemPrompt, question) {
+  // Race-based retry system: Fire initial request, then fire a retry after configured delay
+  // Whichever completes first wins
+  const RETRY_DELAY_MS = ROUTER_RETRY_DELAY_MS;
+  
+  console.log(`🏁 ROUTING: Starting race-based router request (retry after ${RETRY_DELAY_MS}ms)...`);
+  
+  const createRouterRequest = () => {
+    return createChatCompletion({
       model: MODEL_ROUTER,
       messages: [
         {
@@ -241,100 +488,363 @@ Now analyze the user's question and return ONLY valid JSON:`;
           content: question
         }
       ],
-      temperature: 0.1,
-      max_tokens: 1000,
-      response_format: { type: "json_object" }
+      temperature: 0.1, // Low temperature for consistent JSON output
+      max_tokens: 1000, // More tokens for detailed function/param extraction
+      response_format: { type: "json_object" } // Force JSON response
     });
+  };
+  
+  // Fire the first request immediately
+  const firstRequest = createRouterRequest();
+  let firstRequestFinished = false;
+  
+  // Set up the retry request to fire after delay
+  let retryTimer = null;
+  const retryPromise = new Promise((resolve, reject) => {
+    retryTimer = setTimeout(async () => {
+      if (!firstRequestFinished) {
+        console.log(`🔄 ROUTING: First request taking too long, firing retry request...`);
+        try {
+          const retryResponse = await createRouterRequest();
+          console.log(`✅ ROUTING: Retry request completed first!`);
+          resolve(retryResponse);
+        } catch (error) {
+          console.error(`❌ ROUTING: Retry request failed:`, error);
+          reject(error);
+        }
+      } else {
+        // First request already finished, no need for retry
+        resolve(null);
+      }
+    }, RETRY_DELAY_MS);
+  });
+  
+  // Race between the first request and the retry
+  let response;
+  try {
+    response = await Promise.race([
+      firstRequest.then(r => {
+        firstRequestFinished = true;
+        console.log(`✅ ROUTING: First request completed!`);
+        return r;
+      }),
+      retryPromise
+    ]);
+    
+    // If retry returned null (first finished), wait for first
+    if (!response) {
+      response = await firstRequest;
+    }
+  } catch (error) {
+    // If race fails, try to wait for the first request as fallback
+    console.error(`⚠️ ROUTING: Race failed, falling back to first request:`, error);
+    try {
+      response = await firstRequest;
+      console.log(`✅ ROUTING: Fallback to first request succeeded`);
+    } catch (fallbackError) {
+      console.error(`❌ ROUTING: Both requests failed:`, fallbackError);
+      throw fallbackError;
+    }
+  } finally {
+    // The race is settled - a retry that hasn't fired yet would only be a duplicate call
+    clearTimeout(retryTimer);
+  }
+
+  return response.choices[0]?.message?.content || '';
+}
+
+// Helper function to ask MODEL_ROUTER to fix an answer that failed validation (single request, no race)
+async function requestRouterRepair(systemPrompt, question, previousText, errors, schema) {
+  const response = await createChatCompletion({
+    model: MODEL_ROUTER,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: question },
+      { role: "assistant", content: previousText || '(empty response)' },
+      {
+        role: "user",
+        content: `Your routing JSON failed validation:
+${errors.slice(0, MAX_REPAIR_ERRORS).map(error => `- ${error}`).join('\n')}
+
+Use only the tool ids, function names and params listed in the available tools. Return ONLY the corrected JSON, matching this schema:
+${JSON.stringify(schema)}`
+      }
+    ],
+    temperature: 0,
+    max_tokens: 1000,
+    response_format: { type: "json_object" }
+  });
 
-    const resultText = response.choices[0]?.message?.content || '';
-    console.log(`🔍 ROUTING: AI raw response: "${resultText}"`);
+  return response.choices[0]?.message?.content || '';
+}
 
-    // Try to parse the JSON response - handle various formats
+// LLM strategy - MODEL_ROUTER picks tools, functions and params from the registry prompt
+async function llmRouter(request) {
+  const systemPrompt = buildRouterPrompt(request);
+  const schema = buildRoutingSchema(request.availableTools);
+  const resultText = await requestRouterCompletion(systemPrompt, request.question);
+  console.log(`🔍 ROUTING: AI raw response: "${resultText}"`);
+
+  let { raw, errors } = checkRoutingResponse(resultText, schema);
+  if (errors.length > 0) {
+    console.warn(`⚠️ ROUTING: Router output failed validation (${errors.length} problem(s)) - requesting repair:`, errors.slice(0, MAX_REPAIR_ERRORS));
+    routerMetrics.repairs.attempted++;
     try {
-      // First try direct JSON parsing
-      let routingDecision = JSON.parse(resultText);
-      console.log(`✅ ROUTING: Successfully parsed JSON - tools: ${JSON.stringify(routingDecision.tools)}, reasoning: "${routingDecision.reasoning}", confidence: ${routingDecision.confidence}`);
-
-      // Normalize tools array to support both old and new format
-      const normalizedTools = routingDecision.tools.map(tool => {
-        if (typeof tool === 'string') {
-          // Old format: just tool IDs
-          return { tool_id: tool, functions: [], params: {} };
-        }
-        // New format: tool objects with functions and params
-        return tool;
-      });
+      const repairedText = await requestRouterRepair(systemPrompt, request.question, resultText, errors, schema);
+      console.log(`🔧 ROUTING: Repaired response: "${repairedText}"`);
+      ({ raw, errors } = checkRoutingResponse(repairedText, schema));
+    } catch (repairError) {
+      errors = [`repair request failed: ${repairError.message}`];
+    }
 
-      return {
-        tools: normalizedTools.map(t => t.tool_id), // Keep backward compatibility
-        toolDetails: normalizedTools, // New detailed format
-        reasoning: routingDecision.reasoning || 'AI-powered routing decision',
-        primaryIntent: routingDecision.primary_intent || 'general',
-        confidence: routingDecision.confidence || 0.8
-      };
-    } catch (parseError) {
-      console.error('❌ ROUTING: Failed to parse routing decision as JSON:', parseError);
-
-      // Try multiple methods to extract JSON from the response
-      try {
-        // Method 1: Look for JSON-like content with curly braces
-        const jsonMatch = resultText.match(/\{[\s\S]*?\}/);
-        if (jsonMatch) {
-          const extractedJson = JSON.parse(jsonMatch[0]);
-          console.log(`🔄 ROUTING: Extracted JSON from braces`);
-          const normalizedTools = (extractedJson.tools || []).map(tool => 
-            typeof tool === 'string' ? { tool_id: tool, functions: [], params: {} } : tool
-          );
-          return {
-            tools: normalizedTools.map(t => t.tool_id),
-            toolDetails: normalizedTools,
-            reasoning: extractedJson.reasoning || 'Extracted from AI response',
-            primaryIntent: extractedJson.primary_intent || 'general',
-            confidence: extractedJson.confidence || 0.6
-          };
-        }
+    if (errors.length > 0) {
+      const reason = `Router output failed validation: ${errors.slice(0, 3).join('; ')}`;
+      console.error(`❌ ROUTING: ${reason}`);
+      return createFallbackDecision('Routing failed, answering directly', 0.3, 'llm', reason);
+    }
+    routerMetrics.repairs.succeeded++;
+    console.log(`✅ ROUTING: Repair succeeded`);
+  }
+
+  console.log(`✅ ROUTING: Valid decision - tools: ${JSON.stringify(raw.tools)}, reasoning: "${raw.reasoning}", confidence: ${raw.confidence}`);
+  return normalizeRoutingDecision(raw, { strategy: 'llm' });
+}
+
+// Helper function to test a routing keyword against the question (whole words/phrases, case-insensitive)
+function matchesKeyword(text, keyword) {
+  const escaped = keyword.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(text);
+}
+
+// Words that carry no routing signal when comparing a question with a tool's examples
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'at', 'by', 'with', 'about', 'from', 'is', 'are',
+  'be', 'it', 'this', 'that', 'me', 'my', 'i', 'you', 'we', 'us', 'our', 'what', 'whats', 'how', 'can', 'please',
+  'show', 'get', 'tell', 'give', 'do', 'does', 'some', 'any', 'new', 'hey', 'zoom'
+]);
+
+// Helper function to split text into lowercase content words
+function contentWords(text) {
+  return new Set(String(text || '').toLowerCase().replace(/'/g, '').split(/[^a-z0-9%]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word)));
+}
+
+// Helper function to find the first routing_pattern that matches (returns { entry, match } or null)
+function matchRoutingPattern(question, patterns = []) {
+  for (const entry of patterns) {
+    try {
+      const match = new RegExp(entry.pattern, entry.flags || '').exec(question);
+      if (match) return { entry, match: match[0].trim() };
+    } catch {
+      // Invalid patterns are rejected when tools are registered - ignore anything that slipped through
+    }
+  }
+  return null;
+}
 
-        // Method 2: Try to find JSON between code blocks
-        const codeBlockMatch = resultText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-        if (codeBlockMatch) {
-          const extractedJson = JSON.parse(codeBlockMatch[1]);
-          console.log(`🔄 ROUTING: Extracted JSON from code block`);
-          const normalizedTools = (extractedJson.tools || []).map(tool => 
-            typeof tool === 'string' ? { tool_id: tool, functions: [], params: {} } : tool
-          );
-          return {
-            tools: normalizedTools.map(t => t.tool_id),
-            toolDetails: normalizedTools,
-            reasoning: extractedJson.reasoning || 'Extracted from code block',
-            primaryIntent: extractedJson.primary_intent || 'general',
-            confidence: extractedJson.confidence || 0.6
-          };
+// Score every candidate tool against the question:
+// - routing_keywords: multi-word keywords weigh more, keywords shared by several tools (search, find) weigh less
+// - examples: +coverage of the closest example's content words, when at least half of them appear
+// - routing_patterns: +3 for a match (e.g. a literal SOQL query), which also fills in the function and param
+// direct_answer never scores - it's what the LLM (or the fallback) picks when nothing matches
+function scoreTools(question, availableTools) {
+  const text = String(question || '').toLowerCase();
+  const questionWords = contentWords(question);
+  const candidates = Object.values(availableTools).filter(tool => tool.id !== 'direct_answer');
+
+  // How many tools claim each keyword
+  const keywordOwners = new Map();
+  for (const tool of candidates) {
+    for (const keyword of new Set((tool.routing_keywords || []).map(k => k.toLowerCase()))) {
+      keywordOwners.set(keyword, (keywordOwners.get(keyword) || 0) + 1);
+    }
+  }
+
+  return candidates
+    .map(tool => {
+      const matched = [...new Set((tool.routing_keywords || []).map(k => k.toLowerCase()))]
+        .filter(keyword => matchesKeyword(text, keyword));
+      const keywordScore = matched.reduce((sum, keyword) => sum + keyword.trim().split(/\s+/).length / keywordOwners.get(keyword), 0);
+      let score = keywordScore;
+      const signals = [...matched];
+
+      let bestExample = null;
+      let bestCoverage = 0;
+      for (const example of tool.examples || []) {
+        const exampleWords = contentWords(example);
+        if (exampleWords.size === 0) continue;
+        const coverage = [...exampleWords].filter(word => questionWords.has(word)).length / exampleWords.size;
+        if (coverage > bestCoverage) {
+          bestCoverage = coverage;
+          bestExample = example;
         }
+      }
+      if (bestCoverage >= 0.5) {
+        score += bestCoverage;
+        signals.push(`example "${bestExample}"`);
+      }
 
-      } catch (extractError) {
-        console.error('❌ ROUTING: Failed to extract JSON from response:', extractError);
+      const patternMatch = matchRoutingPattern(question, tool.routing_patterns);
+      if (patternMatch) {
+        score += 3;
+        signals.push(`pattern ${patternMatch.entry.function || patternMatch.entry.pattern}`);
       }
 
-      // If all parsing fails, return default
-      console.log(`⚠️ ROUTING: All parsing failed, using default - tools: [direct_answer]`);
-      return {
-        tools: ['direct_answer'],
-        toolDetails: [{ tool_id: 'direct_answer', functions: [], params: {} }],
-        reasoning: 'Default routing due to parsing failure',
-        primaryIntent: 'general',
-        confidence: 0.5
-      };
+      return { tool, matched, signals, patternMatch, keywordScore, score };
+    })
+    .filter(entry => entry.score > 0)
+    // Ties go to built-in tools (they answer faster than an MCP round trip)
+    .sort((a, b) => b.score - a.score || (a.tool.type === 'builtin' ? -1 : 0) - (b.tool.type === 'builtin' ? -1 : 0));
+}
+
+// Keyword strategy - deterministic pre-router built on scoreTools, no model call
+function keywordRouter({ question, availableTools }) {
+  const scored = scoreTools(question, availableTools);
+
+  if (scored.length === 0) {
+    return createFallbackDecision('No routing keywords matched', 0.4, 'keyword');
+  }
+
+  // Take the best tool, plus any other tool matched on entirely different keywords (e.g. "weather ... and leads ...")
+  // A second tool needs a full keyword of its own - shared keywords and loose example overlap aren't enough
+  const selected = [scored[0]];
+  for (const entry of scored.slice(1)) {
+    const overlaps = selected.some(s => s.matched.some(keyword => entry.matched.includes(keyword)));
+    if (!overlaps && entry.keywordScore >= 1) {
+      selected.push(entry);
     }
+  }
+
+  // Confidence grows with the evidence and drops when a competing tool matched nearly as well on the same words
+  const top = scored[0];
+  const contested = scored.slice(1).some(entry =>
+    !selected.includes(entry) && entry.score >= top.score * 0.75
+  );
+  const confidence = Math.min(0.45 + 0.2 * top.score, 0.95) - (contested ? 0.2 : 0);
+
+  return {
+    tools: selected.map(s => s.tool.id),
+    toolDetails: selected.map(s => ({
+      tool_id: s.tool.id,
+      functions: s.patternMatch?.entry.function ? [s.patternMatch.entry.function] : [],
+      params: s.patternMatch?.entry.param ? { [s.patternMatch.entry.param]: s.patternMatch.match } : {}
+    })),
+    reasoning: `Keyword match: ${selected.map(s => `${s.tool.id} (${s.signals.join(', ')})`).join('; ')}`,
+    primaryIntent: selected.length > 1 ? 'multiple_requests' : (top.tool.category || 'general'),
+    confidence: Math.round(Math.max(confidence, 0.1) * 100) / 100,
+    strategy: 'keyword'
+  };
+}
+
+// Hybrid strategy - trust a confident keyword match, otherwise ask the LLM
+async function hybridRouter(request) {
+  const keywordDecision = keywordRouter(request);
+  if (keywordDecision.confidence >= ROUTER_HYBRID_MIN_CONFIDENCE) {
+    console.log(`⚡ ROUTING: Keyword match is confident (${keywordDecision.confidence}) - skipping LLM router`);
+    return { ...keywordDecision, strategy: 'hybrid:keyword' };
+  }
+
+  const llmDecision = await llmRouter(request);
+  return { ...llmDecision, strategy: 'hybrid:llm' };
+}
 
+// Per-isolate routing counters - path is the last part of the decision's strategy (hybrid:keyword -> keyword)
+let routerMetrics = createEmptyMetrics();
+
+// Helper function to start a fresh metrics window
+function createEmptyMetrics() {
+  return { since: Date.now(), total: 0, paths: {}, strategies: {}, tools: {}, repairs: { attempted: 0, succeeded: 0 }, failures: {} };
+}
+
+// Helper function to count one routing decision
+function recordRouting(decision, path, elapsedMs) {
+  routerMetrics.total++;
+  const pathStats = routerMetrics.paths[path] || (routerMetrics.paths[path] = { count: 0, total_ms: 0 });
+  pathStats.count++;
+  pathStats.total_ms += elapsedMs;
+  if (decision.strategy) {
+    routerMetrics.strategies[decision.strategy] = (routerMetrics.strategies[decision.strategy] || 0) + 1;
+  }
+  for (const toolId of decision.tools) {
+    routerMetrics.tools[toolId] = (routerMetrics.tools[toolId] || 0) + 1;
+  }
+  if (decision.routingError) {
+    const kind = decision.routingError.split(':')[0];
+    routerMetrics.failures[kind] = (routerMetrics.failures[kind] || 0) + 1;
+  }
+}
+
+// Routing counters for this isolate: how often each path answered, its share and average latency
+export function getRouterMetrics() {
+  const paths = {};
+  for (const [path, stats] of Object.entries(routerMetrics.paths)) {
+    paths[path] = {
+      count: stats.count,
+      share: Math.round((stats.count / routerMetrics.total) * 1000) / 1000,
+      avg_ms: Math.round(stats.total_ms / stats.count)
+    };
+  }
+  return {
+    instance_id: INSTANCE_ID,
+    since: routerMetrics.since,
+    strategy: ROUTER_STRATEGY,
+    hybrid_min_confidence: ROUTER_HYBRID_MIN_CONFIDENCE,
+    total: routerMetrics.total,
+    llm_calls_skipped: routerMetrics.paths.keyword?.count || 0,
+    paths,
+    strategies: { ...routerMetrics.strategies },
+    tools: { ...routerMetrics.tools },
+    repairs: { ...routerMetrics.repairs },
+    failures: { ...routerMetrics.failures }
+  };
+}
+
+// Start a new metrics window
+export function resetRouterMetrics() {
+  routerMetrics = createEmptyMetrics();
+}
+
+// Registered strategies - each takes { question, userName, context, chatHistory, availableTools } and returns a decision (or a promise of one)
+export const ROUTER_STRATEGIES = {
+  llm: llmRouter,
+  keyword: keywordRouter,
+  hybrid: hybridRouter
+};
+
+// Add (or replace) a routing strategy
+export function registerRouterStrategy(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error(`Router strategy "${name}" must be a function`);
+  }
+  ROUTER_STRATEGIES[name] = strategy;
+}
+
+// Route a question to tools
+// options.extraTools: request-scoped tool configs (e.g. custom MCPs) merged into the candidates for this call only
+// options.strategy: override ROUTER_STRATEGY for this call
+export async function intelligentRouter(question, userName, context = {}, chatHistory = [], options = {}) {
+  const strategyName = options.strategy || ROUTER_STRATEGY;
+  const strategy = ROUTER_STRATEGIES[strategyName];
+  const startedAt = Date.now();
+
+  try {
+    if (!strategy) {
+      throw new Error(`Unknown router strategy: ${strategyName}`);
+    }
+
+    // Get routing information from unified registry
+    const availableTools = { ...getAvailableTools(), ...(options.extraTools || {}) };
+
+    console.log(`ROUTING: Analyzing question: "${question}" from user: ${userName} (strategy: ${strategyName})`);
+    const decision = await strategy({ question, userName, context, chatHistory, availableTools });
+    const path = decision.routingError ? 'fallback' : String(decision.strategy || strategyName).split(':').pop();
+    recordRouting(decision, path, Date.now() - startedAt);
+    return decision;
   } catch (error) {
     console.error('❌ ROUTING: Intelligent routing error:', error);
     console.log(`⚠️ ROUTING: Error fallback - tools: [direct_answer]`);
-    return {
-      tools: ['direct_answer'],
-      toolDetails: [{ tool_id: 'direct_answer', functions: [], params: {} }],
-      reasoning: 'Error in intelligent routing, using direct answer',
-      primaryIntent: 'general',
-      confidence: 0.3
-    };
+    const decision = createFallbackDecision('Error in intelligent routing, using direct answer', 0.3, strategyName, `Router error: ${error.message}`);
+    recordRouting(decision, 'fallback', Date.now() - startedAt);
+    return decision;
   }
 }
@@ -0,0 +1,88 @@
+/**
+ * User Identity
+ * Works out which user a request belongs to, so Salesforce credentials, focus goals, approvals, tool auth
+ * and Hey Zoom answers stay separate when several people share one deployment
+ *
+ * Every browser gets a signed session cookie on its first request: a random user id plus an HMAC of it
+ * (SESSION_SECRET), so ids can't be forged or borrowed. Inside the Zoom client, a valid X-Zoom-App-Context
+ * (zoom-app-context.js) wins: the session becomes zoom_<Zoom user id>, so a Zoom user is the same user on
+ * every device they open the app on. Route handlers read the id with getUserId(c) - userId fields sent by the
+ * client are never trusted
+ */
+
+import { SESSION_SECRET, SESSION_MAX_AGE_DAYS } from "./config.js";
+import { createHmacSha256, timingSafeEqual } from "./crypto-utils.js";
+import { zoomUserId } from "./zoom-app-context.js";
+
+const SESSION_COOKIE = 'zoom_lens_session';
+
+// Without a configured secret, sessions only survive as long as this isolate
+const signingSecret = SESSION_SECRET || crypto.randomUUID();
+if (!SESSION_SECRET) {
+  console.warn('⚠️ SESSION_SECRET (or ZOOM_CLIENT_SECRET) is not set - session cookies will not survive a restart');
+}
+
+// Helper function to read one cookie from a Cookie header
+function readCookie(header, name) {
+  for (const part of (header || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  }
+  return null;
+}
+
+// Helper function to sign a user id
+function signUserId(userId) {
+  return createHmacSha256(signingSecret, `session:${userId}`);
+}
+
+// Helper function to check a session cookie value ("<user id>.<signature>"); returns the user id or null
+async function verifySession(value) {
+  const separator = (value || '').lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const userId = value.slice(0, separator);
+  const signature = value.slice(separator + 1);
+  return timingSafeEqual(signature, await signUserId(userId)) ? userId : null;
+}
+
+// Helper function to build the Set-Cookie header for a new session
+async function buildSessionCookie(userId, secure) {
+  const value = `${userId}.${await signUserId(userId)}`;
+  return [
+    `${SESSION_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/',
+    `Max-Age=${SESSION_MAX_AGE_DAYS * 24 * 60 * 60}`,
+    'HttpOnly',
+    'SameSite=Lax',
+    ...(secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+// Middleware: resolve the request's user (starting a new session when there's no valid cookie)
+// Runs after zoomAppContextMiddleware; requests without the header (fetch, EventSource) rely on the cookie
+export async function identityMiddleware(c, next) {
+  const sessionUserId = await verifySession(readCookie(c.req.header('Cookie'), SESSION_COOKIE));
+  const zoomContext = c.get('zoomContext');
+  const userId = zoomContext ? zoomUserId(zoomContext) : sessionUserId || `user_${crypto.randomUUID()}`;
+
+  // WebSocket upgrades get an id for this request only - the cookie is issued on normal page loads
+  if (userId !== sessionUserId && !c.req.header('Upgrade')) {
+    c.header('Set-Cookie', await buildSessionCookie(userId, new URL(c.req.url).protocol === 'https:'));
+  }
+
+  c.set('userId', userId);
+  return next();
+}
+
+// The current request's user id (set by identityMiddleware)
+export function getUserId(c) {
+  return c.get('userId') || 'default';
+}
+
+// Stored or broadcast entries with an owner_id belong to that user only; everything else is shared
+export function isVisibleTo(entry, userId) {
+  return !entry?.owner_id || entry.owner_id === userId;
+}
@@ -0,0 +1,205 @@
+/**
+ * Live Summary
+ * Keeps a rolling "so far" summary per meeting by folding batches of new utterances into the
+ * previous summary - the model only ever sees the running summary plus the new lines
+ */
+
+import {
+  MODEL_LIVE_SUMMARY,
+  LIVE_SUMMARY_BATCH_SIZE,
+  LIVE_SUMMARY_INTERVAL_MS,
+  INSTANCE_ID,
+  bc
+} from "./config.js";
+import { createChatCompletion } from "./llm-client.js";
+import { registerMediaHandler } from "./rtms-media.js";
+import { broadcastMeetingEvent } from "./websocket-utils.js";
+
+// A batch that fails this many folds in a row is dropped, so a model outage can't grow the queue forever
+const MAX_FOLD_ATTEMPTS = 3;
+// Hard cap on unfolded lines (oldest go first) while a slow or failing model holds up folds
+const MAX_PENDING_LINES = 200;
+
+// meetingUuid -> { summary, version, foldedCount, droppedCount, pending, failedFolds, updating, folding, timer, updatedAt }
+const liveSummaries = new Map();
+
+// Helper function to get (or create) the live summary state for a meeting
+function ensureState(meetingUuid) {
+  if (!liveSummaries.has(meetingUuid)) {
+    liveSummaries.set(meetingUuid, {
+      summary: '',
+      version: 0,
+      foldedCount: 0,
+      droppedCount: 0,
+      pending: [],
+      failedFolds: 0,
+      updating: false,
+      folding: null,
+      timer: null,
+      updatedAt: null
+    });
+  }
+  return liveSummaries.get(meetingUuid);
+}
+
+// Serializable view of a meeting's live summary
+function describeLiveSummary(meetingUuid, state) {
+  return {
+    meeting_uuid: meetingUuid,
+    summary: state.summary,
+    version: state.version,
+    utterance_count: state.foldedCount,
+    dropped_count: state.droppedCount,
+    pending_count: state.pending.length,
+    updated_at: state.updatedAt
+  };
+}
+
+// Helper function to drop the oldest unfolded lines (they never reach the summary)
+function dropLines(meetingUuid, state, count, reason) {
+  state.pending.splice(0, count);
+  state.droppedCount += count;
+  console.warn(`⚠️ LIVE SUMMARY: Dropped ${count} line(s) - ${reason} - meeting: ${meetingUuid.slice(0, 8)}...`);
+}
+
+// Queue an utterance (or chat line) and fold once a batch is ready or the interval elapses
+export function queueLiveSummaryUpdate(meetingUuid, content) {
+  if (!meetingUuid || !content?.data) return;
+
+  const state = ensureState(meetingUuid);
+  state.pending.push(`${content.user_name || 'Unknown'}${content.source === 'chat' ? ' (chat)' : ''}: ${String(content.data).trim()}`);
+  if (state.pending.length > MAX_PENDING_LINES) {
+    dropLines(meetingUuid, state, state.pending.length - MAX_PENDING_LINES, 'queue is full');
+  }
+
+  if (state.pending.length >= LIVE_SUMMARY_BATCH_SIZE) {
+    foldPending(meetingUuid);
+  } else if (!state.timer) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      foldPending(meetingUuid);
+    }, LIVE_SUMMARY_INTERVAL_MS);
+  }
+}
+
+// Fold the pending lines into the running summary and broadcast the result
+export async function foldPending(meetingUuid) {
+  const state = liveSummaries.get(meetingUuid);
+  if (!state || state.pending.length === 0 || state.updating) return;
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  // Take the batch now; anything arriving during the model call waits for the next fold
+  const batch = state.pending.splice(0, state.pending.length);
+  state.updating = true;
+  state.folding = foldBatch(meetingUuid, state, batch);
+  await state.folding;
+
+  // Lines that arrived mid-fold (or a batch put back to retry) get their own timer
+  if (liveSummaries.get(meetingUuid) === state && state.pending.length > 0 && !state.timer) {
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      foldPending(meetingUuid);
+    }, LIVE_SUMMARY_INTERVAL_MS);
+  }
+}
+
+// Helper function to ask the model to fold one batch into the summary and broadcast the result
+async function foldBatch(meetingUuid, state, batch) {
+  try {
+    const response = await createChatCompletion({
+      model: MODEL_LIVE_SUMMARY,
+      messages: [
+        {
+          role: "system",
+          content: `You maintain a live "so far" summary of a meeting for people who join late.
+You are given the current summary and the newest transcript lines. Return the UPDATED summary only.
+
+Format (Markdown, max 150 words):
+- 3-6 bullets covering the topics discussed, decisions made and open items, most important first
+- Name people when they own a decision or task
+- Merge new information into existing bullets instead of appending a log
+- Drop small talk and filler
+
+If the new lines add nothing meaningful, return the current summary unchanged.`
+        },
+        {
+          role: "user",
+          content: `CURRENT SUMMARY:\n${state.summary || '(none yet - the meeting just started)'}\n\nNEW TRANSCRIPT LINES:\n${batch.join('\n')}`
+        }
+      ],
+      temperature: 0.2,
+      max_tokens: 400
+    });
+
+    const updated = response.choices[0]?.message?.content?.trim();
+    if (updated) {
+      state.summary = updated;
+      state.version++;
+    }
+    state.foldedCount += batch.length;
+    state.failedFolds = 0;
+    state.updatedAt = Date.now();
+
+    const payload = describeLiveSummary(meetingUuid, state);
+    broadcastMeetingEvent('summary', payload, meetingUuid);
+    if (bc) {
+      bc.postMessage({ type: 'summary', origin: INSTANCE_ID, payload });
+    }
+    console.log(`🧾 LIVE SUMMARY: Folded ${batch.length} line(s) into v${state.version} - meeting: ${meetingUuid.slice(0, 8)}...`);
+  } catch (error) {
+    console.error(`❌ LIVE SUMMARY: Update failed - meeting: ${meetingUuid.slice(0, 8)}...:`, error.message);
+    // Put the batch back so the next fold retries it - up to MAX_FOLD_ATTEMPTS times
+    state.failedFolds++;
+    state.pending.unshift(...batch);
+    if (state.failedFolds >= MAX_FOLD_ATTEMPTS) {
+      state.failedFolds = 0;
+      dropLines(meetingUuid, state, batch.length, `${MAX_FOLD_ATTEMPTS} folds failed`);
+    }
+  } finally {
+    state.updating = false;
+    state.folding = null;
+  }
+}
+
+// Fold whatever is left when the meeting ends, then forget the meeting - the post-meeting summary takes over
+// Also called when another isolate reports the meeting stopped, to drop the relayed copy
+export async function finishLiveSummary(meetingUuid) {
+  const state = liveSummaries.get(meetingUuid);
+  if (!state) return;
+
+  // A fold already in flight has taken its batch - wait for it, then fold what arrived since
+  await state.folding;
+  await foldPending(meetingUuid);
+  if (state.timer) {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+  liveSummaries.delete(meetingUuid);
+}
+
+// Get the live summary for a meeting (null if nothing has been summarized yet)
+export function getLiveSummary(meetingUuid) {
+  const state = liveSummaries.get(meetingUuid);
+  return state ? describeLiveSummary(meetingUuid, state) : null;
+}
+
+// Cache a live summary relayed from the isolate that owns the meeting's sockets
+export function rememberLiveSummary(payload) {
+  if (!payload?.meeting_uuid) return;
+  const state = ensureState(payload.meeting_uuid);
+  if (payload.version >= state.version) {
+    state.summary = payload.summary;
+    state.version = payload.version;
+    state.foldedCount = payload.utterance_count;
+    state.droppedCount = payload.dropped_count || 0;
+    state.updatedAt = payload.updated_at;
+  }
+}
+
+// Spoken transcript and meeting chat both feed the live summary
+registerMediaHandler('transcript', (content, { meetingUuid }) => queueLiveSummaryUpdate(meetingUuid, content));
+registerMediaHandler('chat', (content, { meetingUuid }) => queueLiveSummaryUpdate(meetingUuid, { ...content, source: 'chat' }));
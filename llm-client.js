@@ -0,0 +1,308 @@
+/**
+ * LLM Client
+ * Single entry point for chat completions, so the router, inference, discovery and summaries can run
+ * against something other than the live Groq API
+ *
+ * Clients (all expose createChatCompletion(request) with the OpenAI request/response shape):
+ * - live:     Groq through the OpenAI SDK (default)
+ * - record:   live, and every request/response pair is appended to a cassette file
+ * - replay:   answers from the cassette only - no network, no API key
+ * - scripted: canned responses for tests (createScriptedLlmClient)
+ *
+ * LLM_CLIENT_MODE picks live, record or replay at startup; setLlmClient() swaps the client in code
+ *
+ * Every request's messages pass through redaction.js first, so credentials never reach the provider
+ * whatever the caller put in the prompt; recorded responses are redacted before they're written to a cassette
+ *
+ * Streaming: a request with stream: true resolves to an async iterable of chunks instead of a completion
+ * (cassettes record and replay the chunks); streamChatCompletion() forwards content deltas and returns
+ * the assembled completion, so callers handle streamed and non-streamed answers the same way
+ */
+
+import OpenAI from "npm:openai@4.52.7";
+import { GROQ_API_KEY, LLM_CLIENT_MODE, LLM_CASSETTE_PATH } from "./config.js";
+import { redactText, redactValue } from "./redaction.js";
+
+let activeClient = null;
+
+// Wrap plain text (or a message object) in the chat completion shape callers expect
+export function completionFromText(content) {
+  const message = typeof content === 'string' ? { role: 'assistant', content } : { role: 'assistant', ...content };
+  return {
+    id: `chatcmpl-fake-${crypto.randomUUID()}`,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    choices: [{ index: 0, message, finish_reason: 'stop' }]
+  };
+}
+
+// Split a completion into stream chunks (a word or so per chunk) - used by the scripted client
+export function chunksFromCompletion(completion) {
+  const choice = completion.choices?.[0] || {};
+  const { role = 'assistant', content, ...rest } = choice.message || {};
+  const base = { id: completion.id, object: 'chat.completion.chunk', created: completion.created, model: completion.model };
+  const pieces = String(content || '').match(/\s*\S+\s*/g) || [];
+
+  return [
+    { ...base, choices: [{ index: 0, delta: { role, content: '' }, finish_reason: null }] },
+    ...pieces.map(piece => ({ ...base, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] })),
+    { ...base, choices: [{ index: 0, delta: rest, finish_reason: choice.finish_reason || 'stop' }] }
+  ];
+}
+
+// Helper function to serve a list of chunks as a stream
+async function* iterateChunks(chunks) {
+  for (const chunk of chunks) {
+    yield chunk;
+  }
+}
+
+// Helper function to pass a stream through while collecting its chunks; onDone runs once it's fully read
+async function* collectChunks(stream, onDone) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+    yield chunk;
+  }
+  await onDone(chunks);
+}
+
+// Live Groq client - the SDK is only constructed on first use, so importing this module never needs a key
+export function createGroqLlmClient({ apiKey = GROQ_API_KEY, baseURL = "https://api.groq.com/openai/v1" } = {}) {
+  let sdk = null;
+
+  return {
+    type: 'live',
+    async createChatCompletion(request) {
+      if (!sdk) {
+        if (!apiKey) {
+          throw new Error('GROQ_API_KEY is not set');
+        }
+        sdk = new OpenAI({ apiKey, baseURL });
+      }
+      return await sdk.chat.completions.create(request);
+    }
+  };
+}
+
+// Helper function to mask dates so a cassette recorded on one day still replays on another
+function maskDates(text) {
+  return text
+    .replace(/\b(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday), [A-Z][a-z]+ \d{1,2}, \d{4}\b/g, '<date>')
+    .replace(/\b\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?\b/g, '<date>');
+}
+
+// Helper function to hash a request into a cassette key
+async function cassetteKey(request) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(maskDates(JSON.stringify(request))));
+  return Array.from(new Uint8Array(digest).slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Helper function to read a cassette file (empty when it doesn't exist yet)
+async function readCassette(path) {
+  try {
+    const cassette = JSON.parse(await Deno.readTextFile(path));
+    return { version: 1, entries: [], ...cassette };
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) return { version: 1, entries: [] };
+    throw error;
+  }
+}
+
+// Helper function to redact recorded stream chunks - a secret can be split across content deltas, so the content
+// is also redacted as a whole and, when that changes it, carried by the first content chunk
+function redactChunks(chunks) {
+  const redacted = redactValue(chunks);
+  const contentDeltas = redacted.map(chunk => chunk.choices?.[0]?.delta).filter(delta => typeof delta?.content === 'string');
+  const content = contentDeltas.map(delta => delta.content).join('');
+  const safeContent = redactText(content);
+  if (safeContent !== content) {
+    contentDeltas.forEach((delta, index) => {
+      delta.content = index === 0 ? safeContent : '';
+    });
+  }
+  return redacted;
+}
+
+// Cassette client - record: pass through to `inner` and save each pair; replay: serve saved pairs in order
+// Requests are matched on a hash of the full request (dates masked); identical requests replay in recorded order
+// Only the key, model and a short preview are stored with each response - never the prompt itself
+export function createCassetteLlmClient({ path = LLM_CASSETTE_PATH, mode = 'replay', inner = null } = {}) {
+  if (mode === 'record' && !inner) {
+    throw new Error('Recording a cassette needs an inner client');
+  }
+
+  let cassettePromise = null;
+  let writeChain = Promise.resolve(); // Concurrent recordings write the file one at a time
+  const served = new Map(); // key -> number of entries already replayed
+
+  const loadCassette = () => cassettePromise || (cassettePromise = readCassette(path));
+
+  return {
+    type: mode,
+    path,
+
+    async createChatCompletion(request) {
+      const cassette = await loadCassette();
+      const key = await cassetteKey(request);
+
+      if (mode === 'replay') {
+        const matches = cassette.entries.filter(entry => entry.key === key);
+        const index = served.get(key) || 0;
+        if (index >= matches.length) {
+          const preview = String(request.messages?.at(-1)?.content || '').slice(0, 80);
+          throw new Error(`No cassette entry for ${request.model} request "${preview}" (key ${key}) in ${path} - record it with LLM_CLIENT_MODE=record`);
+        }
+        served.set(key, index + 1);
+        const entry = matches[index];
+        return entry.chunks ? iterateChunks(structuredClone(entry.chunks)) : structuredClone(entry.response);
+      }
+
+      // Helper function to append an entry and write the cassette
+      // Responses can quote credentials (an MCP tool's output, say) and cassettes get committed, so they're redacted first
+      const saveEntry = async (recorded) => {
+        cassette.entries.push({
+          key,
+          model: request.model,
+          preview: redactText(String(request.messages?.at(-1)?.content || '').slice(0, 80)),
+          recorded_at: new Date().toISOString(),
+          ...redactValue(recorded)
+        });
+        writeChain = writeChain.then(async () => {
+          const directory = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+          if (directory) {
+            await Deno.mkdir(directory, { recursive: true });
+          }
+          await Deno.writeTextFile(path, `${JSON.stringify(cassette, null, 2)}\n`);
+        });
+        await writeChain;
+      };
+
+      const response = await inner.createChatCompletion(request);
+      if (request.stream) {
+        // Streams are saved once fully read, as the list of chunks
+        return collectChunks(response, chunks => saveEntry({ chunks: redactChunks(chunks) }));
+      }
+      await saveEntry({ response });
+      return response;
+    }
+  };
+}
+
+// Scripted client for tests - script is a list of responses (text, message objects, full completions or
+// Errors to throw) consumed in order, or a function (request, callIndex) returning one; every request is kept in .calls
+// Streamed requests get the same response split into chunks
+export function createScriptedLlmClient(script = []) {
+  const calls = [];
+
+  return {
+    type: 'scripted',
+    calls,
+
+    async createChatCompletion(request) {
+      calls.push(request);
+      const step = typeof script === 'function' ? await script(request, calls.length - 1) : script[calls.length - 1];
+      if (step === undefined) {
+        throw new Error(`Scripted LLM client has no response for call ${calls.length}`);
+      }
+      if (step instanceof Error) {
+        throw step;
+      }
+      const completion = step?.choices ? step : completionFromText(step);
+      return request.stream ? iterateChunks(chunksFromCompletion(completion)) : completion;
+    }
+  };
+}
+
+// Get the active client (built from LLM_CLIENT_MODE on first use)
+export function getLlmClient() {
+  if (activeClient) return activeClient;
+
+  if (LLM_CLIENT_MODE === 'replay') {
+    activeClient = createCassetteLlmClient({ mode: 'replay' });
+    console.log(`📼 LLM client: replaying ${LLM_CASSETTE_PATH}`);
+  } else if (LLM_CLIENT_MODE === 'record') {
+    activeClient = createCassetteLlmClient({ mode: 'record', inner: createGroqLlmClient() });
+    console.log(`📼 LLM client: live, recording to ${LLM_CASSETTE_PATH}`);
+  } else {
+    activeClient = createGroqLlmClient();
+  }
+  return activeClient;
+}
+
+// Swap the active client (tests, the eval harness, or another provider)
+export function setLlmClient(client) {
+  activeClient = client;
+}
+
+// Helper function to strip credentials from a request's messages (tool configs and their auth headers are untouched)
+function redactRequest(request) {
+  if (!request.messages) return request;
+
+  const messages = redactValue(request.messages);
+  if (JSON.stringify(messages) === JSON.stringify(request.messages)) {
+    return request;
+  }
+  console.warn(`🔒 Redacted credentials from a ${request.model} request`);
+  return { ...request, messages };
+}
+
+// Create a chat completion with the active client
+export function createChatCompletion(request) {
+  return getLlmClient().createChatCompletion(redactRequest(request));
+}
+
+// Helper function to fold one stream chunk into the completion being assembled
+function mergeChunk(completion, chunk) {
+  completion.id = completion.id || chunk.id;
+  completion.model = chunk.model || completion.model;
+  completion.created = completion.created || chunk.created;
+  if (chunk.usage || chunk.x_groq?.usage) {
+    completion.usage = chunk.usage || chunk.x_groq.usage;
+  }
+
+  for (const choiceDelta of chunk.choices || []) {
+    const index = choiceDelta.index || 0;
+    const choice = completion.choices[index] || (completion.choices[index] = { index, message: { role: 'assistant', content: '' }, finish_reason: null });
+    const { content, reasoning, tool_calls, executed_tools, ...rest } = choiceDelta.delta || {};
+    const message = choice.message;
+
+    if (content) message.content += content;
+    if (reasoning) message.reasoning = (message.reasoning || '') + reasoning;
+
+    // Standard tool calls arrive in pieces: the arguments string is split across chunks
+    for (const call of tool_calls || []) {
+      const calls = message.tool_calls || (message.tool_calls = []);
+      const existing = calls[call.index] || (calls[call.index] = { id: call.id, type: call.type || 'function', function: { name: '', arguments: '' } });
+      existing.id = call.id || existing.id;
+      existing.function.name += call.function?.name || '';
+      existing.function.arguments += call.function?.arguments || '';
+    }
+
+    // Groq's executed tools arrive whole, then again with their output
+    for (const tool of executed_tools || []) {
+      const tools = message.executed_tools || (message.executed_tools = []);
+      const position = tool.index ?? tools.length;
+      tools[position] = { ...tools[position], ...tool };
+    }
+
+    Object.assign(message, rest);
+    choice.finish_reason = choiceDelta.finish_reason || choice.finish_reason;
+  }
+}
+
+// Stream a chat completion with the active client: onDelta(text) gets each piece of content as it
+// arrives, and the assembled completion comes back in the usual (non-streamed) shape
+export async function streamChatCompletion(request, onDelta) {
+  const stream = await createChatCompletion({ ...request, stream: true });
+  const completion = { id: null, object: 'chat.completion', created: null, model: request.model, choices: [] };
+
+  for await (const chunk of stream) {
+    mergeChunk(completion, chunk);
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) {
+      onDelta(text);
+    }
+  }
+  return completion;
+}
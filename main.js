@@ -5,7 +5,7 @@
  * This application uses an AI-powered intelligent router instead of regex-based keyword matching.
  * 
  * Key Features:
- * 1. AI Router (intelligentRouter): Uses openai/gpt-oss-20b to analyze user intent
+ * 1. AI Router (intelligentRouter in groq-router.js): keyword pre-router with LLM fallback by default (ROUTER_STRATEGY)
  * 2. Tool Registry (UNIFIED_TOOL_REGISTRY): Single source of truth for all tools
  * 3. MCP Function Details: Each MCP tool includes specific function definitions and parameters
  * 4. Parameter Extraction: Router automatically extracts parameters from user queries
@@ -42,70 +42,116 @@ import {
   ZOOM_SECRET_TOKEN, 
   WEBHOOK_PATH, 
   GROQ_API_KEY, 
-  groqClient,
   SALESFORCE_MCP_URL,
   INSTANCE_ID,
   bc,
   MODEL_DISCOVERY,
   MODEL_EXTRACTOR,
-  MODEL_COMPRESSOR
+  MODEL_COMPRESSOR,
+  TOOLS_ADMIN_TOKEN,
+  LLM_CLIENT_MODE
 } from "./config.js";
-import {
-  getSalesforceSessionId,
-  setSalesforceCredentials,
-  clearSalesforceCredentials,
-  processToolAuth
-} from "./auth-utils.js";
+import { createChatCompletion } from "./llm-client.js";
 import {
   createHmacSha256,
-  generateSignature
+  generateSignature,
+  verifyZoomWebhookSignature,
+  timingSafeEqual
 } from "./crypto-utils.js";
 import {
-  activeConnections,
   sseClients,
   resolveWsUrl,
   parseWsJson,
   addToRecentTranscripts,
   getRecentTranscripts,
-  connectToSignalingWebSocket,
-  connectToMediaWebSocket
+  connectToMediaWebSocket,
+  startRtmsStream,
+  stopRtmsStream,
+  getStreamStatus,
+  getAllStreamStatuses,
+  broadcastMeetingEvent,
+  broadcastUserEvent
 } from "./websocket-utils.js";
-
-// Helper function to broadcast progress updates to SSE clients
-function broadcastProgress(message, type = 'progress') {
+import { identityMiddleware, getUserId, isVisibleTo } from "./identity.js";
+import { zoomAppContextMiddleware, getZoomContext, isMeetingParticipant } from "./zoom-app-context.js";
+import { putCredential, deleteCredential, listCredentials, rotateVaultKey } from "./credential-vault.js";
+import {
+  registerMeeting,
+  endMeeting,
+  recordMeetingTranscript,
+  getMeeting,
+  getMeetingTranscripts,
+  listMeetings
+} from "./meeting-registry.js";
+import {
+  TRANSCRIPT_KINDS,
+  getTranscriptStore,
+  persistTranscript,
+  listAllTranscripts,
+  INVALID_CURSOR_ERROR
+} from "./transcript-store.js";
+import { EXPORT_FORMATS, exportTranscript } from "./transcript-export.js";
+import { summarizeMeeting, getMeetingSummary } from "./meeting-summary.js";
+import { getLiveSummary, rememberLiveSummary, finishLiveSummary } from "./live-summary.js";
+import {
+  proposeCrmSync,
+  getCrmSyncProposal,
+  rememberCrmSyncProposal,
+  commitCrmSync
+} from "./crm-sync.js";
+import {
+  listActions,
+  getAction,
+  rememberAction,
+  editAction,
+  approveAction,
+  rejectAction
+} from "./approvals.js";
+
+// Helper function to broadcast progress updates to the requesting user's SSE clients
+function broadcastProgress(userId, message, type = 'progress') {
   const progressTranscript = {
     user_id: 'groq-ai',
     user_name: 'Groq AI Assistant',
     data: message,
     timestamp: Date.now(),
     processing: true,
-    type: type
+    type: type,
+    owner_id: userId
   };
   
   // Broadcast to SSE clients
-  for (const client of sseClients) {
-    try {
-      client.send('event: progress\n' + 'data: ' + JSON.stringify({
-        content: progressTranscript
-      }) + '\n\n');
-    } catch (error) {
-      console.error('Error broadcasting progress:', error);
-    }
-  }
+  broadcastUserEvent('progress', { content: progressTranscript }, userId);
   
   // Store for polling clients
   addToRecentTranscripts(progressTranscript);
   
   return progressTranscript;
 }
+
+// Helper function to broadcast a streamed answer delta to the requesting user's SSE clients
+// delta is { text } (append), { reset: true } (discard what was streamed) or { done: true } (stream finished)
+// Deltas aren't stored for polling clients - they get the finished response transcript instead
+function broadcastDelta(userId, requestId, delta) {
+  broadcastUserEvent('delta', { request_id: requestId, ...delta }, userId);
+}
 import {
   UNIFIED_TOOL_REGISTRY,
-  addTool,
   getAvailableTools,
   getToolsByNamespace,
   getRoutingInfo,
-  setBuiltinHandlers
+  setBuiltinHandlers,
+  validateCustomMcps
 } from "./tool-registry-unified.js";
+import { startMcpDiscovery, refreshMcpDiscovery } from "./mcp-discovery.js";
+import { getRouterMetrics } from "./groq-router.js";
+import {
+  reloadStoredTools,
+  listTools,
+  describeTool,
+  saveTool,
+  deleteTool
+} from "./tool-store.js";
 import {
   getSalesforceStatus,
   getSalesforceOAuthUrl,
@@ -121,7 +167,6 @@ import {
   suggestFocusGoals
 } from "./salesforce-focus.js";
 import {
-  intelligentRouter,
   correctZoomSpelling,
   detectZoomTrigger,
   getWeather,
@@ -131,88 +176,11 @@ import {
 } from "./ai-inference.js";
 
 // Tool registry and helper functions are now imported from tool-registry-unified.js
+// Extra MCP tools are registered at runtime through /api/tools (persisted by tool-store.js)
+reloadStoredTools().catch(error => console.error('❌ Failed to load stored tools:', error));
 
-// Example of adding tools programmatically with different auth types:
-
-// Example 1: MCP tool with API key header authentication
-// addTool('custom_api_tool', {
-//   type: 'mcp',
-//   category: 'ai_ml',
-//   namespace: 'custom',
-//   displayName: '🤖 Custom API Tool',
-//   description: 'Custom API tool with header authentication',
-//   routing_keywords: ['custom', 'api', 'search'],
-//   examples: ['search custom api', 'find with custom tool'],
-//   serverLabel: 'CustomAPI',
-//   serverUrl: 'https://api.example.com/mcp',
-//   requireApproval: 'never',
-//   allowedTools: ['search', 'analyze'],
-//   auth: { type: 'env_header', header: 'X-API-Key', env: 'CUSTOM_API_KEY' }
-// });
-
-// Example 2: MCP tool with Bearer token authentication  
-// addTool('custom_bearer_tool', {
-//   type: 'mcp',
-//   category: 'search',
-//   namespace: 'custom',
-//   displayName: '🔐 Custom Bearer Tool',
-//   description: 'Custom tool with Bearer token auth',
-//   routing_keywords: ['secure', 'bearer', 'auth'],
-//   examples: ['secure search', 'authenticated query'],
-//   serverLabel: 'SecureAPI',
-//   serverUrl: 'https://secure-api.example.com/mcp',
-//   requireApproval: 'always',
-//   allowedTools: ['secure_search'],
-//   auth: { type: 'bearer_token', env: 'SECURE_API_TOKEN' }
-// });
-
-// Example 3: MCP tool with generic API key authentication (uses X-API-Key by default)
-// addTool('simple_api_tool', {
-//   type: 'mcp',
-//   category: 'utility',
-//   namespace: 'simple',
-//   displayName: '⚡ Simple API Tool',
-//   description: 'Simple tool with standard API key auth',
-//   routing_keywords: ['simple', 'basic', 'quick'],
-//   examples: ['quick search', 'basic query'],
-//   serverLabel: 'SimpleAPI',
-//   serverUrl: 'https://simple.example.com/mcp',
-//   requireApproval: 'never',
-//   allowedTools: ['basic_search'],
-//   auth: { type: 'api_key', env: 'SIMPLE_API_KEY' }
-// });
-
-// Example 4: MCP tool with no authentication required
-// addTool('public_tool', {
-//   type: 'mcp',
-//   category: 'utility',
-//   namespace: 'public',
-//   displayName: '🌐 Public Tool',
-//   description: 'Public tool requiring no authentication',
-//   routing_keywords: ['public', 'free', 'open'],
-//   examples: ['public search', 'open data'],
-//   serverLabel: 'PublicAPI',
-//   serverUrl: 'https://public-api.example.com/mcp',
-//   requireApproval: 'never',
-//   allowedTools: ['public_search'],
-//   auth: { type: 'none' }
-// });
-
-// Example 5: Built-in tool (no auth needed, uses handler function)
-// addTool('custom_builtin_tool', {
-//   type: 'builtin',
-//   category: 'utility',
-//   namespace: 'custom',
-//   displayName: '⚙️ Custom Tool',
-//   description: 'Custom built-in tool',
-//   routing_keywords: ['custom', 'utility', 'tool'],
-//   examples: ['use custom tool', 'run custom function'],
-//   handler: async (query, context) => {
-//     // Your custom handler logic here
-//     return { response: `Custom tool result for: ${query}` };
-//   }
-// });
-
+// Discover MCP functions via tools/list now and on MCP_DISCOVERY_INTERVAL_MS
+startMcpDiscovery();
 
 const app = new Hono();
 
@@ -287,6 +255,10 @@ app.use('*', (c, next) => {
   return addSecurityHeaders(c, next);
 });
 
+// Every request belongs to a user (Zoom App context or signed session cookie) - see identity.js
+app.use('*', zoomAppContextMiddleware);
+app.use('*', identityMiddleware);
+
 // RTMS data structures are now imported from websocket-utils.js
 // Set up BroadcastChannel message handler
 if (bc) {
@@ -294,10 +266,38 @@ if (bc) {
     try {
       const msg = ev.data;
       if (!msg || msg.origin === INSTANCE_ID) return;
-      if (msg.type === 'transcript') {
-        for (const client of sseClients) {
-          client.send('event: transcript\n' + 'data: ' + JSON.stringify(msg.payload) + '\n\n');
+      if (msg.type === 'transcript' || msg.type === 'chat') {
+        recordMeetingTranscript(msg.payload.meeting_uuid, msg.payload.content);
+        broadcastMeetingEvent(msg.type, msg.payload, msg.payload.meeting_uuid);
+      }
+      if (msg.type === 'status') {
+        // Keep this isolate's meeting list in sync with streams owned by other isolates
+        if (msg.payload.state === 'connecting') {
+          registerMeeting(msg.payload.meeting_uuid, { streamId: msg.payload.rtms_stream_id, startedAt: msg.payload.started_at });
+        } else if (msg.payload.state === 'stopped') {
+          endMeeting(msg.payload.meeting_uuid, msg.payload.updated_at);
+          finishLiveSummary(msg.payload.meeting_uuid);
         }
+        broadcastMeetingEvent('status', msg.payload, msg.payload.meeting_uuid);
+      }
+      if (msg.type === 'summary') {
+        rememberLiveSummary(msg.payload);
+        broadcastMeetingEvent('summary', msg.payload, msg.payload.meeting_uuid);
+      }
+      if (msg.type === 'meeting_summary') {
+        broadcastMeetingEvent('meeting_summary', msg.payload, msg.payload.meeting_uuid);
+      }
+      if (msg.type === 'crm_sync') {
+        rememberCrmSyncProposal(msg.payload);
+        broadcastUserEvent('crm_sync', msg.payload, msg.payload.owner_id);
+      }
+      if (msg.type === 'approval') {
+        rememberAction(msg.payload);
+        broadcastUserEvent('approval', msg.payload, msg.payload.user_id);
+      }
+      if (msg.type === 'tools-changed') {
+        // Another isolate edited the tool registry - reload ours from the shared store
+        reloadStoredTools().catch(error => console.error('❌ Failed to reload stored tools:', error));
       }
     } catch {}
   };
@@ -373,7 +373,30 @@ app.get("/", async (c) => {
 // RTMS Webhook endpoint
 app.post(WEBHOOK_PATH, async (c) => {
   try {
-    const body = await c.req.json();
+    // Verify the signature over the raw body before trusting any part of the event
+    const rawBody = await c.req.text();
+    const verification = await verifyZoomWebhookSignature(
+      rawBody,
+      c.req.header('x-zm-request-timestamp'),
+      c.req.header('x-zm-signature')
+    );
+
+    if (!verification.valid) {
+      console.warn(`🚫 WEBHOOK: Rejected request - ${verification.reason}`);
+      return c.json({ error: 'Invalid webhook signature' }, 401);
+    }
+
+    // Signed but not a JSON object (including null) is still a bad request, not a server error
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch {
+      body = null;
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      console.warn('🚫 WEBHOOK: Rejected request - body is not a JSON object');
+      return c.json({ error: 'Invalid JSON body' }, 400);
+    }
     const { event, payload } = body;
 
     // Handle URL validation event
@@ -389,21 +412,21 @@ app.post(WEBHOOK_PATH, async (c) => {
     if (event === 'meeting.rtms_started') {
       const { meeting_uuid, rtms_stream_id, server_urls } = payload;
       console.log(`🚀 WEBHOOK: RTMS started - meeting: ${meeting_uuid.slice(0, 8)}..., stream: ${rtms_stream_id}, initiating signaling connection`);
-      connectToSignalingWebSocket(meeting_uuid, rtms_stream_id, server_urls);
+      registerMeeting(meeting_uuid, { streamId: rtms_stream_id });
+      startRtmsStream(meeting_uuid, rtms_stream_id, server_urls);
     }
 
-    // Handle RTMS stopped event
+    // Handle RTMS stopped event - expected close, so no reconnect
     if (event === 'meeting.rtms_stopped') {
       const { meeting_uuid } = payload;
-      if (activeConnections.has(meeting_uuid)) {
-        const connections = activeConnections.get(meeting_uuid);
-        for (const conn of Object.values(connections)) {
-          if (conn && typeof conn.close === 'function') {
-            conn.close();
-          }
-        }
-        activeConnections.delete(meeting_uuid);
-      }
+      console.log(`🛑 WEBHOOK: RTMS stopped - meeting: ${meeting_uuid.slice(0, 8)}..., closing sockets`);
+      stopRtmsStream(meeting_uuid);
+      endMeeting(meeting_uuid);
+      finishLiveSummary(meeting_uuid);
+
+      // Post-meeting summary runs in the background - don't hold up Zoom's webhook response
+      // CRM sync proposals depend on each user's focus record, so the UI asks for its own once the summary is ready
+      summarizeMeeting(meeting_uuid).catch((error) => console.error('❌ Post-meeting pipeline error:', error));
     }
 
     return c.json({ status: 'Event received' });
@@ -415,15 +438,39 @@ app.post(WEBHOOK_PATH, async (c) => {
 
 // WebSocket functions are now imported from websocket-utils.js
 
+// Helper function to guard a meeting's transcripts, summaries and streams - only its participants (their in-client
+// app has been open in it) or the admin token get through
+function checkMeetingAccess(c, meetingUuid) {
+  if (isMeetingParticipant(c, meetingUuid) || hasAdminToken(c)) return null;
+  return c.json({ success: false, error: 'Only participants of this meeting (or the admin token) can access it' }, 403);
+}
+
+// Helper function to pick the meeting a request's answers are stored under - the meeting_uuid the client sent
+// only when the caller took part in it, else the meeting their Zoom App is open in
+function resolveCallerMeeting(c, meetingUuid) {
+  if (meetingUuid && isMeetingParticipant(c, meetingUuid)) return meetingUuid;
+  return getZoomContext(c)?.meetingUuid || null;
+}
+
 // SSE endpoint for streaming transcripts to a minimal UI
+// ?meeting=<uuid> picks the meeting to follow (participants only), defaulting to the one the Zoom App is open in;
+// without either the client gets no meeting events. Hey Zoom answers and approvals only go to the session user's own clients
 app.get('/events', (c) => {
-  console.log(`🔌 [SSE-ENDPOINT] New SSE client connecting`);
+  const meetingUuid = c.req.query('meeting') || getZoomContext(c)?.meetingUuid || null;
+  if (meetingUuid) {
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+  }
+  const userId = getUserId(c);
+  console.log(`🔌 [SSE-ENDPOINT] New SSE client connecting${meetingUuid ? ` - meeting: ${meetingUuid.slice(0, 8)}...` : ''}`);
   let clientRef = null;
   const stream = new ReadableStream({
     start(controller) {
       const encoder = new TextEncoder();
       clientRef = {
         send: (text) => controller.enqueue(encoder.encode(text)),
+        meetingUuid,
+        userId,
       };
       sseClients.add(clientRef);
       console.log(`✅ [SSE-ENDPOINT] Client added, total clients: ${sseClients.size}`);
@@ -468,23 +515,323 @@ app.options('/events', (c) => {
 });
 
 // Polling endpoint for embedded environments that can't use SSE
-let lastPollTimestamp = Date.now();
+// Scoped like /events: ?meeting=<uuid>, else the meeting the Zoom App is open in, else the caller's own entries
+const lastPollTimestamps = new Map(); // userId -> time of their last poll
 
 app.get('/api/poll-transcripts', (c) => {
-  // Return transcripts added since last poll
-  const since = parseInt(c.req.query('since')) || lastPollTimestamp;
-  const recentTranscripts = getRecentTranscripts();
-  const newTranscripts = recentTranscripts.filter(t => t.timestamp > since);
+  // Return transcripts added since the caller's last poll
+  const userId = getUserId(c);
+  const since = parseInt(c.req.query('since')) || lastPollTimestamps.get(userId) || Date.now();
+  const meetingUuid = c.req.query('meeting') || getZoomContext(c)?.meetingUuid;
+  if (meetingUuid) {
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+  }
+  const recentTranscripts = meetingUuid
+    ? getMeetingTranscripts(meetingUuid)
+    : getRecentTranscripts().filter(t => t.owner_id === userId);
+  const newTranscripts = recentTranscripts.filter(t => t.timestamp > since && isVisibleTo(t, userId));
   
-  lastPollTimestamp = Date.now();
+  const timestamp = Date.now();
+  lastPollTimestamps.set(userId, timestamp);
   
   return c.json({
     transcripts: newTranscripts,
-    timestamp: lastPollTimestamp,
+    timestamp,
     total_stored: recentTranscripts.length
   });
 });
 
+// Meeting sessions - the live and recently ended meetings the caller took part in, with participant counts and start/stop times
+app.get('/api/meetings', (c) => {
+  const meetings = listMeetings().filter(meeting => !checkMeetingAccess(c, meeting.meeting_uuid)).map((meeting) => ({
+    ...meeting,
+    stream: getStreamStatus(meeting.meeting_uuid)
+  }));
+
+  return c.json({
+    success: true,
+    live: meetings.filter(m => m.status === 'live').length,
+    meetings
+  });
+});
+
+// Single meeting session with its buffered transcripts
+app.get('/api/meetings/:meetingUuid', (c) => {
+  const meetingUuid = c.req.param('meetingUuid');
+  const denied = checkMeetingAccess(c, meetingUuid);
+  if (denied) return denied;
+
+  const meeting = getMeeting(meetingUuid);
+  if (!meeting) {
+    return c.json({ success: false, error: 'Meeting not found' }, 404);
+  }
+
+  return c.json({
+    success: true,
+    meeting: { ...meeting, stream: getStreamStatus(meetingUuid) },
+    transcripts: getMeetingTranscripts(meetingUuid)
+  });
+});
+
+// Stored transcript history for a meeting (utterances, chat, AI responses, discovery insights)
+// Query: cursor (from next_cursor), limit (default 50, max 500), kind, order=asc|desc
+app.get('/api/meetings/:meetingUuid/transcripts', async (c) => {
+  try {
+    const meetingUuid = c.req.param('meetingUuid');
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const kind = c.req.query('kind');
+    if (kind && !TRANSCRIPT_KINDS.includes(kind)) {
+      return c.json({ success: false, error: `Unknown kind: ${kind} (expected one of ${TRANSCRIPT_KINDS.join(', ')})` }, 400);
+    }
+
+    const store = await getTranscriptStore();
+    const page = await store.list(meetingUuid, {
+      cursor: c.req.query('cursor'),
+      limit: c.req.query('limit'),
+      kind,
+      reverse: c.req.query('order') === 'desc'
+    });
+
+    // Other users' AI answers are left out of the page
+    const entries = page.entries.filter(entry => isVisibleTo(entry, getUserId(c)));
+    return c.json({ success: true, meeting_uuid: meetingUuid, ...page, entries });
+  } catch (error) {
+    if (error.message === INVALID_CURSOR_ERROR) {
+      return c.json({ success: false, error: 'Invalid cursor (pass next_cursor from a previous page)' }, 400);
+    }
+    console.error('Error reading transcript history:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Export a meeting transcript as a file
+// Query: format=vtt|srt|md|json|txt (default txt), include_ai, include_discovery (true/false, default false)
+app.get('/api/meetings/:meetingUuid/export', async (c) => {
+  try {
+    const meetingUuid = c.req.param('meetingUuid');
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const format = (c.req.query('format') || 'txt').toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return c.json({ success: false, error: `Unsupported format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})` }, 400);
+    }
+
+    const isTrue = (value) => value === 'true' || value === '1';
+    const entries = (await listAllTranscripts(meetingUuid)).filter(entry => isVisibleTo(entry, getUserId(c)));
+    if (entries.length === 0) {
+      return c.json({ success: false, error: 'No stored transcript for this meeting' }, 404);
+    }
+
+    const { body, contentType, filename } = exportTranscript(entries, format, {
+      meetingUuid,
+      startedAt: getMeeting(meetingUuid)?.started_at,
+      includeAi: isTrue(c.req.query('include_ai')),
+      includeDiscovery: isTrue(c.req.query('include_discovery'))
+    });
+
+    console.log(`📄 Exported ${entries.length} entries for meeting ${meetingUuid.slice(0, 8)}... as ${format}`);
+    return new Response(body, {
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting transcript:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Rolling "so far" summary of a meeting, for latecomers catching up
+app.get('/api/meetings/:meetingUuid/live-summary', (c) => {
+  const meetingUuid = c.req.param('meetingUuid');
+  const denied = checkMeetingAccess(c, meetingUuid);
+  if (denied) return denied;
+
+  const summary = getLiveSummary(meetingUuid);
+  if (!summary) {
+    return c.json({ success: false, error: 'No live summary for this meeting yet' }, 404);
+  }
+  return c.json({ success: true, ...summary });
+});
+
+// Post-meeting summary (decisions, action items, open questions, follow-ups)
+app.get('/api/meetings/:meetingUuid/summary', async (c) => {
+  try {
+    const meetingUuid = c.req.param('meetingUuid');
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const summary = await getMeetingSummary(meetingUuid);
+    if (!summary) {
+      return c.json({ success: false, error: 'No summary for this meeting' }, 404);
+    }
+
+    return c.json({ success: summary.status !== 'failed', meeting_uuid: meetingUuid, ...summary }, summary.status === 'pending' ? 202 : 200);
+  } catch (error) {
+    console.error('Error reading meeting summary:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Regenerate the summary for a meeting (e.g. after a failure) - meeting participants or the admin token only
+app.post('/api/meetings/:meetingUuid/summary', (c) => {
+  const meetingUuid = c.req.param('meetingUuid');
+  const denied = checkMeetingAccess(c, meetingUuid);
+  if (denied) return denied;
+
+  summarizeMeeting(meetingUuid).catch((error) => console.error('❌ Summary regeneration error:', error));
+  return c.json({ success: true, meeting_uuid: meetingUuid, status: 'pending' }, 202);
+});
+
+// CRM sync proposal for a meeting (built from the summary if it doesn't exist yet)
+app.get('/api/meetings/:meetingUuid/crm-sync', async (c) => {
+  try {
+    const meetingUuid = c.req.param('meetingUuid');
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const existing = getCrmSyncProposal(meetingUuid, getUserId(c));
+    if (existing) {
+      return c.json({ success: true, proposal: existing });
+    }
+
+    const result = await proposeCrmSync(meetingUuid, getUserId(c));
+    return c.json(result, result.success ? 200 : 404);
+  } catch (error) {
+    console.error('Error building CRM sync proposal:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Rebuild the CRM sync proposal (e.g. after changing the Salesforce focus record)
+app.post('/api/meetings/:meetingUuid/crm-sync', async (c) => {
+  try {
+    const meetingUuid = c.req.param('meetingUuid');
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const result = await proposeCrmSync(meetingUuid, getUserId(c));
+    return c.json(result, result.success ? 200 : 404);
+  } catch (error) {
+    console.error('Error rebuilding CRM sync proposal:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Approve and execute the CRM sync proposal - body: { operations: [{ id, enabled, args }] }
+app.post('/api/meetings/:meetingUuid/crm-sync/commit', async (c) => {
+  try {
+    const meetingUuid = c.req.param('meetingUuid');
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const body = await c.req.json().catch(() => ({}));
+    const result = await commitCrmSync(meetingUuid, Array.isArray(body.operations) ? body.operations : [], getUserId(c));
+    if (!result.proposal) {
+      return c.json(result, 400);
+    }
+    return c.json(result);
+  } catch (error) {
+    console.error('Error committing CRM sync:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Tool approval requests - ?status=pending|running|done|failed|rejected|expired filters the list
+app.get('/api/approvals', (c) => {
+  return c.json({ success: true, approvals: listActions(getUserId(c), c.req.query('status') || null) });
+});
+
+app.get('/api/approvals/:actionId', (c) => {
+  const action = getAction(c.req.param('actionId'), getUserId(c));
+  if (!action) {
+    return c.json({ success: false, error: 'Unknown approval request' }, 404);
+  }
+  return c.json({ success: true, approval: action });
+});
+
+// Edit a pending approval's arguments - body: { args }
+app.patch('/api/approvals/:actionId', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const result = editAction(c.req.param('actionId'), body.args, getUserId(c));
+  if (!result.success) {
+    return c.json({ success: false, error: result.error }, result.status);
+  }
+  return c.json({ success: true, approval: result.action });
+});
+
+// Approve and run a pending action - body: { args } (optional, replaces the proposed arguments)
+app.post('/api/approvals/:actionId/approve', async (c) => {
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const result = await approveAction(c.req.param('actionId'), body.args, getUserId(c));
+    if (!result.action) {
+      return c.json({ success: false, error: result.error }, result.status);
+    }
+    return c.json({ success: result.success, approval: result.action, error: result.action.error || undefined });
+  } catch (error) {
+    console.error('Error approving action:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Reject a pending action - body: { reason } (optional)
+app.post('/api/approvals/:actionId/reject', async (c) => {
+  const body = await c.req.json().catch(() => ({}));
+  const reason = typeof body.reason === 'string' ? body.reason.slice(0, 500) : null;
+  const result = rejectAction(c.req.param('actionId'), reason, getUserId(c));
+  if (!result.success) {
+    return c.json({ success: false, error: result.error }, result.status);
+  }
+  return c.json({ success: true, approval: result.action });
+});
+
+// Zoom App context of the session - which meeting and user the in-client app is embedded in
+// in_zoom is false when the app is opened outside the Zoom client (or the context has expired)
+app.get('/api/zoom/context', (c) => {
+  const context = getZoomContext(c);
+  if (!context) {
+    return c.json({ success: true, in_zoom: false });
+  }
+  return c.json({
+    success: true,
+    in_zoom: true,
+    type: context.type,
+    user_id: context.userId,
+    meeting_uuid: context.meetingUuid,
+    role: context.role,
+    expires_at: context.expiresAt
+  });
+});
+
+// RTMS stream status - connection state per meeting (connecting/connected/degraded/reconnecting/stopped/failed)
+app.get('/api/rtms/status', (c) => {
+  const meetingUuid = c.req.query('meeting');
+  if (meetingUuid) {
+    const denied = checkMeetingAccess(c, meetingUuid);
+    if (denied) return denied;
+
+    const status = getStreamStatus(meetingUuid);
+    if (!status) {
+      return c.json({ success: false, error: 'Unknown meeting' }, 404);
+    }
+    return c.json({ success: true, stream: status });
+  }
+
+  const streams = getAllStreamStatuses().filter(stream => !checkMeetingAccess(c, stream.meeting_uuid));
+  return c.json({ success: true, streams });
+});
+
+// Router metrics - how often the keyword pre-router answered vs the LLM (per isolate)
+app.get('/api/router/metrics', (c) => {
+  return c.json({ success: true, metrics: getRouterMetrics() });
+});
+
 // Tool Registry API - Exposes the unified tool registry for frontend
 app.get('/api/tools/registry', (c) => {
   // Build a simplified registry for frontend display purposes
@@ -511,6 +858,112 @@ app.get('/api/tools/registry', (c) => {
   });
 });
 
+// Helper function to check for "Authorization: Bearer <TOOLS_ADMIN_TOKEN>" (always false when the token isn't set)
+function hasAdminToken(c) {
+  const token = (c.req.header('Authorization') || '').replace(/^Bearer\s+/i, '');
+  return Boolean(TOOLS_ADMIN_TOKEN) && timingSafeEqual(token, TOOLS_ADMIN_TOKEN);
+}
+
+// Helper function to guard tool registry edits - requires "Authorization: Bearer <TOOLS_ADMIN_TOKEN>"
+function checkToolsAdmin(c) {
+  if (!TOOLS_ADMIN_TOKEN) {
+    return c.json({ success: false, error: 'Tool editing is disabled - set TOOLS_ADMIN_TOKEN to enable it' }, 403);
+  }
+  if (!hasAdminToken(c)) {
+    return c.json({ success: false, error: 'Invalid or missing admin token' }, 401);
+  }
+  return null;
+}
+
+// Tools API - list every registered tool (core, code and API-managed)
+app.get('/api/tools', (c) => {
+  return c.json({ success: true, tools: listTools() });
+});
+
+app.get('/api/tools/:toolId', (c) => {
+  const tool = UNIFIED_TOOL_REGISTRY[c.req.param('toolId')];
+  if (!tool) {
+    return c.json({ success: false, error: 'Tool not found' }, 404);
+  }
+  return c.json({ success: true, tool: describeTool(tool) });
+});
+
+// Create an MCP tool - body: { id, serverUrl, description, auth, routing_keywords, examples, requireApproval, ... }
+app.post('/api/tools', async (c) => {
+  const denied = checkToolsAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const body = await c.req.json().catch(() => null);
+    if (!body) {
+      return c.json({ success: false, error: 'JSON body required' }, 400);
+    }
+    const { id, ...definition } = body;
+    const result = await saveTool(id, definition, { create: true });
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, result.status);
+    }
+    return c.json(result, 201);
+  } catch (error) {
+    console.error('Error creating tool:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Re-run MCP function discovery now - body (optional): { ids: ['tool_id'] }
+app.post('/api/tools/refresh', async (c) => {
+  const denied = checkToolsAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const body = await c.req.json().catch(() => ({}));
+    const ids = Array.isArray(body.ids) ? body.ids.filter(id => UNIFIED_TOOL_REGISTRY[id]?.type === 'mcp') : null;
+    const discovery = await refreshMcpDiscovery(ids);
+    return c.json({ success: true, discovery });
+  } catch (error) {
+    console.error('Error refreshing MCP discovery:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+// Replace a stored tool's definition
+app.put('/api/tools/:toolId', async (c) => {
+  const denied = checkToolsAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const body = await c.req.json().catch(() => null);
+    if (!body) {
+      return c.json({ success: false, error: 'JSON body required' }, 400);
+    }
+    const { id: _id, ...definition } = body;
+    const result = await saveTool(c.req.param('toolId'), definition);
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, result.status);
+    }
+    return c.json(result);
+  } catch (error) {
+    console.error('Error updating tool:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+app.delete('/api/tools/:toolId', async (c) => {
+  const denied = checkToolsAdmin(c);
+  if (denied) return denied;
+
+  try {
+    const result = await deleteTool(c.req.param('toolId'));
+    if (!result.success) {
+      return c.json({ success: false, error: result.error }, result.status);
+    }
+    return c.json(result);
+  } catch (error) {
+    console.error('Error deleting tool:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // Salesforce MCP Credential Management Endpoints
 app.get('/api/salesforce/status', getSalesforceStatus);
 app.get('/api/salesforce/oauth-url', getSalesforceOAuthUrl);
@@ -518,10 +971,65 @@ app.get('/salesforce/oauth/callback', handleSalesforceOAuthCallback);
 app.post('/api/salesforce/credentials', setSalesforceCredentialsRoute);
 app.delete('/api/salesforce/credentials', clearSalesforceCredentialsRoute);
 
+// Personal tool credentials (credential-vault.js) - a user's own secret for a tool with env_header, bearer_token
+// or api_key auth, used instead of the deployment's env var. Secrets are write-only: reads return metadata
+const VAULT_AUTH_TYPES = ['env_header', 'bearer_token', 'api_key'];
+const MAX_SECRET_LENGTH = 4096;
+
+app.get('/api/credentials', async (c) => {
+  return c.json({ success: true, credentials: await listCredentials(getUserId(c)) });
+});
+
+// Store or replace a secret - body: { secret, expires_at } (expires_at optional, epoch ms)
+app.put('/api/credentials/:toolId', async (c) => {
+  try {
+    const toolId = c.req.param('toolId');
+    const tool = UNIFIED_TOOL_REGISTRY[toolId];
+    if (!tool) {
+      return c.json({ success: false, error: `Unknown tool: ${toolId}` }, 404);
+    }
+    if (!VAULT_AUTH_TYPES.includes(tool.auth?.type)) {
+      return c.json({ success: false, error: `${toolId} doesn't take a personal secret (auth type: ${tool.auth?.type || 'none'})` }, 400);
+    }
+
+    const body = await c.req.json().catch(() => ({}));
+    if (typeof body.secret !== 'string' || !body.secret.trim() || body.secret.length > MAX_SECRET_LENGTH) {
+      return c.json({ success: false, error: `secret must be a non-empty string of at most ${MAX_SECRET_LENGTH} characters` }, 400);
+    }
+    const expiresAt = body.expires_at == null ? null : Number(body.expires_at);
+    if (expiresAt !== null && !(expiresAt > Date.now())) {
+      return c.json({ success: false, error: 'expires_at must be a future timestamp (epoch ms)' }, 400);
+    }
+
+    const credential = await putCredential(getUserId(c), toolId, body.secret.trim(), { expiresAt });
+    return c.json({ success: true, credential });
+  } catch (error) {
+    console.error('Error storing credential:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
+app.delete('/api/credentials/:toolId', async (c) => {
+  await deleteCredential(getUserId(c), c.req.param('toolId'));
+  return c.json({ success: true });
+});
+
+// Re-seal every vault entry under the current CREDENTIAL_VAULT_KEY - requires the tools admin token
+app.post('/api/credentials/rotate-key', async (c) => {
+  const denied = checkToolsAdmin(c);
+  if (denied) return denied;
+
+  try {
+    return c.json({ success: true, ...(await rotateVaultKey()) });
+  } catch (error) {
+    console.error('Error rotating vault key:', error);
+    return c.json({ success: false, error: error.message }, 500);
+  }
+});
+
 // Salesforce Focus/Goal Management Endpoints
 app.get('/api/salesforce/focus', (c) => {
-  const userId = c.req.query('userId') || 'default';
-  const focus = getSalesforceFocus(userId);
+  const focus = getSalesforceFocus(getUserId(c));
   
   return c.json({
     success: true,
@@ -533,7 +1041,7 @@ app.get('/api/salesforce/focus', (c) => {
 app.post('/api/salesforce/focus', async (c) => {
   try {
     const body = await c.req.json();
-    const userId = body.userId || 'default';
+    const userId = getUserId(c);
     const naturalLanguageGoal = body.goal || body.description;
     
     if (!naturalLanguageGoal) {
@@ -565,8 +1073,7 @@ app.post('/api/salesforce/focus', async (c) => {
 });
 
 app.delete('/api/salesforce/focus', (c) => {
-  const userId = c.req.query('userId') || 'default';
-  const result = clearSalesforceFocus(userId);
+  const result = clearSalesforceFocus(getUserId(c));
   
   return c.json(result);
 });
@@ -574,7 +1081,7 @@ app.delete('/api/salesforce/focus', (c) => {
 app.get('/api/salesforce/focus/suggestions', async (c) => {
   try {
     // Get recent transcripts to analyze for suggestions
-    const recentTranscripts = getRecentTranscripts();
+    const recentTranscripts = getRecentTranscripts().filter(t => isVisibleTo(t, getUserId(c)));
     const suggestions = suggestFocusGoals(recentTranscripts);
     
     return c.json({
@@ -603,18 +1110,22 @@ setBuiltinHandlers({
 app.post('/api/groq-inference', async (c) => {
   try {
     const body = await c.req.json();
-    const { transcript, user_name, context, chat_history, salesforce_credentials } = body;
-
-    // If Salesforce credentials are provided in the request, temporarily store them
-    if (salesforce_credentials && salesforce_credentials.access_token && salesforce_credentials.instance_url) {
-      setSalesforceCredentials('default', salesforce_credentials);
-    }
+    const { transcript, user_name, context, chat_history, custom_mcps } = body;
+    const userId = getUserId(c);
 
     if (!transcript) {
       return c.json({ error: 'Transcript text required' }, 400);
     }
 
-    if (!GROQ_API_KEY) {
+    // Custom MCP tools from the frontend panel are routing candidates for this request only
+    let customTools;
+    try {
+      customTools = validateCustomMcps(custom_mcps);
+    } catch (validationError) {
+      return c.json({ error: validationError.message }, 400);
+    }
+
+    if (!GROQ_API_KEY && LLM_CLIENT_MODE !== 'replay') {
     return c.json({
       detected: true,
       response: `Hello ${user_name || 'there'}! I detected your "Hey Groq" trigger, but the Groq API key is not configured. Please set GROQ_API_KEY environment variable.`,
@@ -628,7 +1139,7 @@ app.post('/api/groq-inference', async (c) => {
       .filter(msg => msg.user_id !== 'system' && msg.data)
       .slice(-10); // Keep last 10 messages for context
 
-    const result = await performGroqInference(transcript, user_name, context, filteredChatHistory);
+    const result = await performGroqInference(transcript, user_name, context, filteredChatHistory, false, null, { extraTools: customTools, userId });
 
     // Include original message for frontend formatting
     result.original_message = transcript;
@@ -664,13 +1175,19 @@ app.post('/api/trigger-groq', async (c) => {
       user_name: body.user_name,
       context: body.context,
       chat_history_length: body.chat_history?.length || 0,
-      has_salesforce_credentials: !!body.salesforce_credentials
+      custom_mcps_count: Array.isArray(body.custom_mcps) ? body.custom_mcps.length : 0
     });
     
-    const { transcript, user_name, context, chat_history, user_id, timestamp, salesforce_credentials } = body;
+    const { transcript, user_name, context, chat_history, user_id, timestamp, meeting_uuid, custom_mcps } = body;
+    // Answers use the session user's credentials and only go back to that user's clients
+    const userId = getUserId(c);
+    // The client's meeting_uuid is only trusted when the caller took part in that meeting
+    const meetingUuid = resolveCallerMeeting(c, meeting_uuid);
+    // Streamed deltas and the final transcript carry this id so the frontend can match them to its placeholder
+    const requestId = typeof body.request_id === 'string' && body.request_id ? body.request_id.slice(0, 100) : crypto.randomUUID();
     
-    // Deduplication check: prevent processing same request within dedup window
-    const requestKey = `${transcript.trim()}_${user_name}`;
+    // Deduplication check: prevent processing same request within dedup window (per user - each gets their own answer)
+    const requestKey = `${transcript.trim()}_${user_name}_${userId}`;
     const now = Date.now();
     const lastRequestTime = recentRequests.get(requestKey);
     
@@ -696,19 +1213,20 @@ app.post('/api/trigger-groq', async (c) => {
       }
     }
 
-    // If Salesforce credentials are provided in the request, temporarily store them
-    // This solves the Deno Deploy serverless issue where in-memory Map doesn't persist
-    if (salesforce_credentials && salesforce_credentials.access_token && salesforce_credentials.instance_url) {
-      console.log(`   🔐 Received Salesforce credentials in request body`);
-      setSalesforceCredentials('default', salesforce_credentials);
-      console.log(`   ✅ Temporarily stored credentials for this request`);
-    }
-
     if (!transcript) {
       console.log(`   ❌ No transcript provided`);
       return c.json({ error: 'Transcript text required' }, 400);
     }
 
+    // Custom MCP tools from the frontend panel are routing candidates for this request only
+    let customTools;
+    try {
+      customTools = validateCustomMcps(custom_mcps);
+    } catch (validationError) {
+      console.log(`   ❌ Invalid custom MCP definition: ${validationError.message}`);
+      return c.json({ success: false, error: validationError.message }, 400);
+    }
+
     console.log(`🎯 Processing: "${transcript?.slice(0, 40)}${transcript?.length > 40 ? '...' : ''}"`);
 
     // Prepare chat history for the router (filter out system messages and limit to recent)
@@ -723,14 +1241,28 @@ app.post('/api/trigger-groq', async (c) => {
 
     // Process the inference (skip trigger detection since frontend already validated)
     // Pass progress callback to broadcast status updates
-    const result = await performGroqInference(
-      transcript, 
-      user_name || 'Unknown', 
-      context || 'meeting_transcript', 
-      filteredChatHistory, 
-      true,
-      broadcastProgress // Pass the progress callback
-    );
+    let result;
+    try {
+      result = await performGroqInference(
+        transcript, 
+        user_name || 'Unknown', 
+        context || 'meeting_transcript', 
+        filteredChatHistory, 
+        true,
+        (message, type) => broadcastProgress(userId, message, type), // Pass the progress callback
+        {
+          extraTools: customTools,
+          onDelta: (delta) => broadcastDelta(userId, requestId, delta),
+          requestId,
+          meetingUuid,
+          userId
+        }
+      );
+    } finally {
+      // Close the UI's streaming bubble even when inference throws
+      broadcastDelta(userId, requestId, { done: true });
+    }
+    const customToolsUsed = result.custom_tools_used || [];
 
     // Create response transcript for SSE broadcast
     const responseTranscript = {
@@ -741,33 +1273,31 @@ app.post('/api/trigger-groq', async (c) => {
       tools: result.tools || [],
       routing: result.routing || { reasoning: 'Direct routing', primaryIntent: 'general', confidence: 0.5 },
       original_message: transcript,
-      citations: result.citations || []
+      citations: result.citations || [],
+      custom_tools_used: customToolsUsed,
+      request_id: requestId,
+      pending_approvals: result.pending_approvals || [],
+      owner_id: userId
     };
 
-    // Store response transcript for polling endpoint
+    // Store response transcript for polling endpoint and durable history
     addToRecentTranscripts(responseTranscript);
+    persistTranscript(meetingUuid, 'ai_response', responseTranscript);
 
     // Try to broadcast through SSE first (works in single-instance environments)
-    let sseBroadcastSuccess = false;
-    for (const client of sseClients) {
-      try {
-        client.send('event: transcript\n' + 'data: ' + JSON.stringify({
-          content: responseTranscript
-        }) + '\n\n');
-        sseBroadcastSuccess = true;
-      } catch (broadcastError) {
-        console.error('Error broadcasting to SSE client:', broadcastError);
-      }
-    }
+    const sseBroadcastSuccess = broadcastUserEvent('transcript', { content: responseTranscript }, userId) > 0;
 
     // In serverless environments, SSE clients may not be connected to this instance
     // Return the response transcript so frontend can add it directly
-    if (!sseBroadcastSuccess || sseClients.size === 0) {
+    if (!sseBroadcastSuccess) {
       return c.json({
         success: true,
         detected: true,
         tools_used: (result.tools || []).length,
         routing_decision: (result.routing || {}).reasoning,
+        routing_error: result.routing_error || null,
+        custom_tools_used: customToolsUsed,
+        request_id: requestId,
         response_transcript: responseTranscript // Include the full transcript for frontend to add
       });
     }
@@ -779,25 +1309,21 @@ app.post('/api/trigger-groq', async (c) => {
         user_name: 'Groq AI',
         data: `⚠️ Processing completed with error: ${result.error}`,
         timestamp: Date.now(),
-        error: true
+        error: true,
+        owner_id: userId
       };
 
-      for (const client of sseClients) {
-        try {
-          client.send('event: transcript\n' + 'data: ' + JSON.stringify({
-            content: errorTranscript
-          }) + '\n\n');
-        } catch (broadcastError) {
-          console.error('Error broadcasting error to SSE client:', broadcastError);
-        }
-      }
+      broadcastUserEvent('transcript', { content: errorTranscript }, userId);
     }
 
     return c.json({
       success: true,
       detected: result.detected,
       tools_used: result.tools?.length || 0,
-      routing_decision: result.routing?.reasoning
+      routing_decision: result.routing?.reasoning,
+      routing_error: result.routing_error || null,
+      custom_tools_used: customToolsUsed,
+      request_id: requestId
     });
 
   } catch (error) {
@@ -812,7 +1338,8 @@ app.post('/api/trigger-groq', async (c) => {
 // Discovery Mode endpoint - analyzes entire conversation for background insights
 app.post('/api/discovery-analysis', async (c) => {
   try {
-    const { transcripts, full_history } = await c.req.json();
+    const { transcripts, full_history, meeting_uuid } = await c.req.json();
+    const meetingUuid = resolveCallerMeeting(c, meeting_uuid);
 
     if (!transcripts || transcripts.length === 0) {
       return c.json({ insights: [] });
@@ -941,7 +1468,7 @@ Respond in JSON format:
   ]
 }`;
 
-    const discoveryResponse = await groqClient.chat.completions.create({
+    const discoveryResponse = await createChatCompletion({
       model: MODEL_DISCOVERY,
       messages: [
         { role: "system", content: `You are a highly selective discovery analysis AI. Default to "should_discover": false. ONLY suggest insights when users explicitly request current/external information. Be very conservative - most messages don't need discovery. Today's date is ${today}.` },
@@ -994,7 +1521,9 @@ Respond in JSON format:
           'Discovery Mode',
           'discovery_analysis',
           transcripts.slice(-10),
-          true // Skip trigger detection
+          true, // Skip trigger detection
+          null,
+          { userId: getUserId(c) } // Runs with the caller's Salesforce session, focus and tool secrets
         );
 
         if (result.response) {
@@ -1014,7 +1543,7 @@ Rules:
 
 Output format: [Single factual sentence]`;
 
-          const researcherResponse = await groqClient.chat.completions.create({
+          const researcherResponse = await createChatCompletion({
             model: MODEL_EXTRACTOR,
             messages: [
               { role: "system", content: `You are a fact extractor. Extract ONLY the single most important fact. Maximum 20 words. No preamble, no explanation, just the fact. Today's date is ${today}.` },
@@ -1035,7 +1564,7 @@ Output format: [Single factual sentence]`;
 
 Remove any fluff. Keep only the core fact.`;
 
-          const finalDistillationResponse = await groqClient.chat.completions.create({
+          const finalDistillationResponse = await createChatCompletion({
             model: MODEL_COMPRESSOR,
             messages: [
               { role: "system", content: `You are a text compressor. Output ONLY 1 sentence, max 15 words. Today's date is ${today}.` },
@@ -1047,11 +1576,22 @@ Remove any fluff. Keep only the core fact.`;
 
           const finalBriefing = finalDistillationResponse.choices[0]?.message?.content || firstBriefing;
           
-          processedInsights.push({
+          const processedInsight = {
             content: `### 🔮 ${insight.topic}\n\n${finalBriefing}`,
             tools: result.tools || [],
             routing: result.routing,
             citations: result.citations || []
+          };
+          processedInsights.push(processedInsight);
+
+          persistTranscript(meetingUuid, 'discovery_insight', {
+            user_id: 'discovery-ai',
+            user_name: 'Discovery',
+            owner_id: getUserId(c), // May quote the caller's CRM data, like their Hey Zoom answers
+            data: processedInsight.content,
+            topic: insight.topic,
+            tools: processedInsight.tools,
+            citations: processedInsight.citations
           });
         }
       } catch (insightError) {
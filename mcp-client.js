@@ -0,0 +1,157 @@
+/**
+ * MCP Client
+ * Minimal JSON-RPC client for calling MCP servers directly over streamable HTTP
+ * (used when the server, not the model, decides what to execute - e.g. approved CRM writes)
+ */
+
+const MCP_PROTOCOL_VERSION = '2025-03-26';
+const MCP_REQUEST_TIMEOUT_MS = 30000;
+
+let nextRequestId = 1;
+
+// Helper function to pull the JSON-RPC message for a request id out of an SSE response body
+function parseSseMessages(text, requestId) {
+  const events = text.split(/\r?\n\r?\n/);
+  for (const event of events) {
+    const data = event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) continue;
+
+    try {
+      const message = JSON.parse(data);
+      if (message.id === requestId) {
+        return message;
+      }
+    } catch {
+      // Not JSON (keep-alive comment etc.)
+    }
+  }
+  return null;
+}
+
+// Helper function to POST a JSON-RPC message and return the matching response (null for notifications)
+async function postJsonRpc(session, message) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/event-stream',
+    ...session.headers
+  };
+  if (session.sessionId) {
+    headers['Mcp-Session-Id'] = session.sessionId;
+  }
+  if (session.protocolVersion) {
+    headers['MCP-Protocol-Version'] = session.protocolVersion;
+  }
+
+  const response = await fetch(session.serverUrl, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(message),
+    signal: AbortSignal.timeout(MCP_REQUEST_TIMEOUT_MS)
+  });
+
+  const sessionId = response.headers.get('mcp-session-id');
+  if (sessionId) {
+    session.sessionId = sessionId;
+  }
+
+  if (!response.ok) {
+    const body = await response.text().catch(() => '');
+    const error = new Error(`MCP ${message.method} failed: HTTP ${response.status}${body ? ` - ${body.slice(0, 200)}` : ''}`);
+    error.status = response.status; // Lets callers tell an expired token (401) from other failures
+    throw error;
+  }
+
+  // Notifications get 202 Accepted with no body
+  if (message.id === undefined) {
+    await response.body?.cancel();
+    return null;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const reply = contentType.includes('text/event-stream')
+    ? parseSseMessages(await response.text(), message.id)
+    : await response.json();
+
+  if (!reply) {
+    throw new Error(`MCP ${message.method} returned no response`);
+  }
+  if (reply.error) {
+    throw new Error(`MCP ${message.method} error ${reply.error.code}: ${reply.error.message}`);
+  }
+  return reply.result;
+}
+
+// Helper function to send a JSON-RPC request
+function request(session, method, params = {}) {
+  return postJsonRpc(session, { jsonrpc: '2.0', id: nextRequestId++, method, params });
+}
+
+// Open an MCP session (initialize + initialized notification)
+export async function createMcpSession(serverUrl, headers = {}) {
+  if (!serverUrl) {
+    throw new Error('MCP server URL is not configured');
+  }
+
+  const session = { serverUrl, headers, sessionId: null, protocolVersion: null, serverInfo: null };
+  const result = await request(session, 'initialize', {
+    protocolVersion: MCP_PROTOCOL_VERSION,
+    capabilities: {},
+    clientInfo: { name: 'zoom-lens', version: '1.0.0' }
+  });
+
+  session.protocolVersion = result?.protocolVersion || MCP_PROTOCOL_VERSION;
+  session.serverInfo = result?.serverInfo || null;
+
+  await postJsonRpc(session, { jsonrpc: '2.0', method: 'notifications/initialized' });
+  console.log(`🔌 MCP: Session opened with ${session.serverInfo?.name || serverUrl}${session.sessionId ? ` (session ${session.sessionId.slice(0, 8)}...)` : ''}`);
+  return session;
+}
+
+// List the tools an MCP server exposes (follows pagination cursors)
+export async function listMcpTools(session) {
+  const tools = [];
+  let cursor;
+  do {
+    const result = await request(session, 'tools/list', cursor ? { cursor } : {});
+    tools.push(...(result?.tools || []));
+    cursor = result?.nextCursor;
+  } while (cursor);
+  return tools;
+}
+
+// Call a tool; returns { content, structuredContent, isError, text }
+export async function callMcpTool(session, name, args = {}) {
+  console.log(`🛠️ MCP: Calling ${name}`);
+  const result = await request(session, 'tools/call', { name, arguments: args });
+
+  const text = (result?.content || [])
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+
+  return {
+    content: result?.content || [],
+    structuredContent: result?.structuredContent || null,
+    isError: Boolean(result?.isError),
+    text
+  };
+}
+
+// Close an MCP session (servers may not support DELETE; failures are ignored)
+export async function closeMcpSession(session) {
+  if (!session?.sessionId) return;
+  try {
+    const response = await fetch(session.serverUrl, {
+      method: 'DELETE',
+      headers: { ...session.headers, 'Mcp-Session-Id': session.sessionId },
+      signal: AbortSignal.timeout(5000)
+    });
+    await response.body?.cancel();
+  } catch {
+    // Session will expire server-side
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * MCP Function Discovery
+ * Asks each MCP server in the registry for its functions (tools/list) at startup and on a schedule,
+ * and caches names, descriptions and input schemas for the router - the static mcp_functions lists
+ * in the registry are only used until (or if) discovery succeeds
+ */
+
+import { MCP_DISCOVERY_INTERVAL_MS } from "./config.js";
+import { getAvailableTools, resolveServerUrl } from "./tool-registry-unified.js";
+import { processToolAuth } from "./auth-utils.js";
+import { createMcpSession, listMcpTools, closeMcpSession } from "./mcp-client.js";
+
+// Keep router prompts readable when servers ship long descriptions
+const MAX_DESCRIPTION_CHARS = 300;
+
+// toolId -> { status: 'ok' | 'failed', functions, server_name, discovered_at, error }
+const discoveryCache = new Map();
+
+// toolId -> in-flight discovery promise (so overlapping refreshes share one request)
+const inFlight = new Map();
+
+let refreshTimer = null;
+
+// Helper function to map an MCP tools/list entry to the registry's function shape
+function toRegistryFunction(mcpTool) {
+  const schema = mcpTool.inputSchema || { type: 'object', properties: {} };
+  const description = String(mcpTool.description || mcpTool.title || '').replace(/\s+/g, ' ').trim();
+  return {
+    name: mcpTool.name,
+    description: description.length > MAX_DESCRIPTION_CHARS ? `${description.slice(0, MAX_DESCRIPTION_CHARS)}...` : description,
+    params: Object.keys(schema.properties || {}),
+    required: Array.isArray(schema.required) ? schema.required : [],
+    input_schema: schema
+  };
+}
+
+// Run tools/list against one registry tool and cache the result
+export function discoverToolFunctions(toolId) {
+  if (inFlight.has(toolId)) return inFlight.get(toolId);
+
+  const promise = (async () => {
+    const tool = getAvailableTools()[toolId];
+    if (!tool || tool.type !== 'mcp') {
+      discoveryCache.delete(toolId);
+      return null;
+    }
+
+    const previous = discoveryCache.get(toolId);
+    let session = null;
+    try {
+      const serverUrl = resolveServerUrl(tool);
+      if (!serverUrl) {
+        throw new Error('No server URL configured');
+      }
+
+      // Listing functions doesn't need a user session - send auth headers only when they're available
+      const authResult = await processToolAuth(tool);
+      const headers = { ...(tool.headers || {}), ...(authResult.shouldInclude ? authResult.headers : {}) };
+
+      session = await createMcpSession(serverUrl, headers);
+      const mcpTools = await listMcpTools(session);
+      const entry = {
+        status: 'ok',
+        functions: mcpTools.filter(t => t?.name).map(toRegistryFunction),
+        server_name: session.serverInfo?.name || null,
+        discovered_at: Date.now(),
+        error: null
+      };
+      discoveryCache.set(toolId, entry);
+      console.log(`🔎 MCP DISCOVERY: ${toolId} exposes ${entry.functions.length} function(s)`);
+      return entry;
+    } catch (error) {
+      // Keep the last good function list - a flaky server shouldn't hide its functions from the router
+      const entry = {
+        status: 'failed',
+        functions: previous?.functions || null,
+        server_name: previous?.server_name || null,
+        discovered_at: previous?.discovered_at || null,
+        error: error.message
+      };
+      discoveryCache.set(toolId, entry);
+      console.warn(`⚠️ MCP DISCOVERY: ${toolId} failed: ${error.message}`);
+      return entry;
+    } finally {
+      await closeMcpSession(session);
+    }
+  })().finally(() => inFlight.delete(toolId));
+
+  inFlight.set(toolId, promise);
+  return promise;
+}
+
+// Re-discover every MCP tool in the registry (or just the given ids); returns { toolId: status }
+export async function refreshMcpDiscovery(toolIds = null) {
+  const ids = toolIds || Object.values(getAvailableTools())
+    .filter(tool => tool.type === 'mcp')
+    .map(tool => tool.id);
+
+  // Forget tools that have left the registry
+  for (const toolId of discoveryCache.keys()) {
+    if (!getAvailableTools()[toolId]) {
+      discoveryCache.delete(toolId);
+    }
+  }
+
+  await Promise.allSettled(ids.map(discoverToolFunctions));
+  return getDiscoveryStatus();
+}
+
+// Start discovery now and keep refreshing on MCP_DISCOVERY_INTERVAL_MS (0 = startup only)
+export function startMcpDiscovery() {
+  refreshMcpDiscovery().catch(error => console.error('❌ MCP DISCOVERY: Initial refresh failed:', error));
+
+  if (MCP_DISCOVERY_INTERVAL_MS > 0 && !refreshTimer) {
+    refreshTimer = setInterval(() => {
+      refreshMcpDiscovery().catch(error => console.error('❌ MCP DISCOVERY: Scheduled refresh failed:', error));
+    }, MCP_DISCOVERY_INTERVAL_MS);
+  }
+}
+
+// Stop the refresh schedule
+export function stopMcpDiscovery() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+// Drop cached functions for a tool (e.g. after it's deleted)
+export function forgetToolFunctions(toolId) {
+  discoveryCache.delete(toolId);
+}
+
+// Functions to show the router for a tool - discovered when available, otherwise the registry's static list
+export function getToolFunctions(tool) {
+  const cached = discoveryCache.get(tool.id);
+  if (cached?.functions) {
+    return cached.functions;
+  }
+  return tool.mcp_functions || [];
+}
+
+// Discovery state for one tool (null if never attempted)
+export function getToolDiscovery(toolId) {
+  const cached = discoveryCache.get(toolId);
+  if (!cached) return null;
+  return {
+    status: cached.status,
+    function_count: cached.functions?.length ?? 0,
+    server_name: cached.server_name,
+    discovered_at: cached.discovered_at,
+    error: cached.error
+  };
+}
+
+// Discovery state for every tool that has been attempted
+export function getDiscoveryStatus() {
+  const status = {};
+  for (const toolId of discoveryCache.keys()) {
+    status[toolId] = getToolDiscovery(toolId);
+  }
+  return status;
+}
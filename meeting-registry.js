@@ -0,0 +1,129 @@
+/**
+ * Meeting Registry
+ * Tracks live and recently ended RTMS meetings, each with its own transcript buffer and participant list
+ *
+ * NOTE: Like activeConnections, this is per-isolate in-memory state. Other isolates learn about
+ * meetings from the BroadcastChannel relay (see main.js) so listings stay roughly in sync.
+ */
+
+// Max transcripts kept per meeting (oldest dropped first)
+const MAX_MEETING_TRANSCRIPTS = 500;
+
+// How long ended meetings stay listed before being pruned
+const ENDED_MEETING_RETENTION_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// meetingUuid -> meeting session
+const meetings = new Map();
+
+// Helper function to create (or return) the session for a meeting
+function ensureMeeting(meetingUuid) {
+  if (!meetings.has(meetingUuid)) {
+    meetings.set(meetingUuid, {
+      meetingUuid,
+      streamId: null,
+      status: 'live',
+      startedAt: Date.now(),
+      stoppedAt: null,
+      lastActivityAt: Date.now(),
+      participants: new Map(),
+      transcripts: []
+    });
+  }
+  return meetings.get(meetingUuid);
+}
+
+// Helper function to drop ended meetings past the retention window
+function pruneEndedMeetings(now = Date.now()) {
+  for (const [meetingUuid, meeting] of meetings) {
+    if (meeting.status === 'ended' && now - meeting.stoppedAt > ENDED_MEETING_RETENTION_MS) {
+      meetings.delete(meetingUuid);
+    }
+  }
+}
+
+// Register a meeting when RTMS starts (restarts reopen an ended session)
+export function registerMeeting(meetingUuid, { streamId = null, startedAt = Date.now() } = {}) {
+  pruneEndedMeetings();
+
+  const meeting = ensureMeeting(meetingUuid);
+  if (meeting.status === 'ended') {
+    meeting.status = 'live';
+    meeting.stoppedAt = null;
+  }
+  meeting.streamId = streamId || meeting.streamId;
+  meeting.startedAt = Math.min(meeting.startedAt, startedAt);
+  meeting.lastActivityAt = Date.now();
+  return meeting;
+}
+
+// Mark a meeting as ended when RTMS stops
+export function endMeeting(meetingUuid, stoppedAt = Date.now()) {
+  const meeting = meetings.get(meetingUuid);
+  if (!meeting) return null;
+
+  meeting.status = 'ended';
+  meeting.stoppedAt = stoppedAt;
+  return meeting;
+}
+
+// Record a transcript (or chat message) against its meeting and update the participant list
+export function recordMeetingTranscript(meetingUuid, transcript) {
+  if (!meetingUuid) return;
+
+  const meeting = ensureMeeting(meetingUuid);
+  meeting.transcripts.push(transcript);
+  if (meeting.transcripts.length > MAX_MEETING_TRANSCRIPTS) {
+    meeting.transcripts = meeting.transcripts.slice(-MAX_MEETING_TRANSCRIPTS);
+  }
+  meeting.lastActivityAt = Date.now();
+
+  const participantId = transcript.user_id ?? transcript.user_name;
+  if (participantId !== undefined && participantId !== null) {
+    const existing = meeting.participants.get(participantId);
+    meeting.participants.set(participantId, {
+      user_id: transcript.user_id,
+      user_name: transcript.user_name || existing?.user_name,
+      first_seen: existing?.first_seen || Date.now(),
+      last_seen: Date.now()
+    });
+  }
+}
+
+// Get buffered transcripts for a meeting (oldest first), optionally only those after `since`
+export function getMeetingTranscripts(meetingUuid, since = 0) {
+  const meeting = meetings.get(meetingUuid);
+  if (!meeting) return [];
+  return since ? meeting.transcripts.filter(t => t.timestamp > since) : meeting.transcripts;
+}
+
+// Serializable summary of a meeting session
+export function describeMeeting(meeting) {
+  return {
+    meeting_uuid: meeting.meetingUuid,
+    rtms_stream_id: meeting.streamId,
+    status: meeting.status,
+    started_at: meeting.startedAt,
+    stopped_at: meeting.stoppedAt,
+    last_activity_at: meeting.lastActivityAt,
+    participant_count: meeting.participants.size,
+    participants: Array.from(meeting.participants.values()),
+    transcript_count: meeting.transcripts.length
+  };
+}
+
+// Get one meeting session (null if unknown)
+export function getMeeting(meetingUuid) {
+  const meeting = meetings.get(meetingUuid);
+  return meeting ? describeMeeting(meeting) : null;
+}
+
+// List live meetings first, then recently ended ones (newest first)
+export function listMeetings() {
+  pruneEndedMeetings();
+  return Array.from(meetings.values())
+    .sort((a, b) => {
+      if (a.status !== b.status) return a.status === 'live' ? -1 : 1;
+      return b.startedAt - a.startedAt;
+    })
+    .map(describeMeeting);
+}
@@ -0,0 +1,188 @@
+/**
+ * Post-Meeting Summary
+ * Builds a structured summary (decisions, action items with owners, open questions, follow-up dates)
+ * from a meeting's stored transcript once RTMS stops, stores it with the meeting and pushes it to SSE clients
+ */
+
+import { MODEL_SUMMARY, INSTANCE_ID, bc } from "./config.js";
+import { createChatCompletion } from "./llm-client.js";
+import { listAllTranscripts, persistTranscript, flushTranscripts } from "./transcript-store.js";
+import { getMeeting } from "./meeting-registry.js";
+import { broadcastMeetingEvent } from "./websocket-utils.js";
+
+// Keep the prompt within a comfortable context budget - the most recent speech wins if a meeting runs long
+const MAX_TRANSCRIPT_CHARS = 60000;
+
+// meetingUuid -> { status: 'pending' | 'ready' | 'empty' | 'failed', summary, error, generated_at }
+const summaryState = new Map();
+
+// Helper function to render stored utterances/chat as "Speaker: text" lines
+function buildTranscriptText(entries) {
+  const lines = entries
+    .filter(e => (e.kind === 'utterance' || e.kind === 'chat') && e.data)
+    .map(e => `${e.user_name || `Participant ${e.user_id ?? '?'}`}${e.kind === 'chat' ? ' (chat)' : ''}: ${String(e.data).trim()}`);
+
+  let text = lines.join('\n');
+  if (text.length > MAX_TRANSCRIPT_CHARS) {
+    text = '[...earlier discussion truncated...]\n' + text.slice(-MAX_TRANSCRIPT_CHARS);
+  }
+  return { text, lineCount: lines.length };
+}
+
+// Helper function to coerce the model output into the summary shape
+function normalizeSummary(raw) {
+  const list = (value) => Array.isArray(value) ? value : [];
+  const str = (value) => (typeof value === 'string' && value.trim()) ? value.trim() : null;
+
+  return {
+    overview: str(raw.overview) || '',
+    decisions: list(raw.decisions).map(str).filter(Boolean),
+    action_items: list(raw.action_items)
+      .map(item => typeof item === 'string' ? { task: item } : item)
+      .filter(item => item && str(item.task))
+      .map(item => ({
+        task: str(item.task),
+        owner: str(item.owner),
+        due_date: str(item.due_date)
+      })),
+    open_questions: list(raw.open_questions).map(str).filter(Boolean),
+    follow_ups: list(raw.follow_ups)
+      .map(item => typeof item === 'string' ? { description: item } : item)
+      .filter(item => item && str(item.description))
+      .map(item => ({
+        description: str(item.description),
+        date: str(item.date)
+      }))
+  };
+}
+
+// Render a summary as Markdown for the UI and transcript store
+export function formatSummaryMarkdown(summary) {
+  const lines = ['### 📋 Meeting Summary', ''];
+  if (summary.overview) {
+    lines.push(summary.overview, '');
+  }
+
+  const section = (title, items) => {
+    if (items.length === 0) return;
+    lines.push(`**${title}**`, ...items.map(item => `- ${item}`), '');
+  };
+
+  section('Decisions', summary.decisions);
+  section('Action Items', summary.action_items.map(a =>
+    `${a.task}${a.owner ? ` — **${a.owner}**` : ''}${a.due_date ? ` (due ${a.due_date})` : ''}`
+  ));
+  section('Open Questions', summary.open_questions);
+  section('Follow-ups', summary.follow_ups.map(f => `${f.description}${f.date ? ` (${f.date})` : ''}`));
+
+  return lines.join('\n').trim();
+}
+
+// Helper function to publish the summary state to the meeting's SSE clients and other isolates
+function publishSummary(meetingUuid, state) {
+  const payload = { meeting_uuid: meetingUuid, ...state };
+  broadcastMeetingEvent('meeting_summary', payload, meetingUuid);
+  if (bc) {
+    bc.postMessage({ type: 'meeting_summary', origin: INSTANCE_ID, payload });
+  }
+}
+
+// Generate, store and broadcast the summary for a meeting
+export async function summarizeMeeting(meetingUuid) {
+  summaryState.set(meetingUuid, { status: 'pending', summary: null, error: null, generated_at: null });
+
+  try {
+    // The last utterances are usually still being written when RTMS stops
+    await flushTranscripts(meetingUuid);
+    const entries = await listAllTranscripts(meetingUuid);
+    const { text, lineCount } = buildTranscriptText(entries);
+
+    if (lineCount === 0) {
+      console.log(`📋 SUMMARY: No transcript for meeting ${meetingUuid.slice(0, 8)}..., skipping`);
+      const state = { status: 'empty', summary: null, error: null, generated_at: Date.now() };
+      summaryState.set(meetingUuid, state);
+      return state;
+    }
+
+    console.log(`📋 SUMMARY: Summarizing ${lineCount} lines for meeting ${meetingUuid.slice(0, 8)}...`);
+    const meeting = getMeeting(meetingUuid);
+    const meetingDate = new Date(meeting?.started_at || entries[0].stored_at).toLocaleDateString('en-US', {
+      weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+    });
+
+    const response = await createChatCompletion({
+      model: MODEL_SUMMARY,
+      messages: [
+        {
+          role: "system",
+          content: `You summarize business meetings from their transcripts. The meeting took place on ${meetingDate}.
+
+Respond with JSON only, in exactly this shape:
+{
+  "overview": "2-3 sentence summary of what the meeting covered",
+  "decisions": ["decision that was agreed"],
+  "action_items": [{ "task": "what needs doing", "owner": "person responsible or null", "due_date": "YYYY-MM-DD or null" }],
+  "open_questions": ["question raised but not resolved"],
+  "follow_ups": [{ "description": "planned follow-up meeting or check-in", "date": "YYYY-MM-DD or null" }]
+}
+
+Rules:
+- Only include what is actually in the transcript - never invent owners, dates or decisions
+- Resolve relative dates ("next Tuesday") against the meeting date
+- Use empty arrays when a section has nothing`
+        },
+        { role: "user", content: text }
+      ],
+      temperature: 0.2,
+      max_tokens: 2000,
+      response_format: { type: "json_object" }
+    });
+
+    const content = response.choices[0]?.message?.content || '{}';
+    const jsonMatch = content.match(/\{[\s\S]*\}/);
+    const summary = normalizeSummary(JSON.parse(jsonMatch ? jsonMatch[0] : content));
+    const markdown = formatSummaryMarkdown(summary);
+
+    await persistTranscript(meetingUuid, 'summary', {
+      user_id: 'groq-ai',
+      user_name: 'Meeting Summary',
+      data: markdown,
+      summary,
+      model: MODEL_SUMMARY
+    });
+
+    const state = { status: 'ready', summary, markdown, error: null, generated_at: Date.now() };
+    summaryState.set(meetingUuid, state);
+    publishSummary(meetingUuid, state);
+    console.log(`✅ SUMMARY: ${summary.action_items.length} action item(s), ${summary.decisions.length} decision(s) - meeting ${meetingUuid.slice(0, 8)}...`);
+    return state;
+  } catch (error) {
+    console.error(`❌ SUMMARY: Failed for meeting ${meetingUuid.slice(0, 8)}...:`, error);
+    const state = { status: 'failed', summary: null, error: error.message, generated_at: Date.now() };
+    summaryState.set(meetingUuid, state);
+    publishSummary(meetingUuid, state);
+    return state;
+  }
+}
+
+// Get the summary for a meeting - in-progress state from this isolate, otherwise the latest stored summary
+export async function getMeetingSummary(meetingUuid) {
+  const state = summaryState.get(meetingUuid);
+  if (state && state.status !== 'ready') {
+    return state;
+  }
+
+  const stored = await listAllTranscripts(meetingUuid, { kind: 'summary' });
+  const latest = stored[stored.length - 1];
+  if (!latest) {
+    return state || null;
+  }
+
+  return {
+    status: 'ready',
+    summary: latest.summary,
+    markdown: latest.data,
+    error: null,
+    generated_at: latest.stored_at
+  };
+}
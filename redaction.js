@@ -0,0 +1,104 @@
+/**
+ * Redaction
+ * Keeps credentials out of LLM prompts, logs and tool output
+ *
+ * Secrets are registered where they're handed out (Salesforce sessions, auth headers built by
+ * processToolAuth) and replaced wherever they show up. Well-known credential shapes - Bearer tokens,
+ * access_token-style fields, Salesforce session ids - are masked even when they were never registered
+ */
+
+const REDACTED = '[REDACTED]';
+
+// Shorter values (ids, flags) would redact ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+// Registered secret values (per isolate)
+const secrets = new Set();
+
+// [pattern, replacement] for credentials we can recognise without registration
+const SECRET_PATTERNS = [
+  [/\b(Bearer\s+)[A-Za-z0-9._~+/=-]{8,}/gi, `$1${REDACTED}`],
+  [/("?\b(?:access_token|refresh_token|client_secret|api_key|apikey|password|session_id)"?\s*[:=]\s*"?)[^"\s,}&]{8,}/gi, `$1${REDACTED}`],
+  [/\b00D[A-Za-z0-9]{12,15}![A-Za-z0-9._]{20,}/g, REDACTED] // Salesforce access tokens / session ids
+];
+
+// Remember a secret so it's masked from now on (short or empty values are ignored)
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) {
+    secrets.add(value);
+  }
+}
+
+// Stop tracking a secret (e.g. after the credentials it belongs to are cleared)
+export function forgetSecret(value) {
+  secrets.delete(value);
+}
+
+// Mask registered secrets and known credential shapes in a string
+export function redactText(text) {
+  if (typeof text !== 'string' || !text) return text;
+
+  let redacted = text;
+  for (const secret of secrets) {
+    if (redacted.includes(secret)) {
+      redacted = redacted.split(secret).join(REDACTED);
+    }
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    redacted = redacted.replace(pattern, replacement);
+  }
+  return redacted;
+}
+
+// Deep copy of a value with every string redacted (object keys are kept as they are)
+export function redactValue(value) {
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(redactValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, redactValue(child)]));
+  }
+  return value;
+}
+
+// Helper function to measure how much of a streamed text's tail could still be the start of a secret:
+// an unfinished word (tokens have no whitespace), or up to the longest registered secret
+function heldBackLength(text) {
+  let longest = 0;
+  for (const secret of secrets) {
+    longest = Math.max(longest, secret.length);
+  }
+  return Math.min(text.length, Math.max(longest, text.match(/\S*$/)[0].length));
+}
+
+// Redact a streamed answer chunk by chunk, calling emit(text) with the safe part
+// Redacting each chunk on its own would let a secret split across two chunks through, so the accumulated text is
+// redacted instead and its tail is held back until more text arrives or flush() is called
+export function createStreamRedactor(emit) {
+  let raw = '';
+  let emitted = 0;
+
+  const emitUpTo = (redacted, end) => {
+    if (end > emitted) {
+      emit(redacted.slice(emitted, end));
+      emitted = end;
+    }
+  };
+
+  return {
+    push(text) {
+      raw += text;
+      const redacted = redactText(raw);
+      emitUpTo(redacted, redacted.length - heldBackLength(redacted));
+    },
+    // Emit whatever was held back (the stream is over)
+    flush() {
+      const redacted = redactText(raw);
+      emitUpTo(redacted, redacted.length);
+    },
+    // Start over (the streamed text was discarded)
+    reset() {
+      raw = '';
+      emitted = 0;
+    }
+  };
+}
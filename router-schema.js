@@ -0,0 +1,172 @@
+/**
+ * Router Schema
+ * Builds a JSON schema for router output from the tool registry (valid tool ids, known function names,
+ * declared params) and validates the model's JSON against it
+ *
+ * The validator covers the subset of JSON Schema the generated schema uses:
+ * type, enum, const, required, properties, additionalProperties (boolean), items, minItems, maxItems,
+ * minimum, maximum, anyOf, allOf and if/then
+ */
+
+import { getToolFunctions } from "./mcp-discovery.js";
+
+// Keep validation messages short enough to send back to the model
+const MAX_LISTED_VALUES = 40;
+
+// Helper function to describe the param and function constraints for one tool
+function buildToolConstraints(tool) {
+  const functions = tool.type === 'mcp'
+    ? getToolFunctions(tool).filter(func => !(tool.private_functions || []).includes(func.name))
+    : [];
+
+  // MCP tools with no known functions (e.g. a custom server before discovery) accept anything
+  if (tool.type === 'mcp' && functions.length === 0) {
+    return {};
+  }
+
+  // Built-in tools have no functions; their params (location, query, ...) aren't declared in the registry
+  if (tool.type !== 'mcp') {
+    return { properties: { functions: { type: 'array', maxItems: 0 } } };
+  }
+
+  const params = [...new Set(functions.flatMap(func => func.params || []))];
+  return {
+    properties: {
+      functions: { type: 'array', items: { type: 'string', enum: functions.map(func => func.name) } },
+      params: {
+        type: 'object',
+        properties: Object.fromEntries(params.map(param => [param, {}])),
+        additionalProperties: false
+      }
+    }
+  };
+}
+
+// Build the router output schema for the tools available to this request
+export function buildRoutingSchema(availableTools) {
+  const tools = Object.values(availableTools);
+  const toolIds = tools.map(tool => tool.id);
+
+  return {
+    type: 'object',
+    required: ['tools'],
+    properties: {
+      tools: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          anyOf: [
+            // Legacy format: a bare tool id
+            { type: 'string', enum: toolIds },
+            {
+              type: 'object',
+              required: ['tool_id'],
+              properties: {
+                tool_id: { type: 'string', enum: toolIds },
+                functions: { type: 'array', items: { type: 'string' } },
+                params: { type: 'object' }
+              },
+              allOf: tools.map(tool => ({
+                if: { required: ['tool_id'], properties: { tool_id: { const: tool.id } } },
+                then: buildToolConstraints(tool)
+              }))
+            }
+          ]
+        }
+      },
+      reasoning: { type: 'string' },
+      primary_intent: { type: 'string' },
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  };
+}
+
+// Helper function to get the JSON Schema type name of a value
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Helper function to list allowed values without flooding the message
+function listValues(values) {
+  const shown = values.slice(0, MAX_LISTED_VALUES).map(value => JSON.stringify(value)).join(', ');
+  return values.length > MAX_LISTED_VALUES ? `${shown}, ... (${values.length - MAX_LISTED_VALUES} more)` : shown;
+}
+
+// Validate a value against a schema; returns a list of "path: problem" messages (empty when valid)
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const actualType = typeOf(value);
+
+  if (schema.type) {
+    const matchesType = schema.type === actualType || (schema.type === 'number' && actualType === 'integer');
+    if (!matchesType) {
+      return [`${path}: expected ${schema.type}, got ${actualType}`];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${JSON.stringify(value)} is not one of ${listValues(schema.enum)}`);
+  }
+
+  if (actualType === 'number' || actualType === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}: missing required property "${key}"`);
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties?.[key]) {
+        errors.push(...validateAgainstSchema(child, schema.properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        const allowed = Object.keys(schema.properties || {});
+        errors.push(`${path}: unknown property "${key}"${allowed.length ? ` (declared: ${listValues(allowed)})` : ' (none declared)'}`);
+      }
+    }
+  }
+
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map(branch => validateAgainstSchema(value, branch, path));
+    if (!results.some(result => result.length === 0)) {
+      // Report the branch written for this kind of value, so the message says what's actually wrong
+      const index = schema.anyOf.findIndex(branch => !branch.type || branch.type === actualType);
+      errors.push(...(index >= 0 ? results[index] : [`${path}: doesn't match any allowed form`]));
+    }
+  }
+
+  for (const branch of schema.allOf || []) {
+    errors.push(...validateAgainstSchema(value, branch, path));
+  }
+
+  if (schema.if && schema.then && validateAgainstSchema(value, schema.if, path).length === 0) {
+    errors.push(...validateAgainstSchema(value, schema.then, path));
+  }
+
+  return errors;
+}
@@ -0,0 +1,121 @@
+/**
+ * RTMS Media Subscriptions
+ * Media type constants, handshake parameters and per-type handler registry for the RTMS media socket
+ */
+
+import { RTMS_MEDIA_TYPES } from "./config.js";
+
+// Media type bitmask values used in the DATA_HAND_SHAKE_REQ media_type field
+export const MEDIA_TYPES = {
+  audio: 1,
+  video: 2,
+  share: 4,
+  transcript: 8,
+  chat: 16,
+  all: 32
+};
+
+// Media socket message types for each kind of media data
+export const MEDIA_MSG_TYPES = {
+  14: 'audio',
+  15: 'video',
+  16: 'share',
+  17: 'transcript',
+  18: 'chat'
+};
+
+// Default media parameters sent with the handshake when audio/video is subscribed
+// audio: L16 PCM, 16kHz, mono, mixed stream, 100ms frames
+// video: H.264, HD, 25fps
+const DEFAULT_MEDIA_PARAMS = {
+  audio: {
+    content_type: 1,
+    sample_rate: 1,
+    channel: 1,
+    codec: 1,
+    data_opt: 1,
+    send_rate: 100
+  },
+  video: {
+    codec: 7,
+    resolution: 2,
+    fps: 25
+  }
+};
+
+// Registered handlers per media type name: type -> Set<handler>
+const mediaHandlers = new Map();
+
+// Resolve the configured media type names, dropping (and warning about) unknown entries
+export function getSubscribedMediaTypes(types = RTMS_MEDIA_TYPES) {
+  const valid = [];
+  for (const type of types) {
+    if (MEDIA_TYPES[type] === undefined) {
+      console.warn(`⚠️ RTMS: Ignoring unknown media type "${type}" (expected one of ${Object.keys(MEDIA_TYPES).join(', ')})`);
+      continue;
+    }
+    valid.push(type);
+  }
+  return valid.length > 0 ? valid : ['transcript'];
+}
+
+// Combine media type names into the handshake bitmask ("all" short-circuits to 32)
+export function getMediaTypeMask(types = getSubscribedMediaTypes()) {
+  if (types.includes('all')) {
+    return MEDIA_TYPES.all;
+  }
+  return types.reduce((mask, type) => mask | MEDIA_TYPES[type], 0);
+}
+
+// Build media_params for the handshake - only audio/video take parameters
+export function getMediaParams(types = getSubscribedMediaTypes()) {
+  const all = types.includes('all');
+  const params = {};
+  if (all || types.includes('audio')) {
+    params.audio = { ...DEFAULT_MEDIA_PARAMS.audio };
+  }
+  if (all || types.includes('video')) {
+    params.video = { ...DEFAULT_MEDIA_PARAMS.video };
+  }
+  return Object.keys(params).length > 0 ? params : null;
+}
+
+// Register a handler for a media type; returns an unregister function
+// handler(content, context) receives the message content plus { meetingUuid, streamId, msgType, type }
+export function registerMediaHandler(type, handler) {
+  if (!Object.values(MEDIA_MSG_TYPES).includes(type)) {
+    throw new Error(`Unknown media type: ${type}`);
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`Media handler for ${type} must be a function`);
+  }
+
+  if (!mediaHandlers.has(type)) {
+    mediaHandlers.set(type, new Set());
+  }
+  mediaHandlers.get(type).add(handler);
+
+  return () => mediaHandlers.get(type)?.delete(handler);
+}
+
+// Dispatch a media socket message to the handlers for its type
+// Returns false for messages that are not media data (handshake, keep-alive, ...)
+export async function dispatchMediaMessage(msg, meetingUuid, streamId) {
+  const type = MEDIA_MSG_TYPES[msg.msg_type];
+  if (!type) return false;
+
+  const handlers = mediaHandlers.get(type);
+  if (!handlers || handlers.size === 0) {
+    return true;
+  }
+
+  const context = { meetingUuid, streamId, msgType: msg.msg_type, type };
+  for (const handler of handlers) {
+    try {
+      await handler(msg.content || {}, context);
+    } catch (error) {
+      console.error(`❌ RTMS: ${type} handler error:`, error);
+    }
+  }
+  return true;
+}
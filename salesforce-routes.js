@@ -1,25 +1,54 @@
 /**
  * Salesforce MCP Credential Management Routes
  * Handles OAuth flow and credential management for Salesforce integration
+ * Credentials are stored for the session user (identity.js), never a user id from the request
  */
 
 import {
   getSalesforceSessionId,
   setSalesforceCredentials,
-  clearSalesforceCredentials
+  clearSalesforceCredentials,
+  salesforceCredentialsFromTokens
 } from "./auth-utils.js";
 import { SALESFORCE_MCP_URL } from "./config.js";
+import { getUserId } from "./identity.js";
+import { putCredential, getCredential, deleteCredential } from "./credential-vault.js";
+
+// Pending OAuth states live in the credential vault under this owner (state -> user id, expiring with the
+// login), so the callback can land on any isolate. It may also open outside the app (no session cookie),
+// which is why the user who asked for the OAuth URL is remembered by its state
+const OAUTH_STATE_OWNER = 'oauth-state';
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Helper function to remember which user an OAuth state was issued to
+async function rememberOAuthState(state, userId) {
+  await putCredential(OAUTH_STATE_OWNER, state, userId, { expiresAt: Date.now() + OAUTH_STATE_TTL_MS });
+}
+
+// Helper function to find (and forget) the user an OAuth state was issued to - null when it's unknown or expired
+async function claimOAuthState(state) {
+  if (!state) return null;
+  const userId = await getCredential(OAUTH_STATE_OWNER, state);
+  await deleteCredential(OAUTH_STATE_OWNER, state);
+  return typeof userId === 'string' ? userId : null;
+}
 
 // Get Salesforce credentials status
-export function getSalesforceStatus(c) {
-  const userId = c.req.query('userId') || 'default';
-  const creds = getSalesforceSessionId(userId);
+// expiresAt is null when the token's lifetime isn't known; needsReconnect is only set once a refresh has failed
+export async function getSalesforceStatus(c) {
+  const creds = await getSalesforceSessionId(getUserId(c));
   
   return c.json({
     configured: !!creds,
     hasAccessToken: !!(creds?.access_token),
     hasInstanceUrl: !!(creds?.instance_url),
     sessionId: creds?.state || creds?.session_id || null,
+    canRefresh: !!(creds?.refresh_token),
+    issuedAt: creds?.issued_at || creds?.timestamp || null,
+    expiresAt: creds?.expires_at || null,
+    expired: !!(creds?.expires_at && creds.expires_at <= Date.now()),
+    needsReconnect: !!(creds?.needs_reconnect),
+    reconnectReason: creds?.needs_reconnect ? creds.refresh_error || null : null,
     mcpServerUrl: SALESFORCE_MCP_URL
   });
 }
@@ -48,6 +77,10 @@ export async function getSalesforceOAuthUrl(c) {
     
     const data = await response.json();
     console.log(`✅ Got OAuth URL from MCP wrapper`);
+
+    if (data.state) {
+      await rememberOAuthState(data.state, getUserId(c));
+    }
     
     return c.json({
       success: true,
@@ -129,6 +162,35 @@ export async function handleSalesforceOAuthCallback(c) {
     `);
   }
   
+  // Only a login this app started may store a token - otherwise anyone could bind their own Salesforce
+  // account to whoever opens the link (login CSRF). Claimed before the exchange, so a state works once
+  const ownerId = await claimOAuthState(state);
+  if (!ownerId) {
+    return c.html(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <title>OAuth Error</title>
+        <script src="https://cdn.tailwindcss.com"></script>
+      </head>
+      <body class="bg-gray-100 p-8">
+        <div class="max-w-2xl mx-auto bg-white rounded-lg shadow-lg p-8">
+          <div class="text-center mb-6">
+            <div class="text-6xl mb-4">⚠️</div>
+            <h1 class="text-2xl font-bold text-yellow-600 mb-2">Unknown or Expired Login</h1>
+            <p class="text-gray-600">This sign-in wasn't started from the app, or it took longer than 10 minutes. Start the Salesforce login again from the app.</p>
+          </div>
+          <div class="text-center">
+            <a href="/" class="inline-block bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors">
+              ← Back to App
+            </a>
+          </div>
+        </div>
+      </body>
+      </html>
+    `, 400);
+  }
+  
   try {
     // Exchange code for tokens via Salesforce MCP wrapper
     const protocol = c.req.header('x-forwarded-proto') || 'http';
@@ -155,17 +217,12 @@ export async function handleSalesforceOAuthCallback(c) {
       throw new Error(result.error || 'Token exchange failed');
     }
     
-    // Store credentials
-    const credentials = {
-      access_token: result.access_token,
-      instance_url: result.instance_url,
-      state: result.state || state,
-      timestamp: Date.now()
-    };
+    // Store credentials - with the refresh token, an expired access token is renewed without a new login
+    const credentials = salesforceCredentialsFromTokens({ ...result, state: result.state || state });
     
-    setSalesforceCredentials('default', credentials);
+    await setSalesforceCredentials(ownerId, credentials);
     
-    console.log(`✅ Salesforce OAuth completed successfully - Instance: ${result.instance_url}`);
+    console.log(`✅ Salesforce OAuth completed successfully - Instance: ${result.instance_url}${credentials.refresh_token ? '' : ' (no refresh token - reconnect needed when it expires)'}`);
     
     // Show success page
     return c.html(`
@@ -272,7 +329,8 @@ export async function handleSalesforceOAuthCallback(c) {
 export async function setSalesforceCredentialsRoute(c) {
   try {
     const body = await c.req.json();
-    const { access_token, instance_url, state, userId = 'default' } = body;
+    const { access_token, refresh_token, instance_url, state, expires_in, issued_at } = body;
+    const userId = getUserId(c);
     
     if (!access_token || !instance_url) {
       return c.json({ 
@@ -281,15 +339,17 @@ export async function setSalesforceCredentialsRoute(c) {
       }, 400);
     }
     
-    // Store credentials
-    const credentials = {
+    // Store credentials (refresh_token, expires_in and issued_at are optional, as in an OAuth token response)
+    const credentials = salesforceCredentialsFromTokens({
       access_token,
+      refresh_token,
       instance_url,
       state: state || `session_${Date.now()}`,
-      timestamp: Date.now()
-    };
+      expires_in,
+      issued_at
+    });
     
-    setSalesforceCredentials(userId, credentials);
+    await setSalesforceCredentials(userId, credentials);
     
     console.log(`✅ Salesforce credentials configured for user: ${userId}`);
     
@@ -309,9 +369,8 @@ export async function setSalesforceCredentialsRoute(c) {
 }
 
 // Clear Salesforce credentials
-export function clearSalesforceCredentialsRoute(c) {
-  const userId = c.req.query('userId') || 'default';
-  clearSalesforceCredentials(userId);
+export async function clearSalesforceCredentialsRoute(c) {
+  await clearSalesforceCredentials(getUserId(c));
   
   return c.json({
     success: true,
@@ -0,0 +1,126 @@
+/**
+ * Stub MCP Server
+ * Tiny streamable-HTTP MCP server for exercising tool discovery and direct MCP calls locally
+ *
+ * Usage:
+ *   deno task stub-mcp                       # listens on http://localhost:8787/mcp
+ *   STUB_MCP_PORT=9000 deno task stub-mcp
+ *
+ * Register it with the tools API (http is accepted for localhost):
+ *   curl -X POST http://localhost:9995/api/tools -H "Authorization: Bearer $TOOLS_ADMIN_TOKEN" \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"id":"stub","description":"Local stub MCP server","serverUrl":"http://localhost:8787/mcp"}'
+ *
+ * tools/list is paginated (two functions per page) so cursor handling gets exercised too;
+ * add ?sse=1 to the server URL to get text/event-stream responses instead of JSON
+ */
+
+const PORT = parseInt(Deno.env.get("STUB_MCP_PORT") || "8787");
+const PAGE_SIZE = 2;
+
+const STUB_TOOLS = [
+  {
+    name: 'echo',
+    description: 'Echo the given text back',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+  },
+  {
+    name: 'add',
+    description: 'Add two numbers',
+    inputSchema: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] }
+  },
+  {
+    name: 'get_time',
+    description: 'Current server time in ISO 8601',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'search_notes',
+    description: 'Search a fixed set of notes by keyword',
+    inputSchema: { type: 'object', properties: { query: { type: 'string' }, limit: { type: 'number' } }, required: ['query'] }
+  }
+];
+
+const NOTES = ['Kickoff call with Acme on Monday', 'Send pricing deck to Globex', 'Renewal review for Initech'];
+
+// Helper function to run a tools/call request
+function callStubTool(name, args = {}) {
+  switch (name) {
+    case 'echo':
+      return { content: [{ type: 'text', text: String(args.text ?? '') }] };
+    case 'add': {
+      const sum = Number(args.a) + Number(args.b);
+      return { content: [{ type: 'text', text: String(sum) }], structuredContent: { sum } };
+    }
+    case 'get_time':
+      return { content: [{ type: 'text', text: new Date().toISOString() }] };
+    case 'search_notes': {
+      const query = String(args.query || '').toLowerCase();
+      const matches = NOTES.filter(note => note.toLowerCase().includes(query)).slice(0, args.limit || 10);
+      return { content: [{ type: 'text', text: matches.join('\n') || 'No matching notes' }], structuredContent: { matches } };
+    }
+    default:
+      return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+  }
+}
+
+// Helper function to answer one JSON-RPC request (null for notifications)
+function handleRpc(message) {
+  if (message.id === undefined) return null;
+
+  const reply = (result) => ({ jsonrpc: '2.0', id: message.id, result });
+  const fail = (code, text) => ({ jsonrpc: '2.0', id: message.id, error: { code, message: text } });
+
+  switch (message.method) {
+    case 'initialize':
+      return reply({
+        protocolVersion: message.params?.protocolVersion || '2025-03-26',
+        capabilities: { tools: {} },
+        serverInfo: { name: 'stub-mcp', version: '1.0.0' }
+      });
+    case 'tools/list': {
+      const start = parseInt(message.params?.cursor || '0') || 0;
+      const page = STUB_TOOLS.slice(start, start + PAGE_SIZE);
+      const next = start + PAGE_SIZE < STUB_TOOLS.length ? String(start + PAGE_SIZE) : undefined;
+      return reply({ tools: page, ...(next && { nextCursor: next }) });
+    }
+    case 'tools/call':
+      return reply(callStubTool(message.params?.name, message.params?.arguments));
+    default:
+      return fail(-32601, `Method not found: ${message.method}`);
+  }
+}
+
+Deno.serve({ port: PORT }, async (req) => {
+  const url = new URL(req.url);
+  if (url.pathname !== '/mcp') {
+    return new Response('Not found', { status: 404 });
+  }
+  if (req.method === 'DELETE') {
+    return new Response(null, { status: 204 });
+  }
+  if (req.method !== 'POST') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  let message;
+  try {
+    message = await req.json();
+  } catch {
+    return Response.json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }, { status: 400 });
+  }
+
+  console.log(`📨 STUB MCP: ${message.method}${req.headers.get('authorization') ? ' (with Authorization)' : ''}`);
+  const result = handleRpc(message);
+  const headers = { 'Mcp-Session-Id': req.headers.get('mcp-session-id') || crypto.randomUUID() };
+
+  if (!result) {
+    return new Response(null, { status: 202, headers });
+  }
+  if (url.searchParams.get('sse') === '1') {
+    return new Response(`event: message\ndata: ${JSON.stringify(result)}\n\n`, {
+      headers: { ...headers, 'Content-Type': 'text/event-stream' }
+    });
+  }
+  return Response.json(result, { headers });
+});
@@ -0,0 +1,60 @@
+/**
+ * Approval Tests
+ * Expiry of pending actions, and relayed updates from other isolates
+ */
+
+import assert from "node:assert/strict";
+
+// Short window so the expiry timer fires during the test
+Deno.env.set("APPROVAL_TIMEOUT_MS", "20");
+const { createPendingAction, getAction, rememberAction } = await import("../approvals.js");
+
+const tool = { id: 'salesforce', displayName: 'Salesforce', type: 'mcp', require_approval: 'always' };
+
+// Helper function to run something without the approval logs
+async function quietly(fn) {
+  const { log } = console;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// Helper function to wait past the approval window
+function waitForExpiry() {
+  return quietly(() => new Promise(resolve => setTimeout(resolve, 60)));
+}
+
+// Helper function to propose an action for a user
+function proposeAction(userId) {
+  return quietly(() => createPendingAction(tool, 'sf_update_lead', { lead_id: '00Q1' }, { userId }));
+}
+
+Deno.test("expires an action nobody decided", async () => {
+  const action = await proposeAction('u1');
+  await waitForExpiry();
+  assert.equal(getAction(action.id, 'u1').status, 'expired');
+});
+
+Deno.test("doesn't expire an action another isolate already decided", async () => {
+  const action = await proposeAction('u2');
+  // The relay replaces the object this isolate created
+  rememberAction({ ...action, status: 'done', decided_at: Date.now() });
+  await waitForExpiry();
+
+  const current = getAction(action.id, 'u2');
+  assert.equal(current.status, 'done');
+  assert.equal(current.reason, null);
+});
+
+Deno.test("expires the relayed copy of an action still pending elsewhere", async () => {
+  const action = await proposeAction('u3');
+  rememberAction({ ...action, args: { lead_id: '00Q2' } });
+  await waitForExpiry();
+
+  const current = getAction(action.id, 'u3');
+  assert.equal(current.status, 'expired');
+  assert.deepEqual(current.args, { lead_id: '00Q2' });
+});
@@ -0,0 +1,118 @@
+/**
+ * Credential Vault Tests
+ * Sealing and opening entries, what the stored record exposes, expiry, entries moved to another user or tool,
+ * and rotating entries sealed under an old key
+ */
+
+import assert from "node:assert/strict";
+
+const CURRENT_KEY = "fixture-vault-key-current";
+const OLD_KEY = "fixture-vault-key-old";
+Deno.env.set("CREDENTIAL_VAULT", "memory");
+Deno.env.set("CREDENTIAL_VAULT_KEY", CURRENT_KEY);
+Deno.env.set("CREDENTIAL_VAULT_OLD_KEYS", OLD_KEY);
+const {
+  createMemoryVault,
+  setVault,
+  putCredential,
+  getCredential,
+  listCredentials,
+  rotateVaultKey
+} = await import("../credential-vault.js");
+const { bytesToBase64 } = await import("../crypto-utils.js");
+
+// Helper function to give each test an empty vault (and a handle on the raw records)
+function freshVault() {
+  const vault = createMemoryVault();
+  setVault(vault);
+  return vault;
+}
+
+// Helper function to run something without the vault logs
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+// Helper function to seal a record the way an older deployment did, under the given key material
+async function sealUnderKey(material, userId, toolId, value) {
+  const raw = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(material)));
+  const fingerprint = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+  const key = await crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const sealed = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(JSON.stringify([userId, toolId])) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return {
+    user_id: userId,
+    tool_id: toolId,
+    key_id: Array.from(fingerprint.slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join(''),
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(sealed)),
+    created_at: Date.now(),
+    updated_at: Date.now(),
+    expires_at: null
+  };
+}
+
+Deno.test("round-trips a secret without storing it in the clear", async () => {
+  const vault = freshVault();
+  const value = { access_token: 'tok-fixture-1234567890', instance_url: 'https://example.my.salesforce.com' };
+  const description = await quietly(() => putCredential('u1', 'salesforce', value));
+
+  assert.deepEqual(Object.keys(description), ['tool_id', 'created_at', 'updated_at', 'expires_at']);
+  assert.deepEqual(await quietly(() => getCredential('u1', 'salesforce')), value);
+  const record = await vault.get('u1', 'salesforce');
+  assert.ok(!JSON.stringify(record).includes('tok-fixture-1234567890'));
+  assert.equal(await quietly(() => getCredential('u2', 'salesforce')), null);
+});
+
+Deno.test("won't open an entry moved to another user or tool", async () => {
+  const vault = freshVault();
+  await quietly(() => putCredential('a:b', 'c', 'secret-for-a:b'));
+  const record = await vault.get('a:b', 'c');
+
+  // "a:b" + "c" and "a" + "b:c" joined with ':' would share additional data
+  await vault.put({ ...record, user_id: 'a', tool_id: 'b:c' });
+  assert.equal(await quietly(() => getCredential('a', 'b:c')), null);
+  await vault.put({ ...record, user_id: 'u2' });
+  assert.equal(await quietly(() => getCredential('u2', 'c')), null);
+});
+
+Deno.test("reads an expired entry as missing and drops it", async () => {
+  const vault = freshVault();
+  await quietly(() => putCredential('u1', 'github', 'ghp-old', { expiresAt: Date.now() - 1 }));
+  await quietly(() => putCredential('u1', 'jira', 'jira-live', { expiresAt: Date.now() + 60000 }));
+
+  assert.deepEqual((await quietly(() => listCredentials('u1'))).map(entry => entry.tool_id), ['jira']);
+  assert.equal(await quietly(() => getCredential('u1', 'github')), null);
+  assert.equal(await vault.get('u1', 'github'), null);
+  assert.equal(await quietly(() => getCredential('u1', 'jira')), 'jira-live');
+});
+
+Deno.test("opens entries under an old key and re-seals them on rotation", async () => {
+  const vault = freshVault();
+  const oldRecord = await sealUnderKey(OLD_KEY, 'u1', 'github', 'ghp-fixture');
+  await vault.put(oldRecord);
+  await vault.put(await sealUnderKey('a-key-nobody-configured', 'u2', 'github', 'ghp-lost'));
+  await quietly(() => putCredential('u3', 'github', 'ghp-current'));
+
+  assert.equal(await quietly(() => getCredential('u1', 'github')), 'ghp-fixture');
+
+  const result = await quietly(() => rotateVaultKey());
+  assert.equal(result.rotated, 1);
+  assert.equal(result.failed, 1);
+  const rotated = await vault.get('u1', 'github');
+  assert.equal(rotated.key_id, result.key_id);
+  assert.notEqual(rotated.key_id, oldRecord.key_id);
+  assert.equal(rotated.created_at, oldRecord.created_at);
+  assert.equal(await quietly(() => getCredential('u1', 'github')), 'ghp-fixture');
+  assert.equal(await quietly(() => getCredential('u3', 'github')), 'ghp-current');
+});
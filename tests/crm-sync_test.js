@@ -0,0 +1,110 @@
+/**
+ * CRM Sync Tests
+ * Committing a proposal against a fake Salesforce MCP server where one task fails, then retrying
+ */
+
+import assert from "node:assert/strict";
+
+const SALESFORCE_PORT = 8794;
+Deno.env.set("SALESFORCE_MCP_URL", `http://localhost:${SALESFORCE_PORT}`);
+Deno.env.set("GROQ_API_KEY", "gsk-fixture-key");
+Deno.env.set("CREDENTIAL_VAULT", "memory");
+Deno.env.set("TRANSCRIPT_STORE", "memory");
+const { proposeCrmSync, commitCrmSync } = await import("../crm-sync.js");
+const { createMemoryTranscriptStore, setTranscriptStore } = await import("../transcript-store.js");
+const { setSalesforceFocus } = await import("../salesforce-focus.js");
+const { setSalesforceCredentials } = await import("../auth-utils.js");
+
+const MEETING_UUID = "crm-sync-meeting==";
+const SUMMARY = {
+  overview: 'Pricing review with Globex',
+  decisions: ['Offer the annual plan'],
+  action_items: [
+    { task: 'Send the revised proposal', owner: 'Ada', due_date: '2026-10-23' },
+    { task: 'Send pricing deck to Globex', owner: 'Grace', due_date: null }
+  ],
+  open_questions: [],
+  follow_ups: []
+};
+
+// Helper function to run a Salesforce MCP server that rejects the pricing task until failPricing is cleared
+function startSalesforceServer() {
+  const state = { calls: [], failPricing: true };
+  const server = Deno.serve({ port: SALESFORCE_PORT, hostname: 'localhost', onListen: () => {} }, async (req) => {
+    if (req.method !== 'POST') {
+      return new Response(null, { status: 204 });
+    }
+
+    const message = await req.json();
+    const headers = { 'Mcp-Session-Id': 'fake-salesforce-session' };
+    if (message.id === undefined) {
+      return new Response(null, { status: 202, headers });
+    }
+
+    const reply = (result) => Response.json({ jsonrpc: '2.0', id: message.id, result }, { headers });
+    if (message.method === 'initialize') {
+      return reply({ protocolVersion: '2025-03-26', capabilities: { tools: {} }, serverInfo: { name: 'fake-salesforce' } });
+    }
+
+    const { name, arguments: args } = message.params;
+    state.calls.push({ name, args });
+    if (name === 'sf_create_task' && state.failPricing && args.subject.includes('pricing')) {
+      return reply({ content: [{ type: 'text', text: 'FIELD_CUSTOM_VALIDATION_EXCEPTION: Due date is required' }], isError: true });
+    }
+    return reply({ content: [{ type: 'text', text: 'ok' }], structuredContent: { id: `00T${state.calls.length}` } });
+  });
+  return { server, state };
+}
+
+// Helper function to run something without the CRM sync logs
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+Deno.test("reports a partial commit and retries only the failed operation", async () => {
+  const store = createMemoryTranscriptStore();
+  setTranscriptStore(store);
+  await store.append(MEETING_UUID, 'summary', { data: '# Summary', summary: SUMMARY });
+  await quietly(async () => {
+    setSalesforceFocus('u1', { description: 'Globex renewal', recordId: '006000000000001', recordType: 'Opportunity', name: 'Globex' });
+    await setSalesforceCredentials('u1', {
+      access_token: '00D000000000001!fixture-access-token',
+      instance_url: 'https://example.my.salesforce.com',
+      state: 'fixture-session-state'
+    });
+  });
+
+  const { server, state } = startSalesforceServer();
+  try {
+    const proposed = await quietly(() => proposeCrmSync(MEETING_UUID, 'u1'));
+    assert.deepEqual(proposed.proposal.operations.map(op => op.id), ['note', 'task-1', 'task-2']);
+
+    const first = await quietly(() => commitCrmSync(MEETING_UUID, [], 'u1'));
+    assert.equal(first.success, false);
+    assert.equal(first.proposal.status, 'partial');
+    assert.deepEqual(first.proposal.operations.map(op => op.status), ['done', 'done', 'failed']);
+    assert.match(first.proposal.operations[2].error, /FIELD_CUSTOM_VALIDATION_EXCEPTION/);
+
+    // The user fills in the missing due date and retries
+    state.failPricing = false;
+    state.calls.length = 0;
+    const retry = await quietly(() => commitCrmSync(MEETING_UUID, [{ id: 'task-2', args: { due_date: '2026-10-30' } }], 'u1'));
+    assert.equal(retry.success, true);
+    assert.equal(retry.proposal.status, 'committed');
+    assert.deepEqual(retry.proposal.operations.map(op => op.status), ['done', 'done', 'done']);
+
+    // Only the failed task is sent again - the note and the first task aren't duplicated
+    const writes = state.calls.filter(call => call.name !== 'sf_set_credentials');
+    assert.deepEqual(writes.map(call => call.name), ['sf_create_task']);
+    assert.equal(writes[0].args.subject, 'Send pricing deck to Globex');
+    assert.equal(writes[0].args.due_date, '2026-10-30');
+  } finally {
+    await server.shutdown();
+  }
+});
@@ -0,0 +1,84 @@
+/**
+ * Groq Inference Tests
+ * performGroqInference against the committed cassette (fixtures/llm-cassette.json) and the scripted fake client
+ */
+
+import assert from "node:assert/strict";
+
+// The keyword router answers without a model call, so only the tools' own requests reach the client
+Deno.env.set("ROUTER_STRATEGY", "keyword");
+const { performGroqInference, getWeather, performWebSearch, answerDirectly } = await import("../ai-inference.js");
+const { setBuiltinHandlers } = await import("../tool-registry-unified.js");
+const { createCassetteLlmClient, createScriptedLlmClient, setLlmClient } = await import("../llm-client.js");
+const { MODEL_DIRECT_ANSWER } = await import("../config.js");
+
+// main.js wires the built-in tools up the same way
+setBuiltinHandlers({ getWeather, performWebSearch, answerDirectly });
+
+const CASSETTE_PATH = new URL("../fixtures/llm-cassette.json", import.meta.url).pathname;
+
+// Helper function to run an inference quietly (it logs every step); the trigger check is skipped
+async function infer(question, options = {}) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await performGroqInference(question, 'Test', 'general', [], true, null, options);
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+Deno.test("replays a weather answer from the cassette", async () => {
+  setLlmClient(createCassetteLlmClient({ path: CASSETTE_PATH, mode: 'replay' }));
+  const result = await infer("what's the weather in Paris");
+
+  assert.equal(result.detected, true);
+  assert.deepEqual(result.tools.map(t => t.name), ['weather']);
+  assert.equal(result.tools[0].location, 'Paris');
+  assert.match(result.response, /Paris/);
+});
+
+Deno.test("replays a direct answer from the cassette", async () => {
+  setLlmClient(createCassetteLlmClient({ path: CASSETTE_PATH, mode: 'replay' }));
+  const result = await infer("what is the capital of France");
+
+  assert.deepEqual(result.tools.map(t => t.name), ['direct_answer']);
+  assert.equal(result.response, 'The capital of France is Paris.');
+});
+
+Deno.test("replays a streamed answer from the cassette chunk by chunk", async () => {
+  setLlmClient(createCassetteLlmClient({ path: CASSETTE_PATH, mode: 'replay' }));
+  const deltas = [];
+  const result = await infer("who wrote Hamlet", { onDelta: delta => deltas.push(delta) });
+
+  assert.ok(deltas.length > 1);
+  assert.equal(deltas.map(d => d.text).join(''), result.response);
+});
+
+Deno.test("reports a request missing from the cassette instead of calling the API", async () => {
+  setLlmClient(createCassetteLlmClient({ path: CASSETTE_PATH, mode: 'replay' }));
+  const result = await infer("what is the tallest mountain in Europe");
+
+  // answerDirectly turns the replay error into its apology
+  assert.match(result.response, /couldn't answer/);
+});
+
+Deno.test("sends the direct answer request to the scripted fake", async () => {
+  const client = createScriptedLlmClient(['Mount Elbrus, at 5,642 m.']);
+  setLlmClient(client);
+  const result = await infer("what is the tallest mountain in Europe");
+
+  assert.equal(result.response, 'Mount Elbrus, at 5,642 m.');
+  assert.equal(client.calls.length, 1);
+  assert.equal(client.calls[0].model, MODEL_DIRECT_ANSWER);
+  assert.equal(client.calls[0].messages.at(-1).content, 'what is the tallest mountain in Europe');
+});
+
+Deno.test("falls back to an apology when the scripted fake fails", async () => {
+  setLlmClient(createScriptedLlmClient([new Error('503 Service Unavailable')]));
+  const result = await infer("what's the weather in Oslo");
+
+  assert.equal(result.tools[0].name, 'weather');
+  assert.equal(result.tools[0].success, false);
+  assert.match(result.response, /couldn't get the weather for Oslo/);
+});
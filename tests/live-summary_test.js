@@ -0,0 +1,67 @@
+/**
+ * Live Summary Tests
+ * Folding batches with the scripted fake client, retries of failed folds and cleanup when the meeting ends
+ */
+
+import assert from "node:assert/strict";
+
+// Fold on every second line; the interval is long enough that only the tests trigger folds
+Deno.env.set("LIVE_SUMMARY_BATCH_SIZE", "2");
+Deno.env.set("LIVE_SUMMARY_INTERVAL_MS", "600000");
+const { queueLiveSummaryUpdate, foldPending, finishLiveSummary, getLiveSummary } = await import("../live-summary.js");
+const { createScriptedLlmClient, setLlmClient } = await import("../llm-client.js");
+
+// Helper function to run something without the live summary logs
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+Deno.test("folds a full batch into the summary", async () => {
+  const client = createScriptedLlmClient(['- Alice owns the launch plan']);
+  setLlmClient(client);
+
+  await quietly(async () => {
+    queueLiveSummaryUpdate('meeting-fold', { user_name: 'Alice', data: 'I will own the launch plan' });
+    queueLiveSummaryUpdate('meeting-fold', { user_name: 'Bob', data: 'Sounds good' });
+    await finishLiveSummary('meeting-fold');
+  });
+
+  assert.equal(client.calls.length, 1);
+  assert.match(client.calls[0].messages[1].content, /Alice: I will own the launch plan\nBob: Sounds good/);
+});
+
+Deno.test("retries a failed batch, then drops it", async () => {
+  setLlmClient(createScriptedLlmClient(() => new Error('503 Service Unavailable')));
+
+  await quietly(async () => {
+    queueLiveSummaryUpdate('meeting-outage', { user_name: 'Alice', data: 'First point' });
+    await foldPending('meeting-outage');
+    await foldPending('meeting-outage');
+  });
+  assert.equal(getLiveSummary('meeting-outage').pending_count, 1);
+
+  await quietly(() => foldPending('meeting-outage'));
+  const summary = getLiveSummary('meeting-outage');
+  assert.equal(summary.pending_count, 0);
+  assert.equal(summary.dropped_count, 1);
+
+  await quietly(() => finishLiveSummary('meeting-outage'));
+});
+
+Deno.test("forgets the meeting once it ends", async () => {
+  setLlmClient(createScriptedLlmClient(['- Kickoff']));
+
+  await quietly(async () => {
+    queueLiveSummaryUpdate('meeting-ended', { user_name: 'Alice', data: 'Welcome everyone' });
+    assert.ok(getLiveSummary('meeting-ended'));
+    await finishLiveSummary('meeting-ended');
+  });
+
+  assert.equal(getLiveSummary('meeting-ended'), null);
+});
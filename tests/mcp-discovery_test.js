@@ -0,0 +1,113 @@
+/**
+ * MCP Discovery Tests
+ * discoverToolFunctions against stub-mcp-server.js (paginated tools/list, JSON and event-stream replies),
+ * and what a failed discovery leaves for the router
+ */
+
+import assert from "node:assert/strict";
+
+Deno.env.set("CREDENTIAL_VAULT", "memory");
+const { addTool, getAvailableTools } = await import("../tool-registry-unified.js");
+const { discoverToolFunctions, getToolFunctions, getToolDiscovery } = await import("../mcp-discovery.js");
+
+const STUB_PORT = 8791;
+const STUB_URL = `http://localhost:${STUB_PORT}/mcp`;
+const STUB_FUNCTIONS = ['echo', 'add', 'get_time', 'search_notes'];
+
+// Helper function to start the stub server and wait until it answers
+async function startStubServer() {
+  const child = new Deno.Command(Deno.execPath(), {
+    args: ['run', '--allow-env', '--allow-net', new URL('../stub-mcp-server.js', import.meta.url).pathname],
+    env: { STUB_MCP_PORT: String(STUB_PORT) },
+    stdout: 'null',
+    stderr: 'null'
+  }).spawn();
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      const response = await fetch(STUB_URL);
+      await response.body?.cancel();
+      return child;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  child.kill();
+  await child.status;
+  throw new Error('stub MCP server did not start');
+}
+
+// Helper function to run something without the discovery logs
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+// Helper function to register an MCP tool pointing at the given server URL
+function addMcpTool(toolId, serverUrl, mcpFunctions = []) {
+  addTool(toolId, { type: 'mcp', description: 'Local stub MCP server', serverUrl, mcpFunctions });
+}
+
+Deno.test("discovers the stub server's functions", async (t) => {
+  const stub = await startStubServer();
+  try {
+    await t.step("across tools/list pages", async () => {
+      addMcpTool('stub', STUB_URL);
+      const entry = await quietly(() => discoverToolFunctions('stub'));
+
+      assert.equal(entry.status, 'ok');
+      assert.equal(entry.server_name, 'stub-mcp');
+      assert.deepEqual(entry.functions.map(f => f.name), STUB_FUNCTIONS);
+      assert.deepEqual(entry.functions.find(f => f.name === 'add'), {
+        name: 'add',
+        description: 'Add two numbers',
+        params: ['a', 'b'],
+        required: ['a', 'b'],
+        input_schema: {
+          type: 'object',
+          properties: { a: { type: 'number' }, b: { type: 'number' } },
+          required: ['a', 'b']
+        }
+      });
+      assert.deepEqual(getToolFunctions(getAvailableTools().stub).map(f => f.name), STUB_FUNCTIONS);
+    });
+
+    await t.step("from event-stream responses", async () => {
+      addMcpTool('stub_sse', `${STUB_URL}?sse=1`);
+      const entry = await quietly(() => discoverToolFunctions('stub_sse'));
+      assert.equal(entry.status, 'ok');
+      assert.deepEqual(entry.functions.map(f => f.name), STUB_FUNCTIONS);
+    });
+
+    await t.step("keeps the last good list when the server starts failing", async () => {
+      addMcpTool('stub_flaky', STUB_URL);
+      await quietly(() => discoverToolFunctions('stub_flaky'));
+
+      addMcpTool('stub_flaky', `http://localhost:${STUB_PORT}/missing`);
+      const entry = await quietly(() => discoverToolFunctions('stub_flaky'));
+      assert.equal(entry.status, 'failed');
+      assert.ok(entry.error);
+      assert.deepEqual(entry.functions.map(f => f.name), STUB_FUNCTIONS);
+      assert.equal(getToolDiscovery('stub_flaky').function_count, STUB_FUNCTIONS.length);
+    });
+  } finally {
+    stub.kill();
+    await stub.status;
+  }
+});
+
+Deno.test("falls back to the registry's static functions when discovery fails", async () => {
+  // Nothing listens on this port
+  addMcpTool('offline', 'http://localhost:1/mcp', [{ name: 'static_search', description: 'Search', params: [] }]);
+  const entry = await quietly(() => discoverToolFunctions('offline'));
+
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.functions, null);
+  assert.match(getToolDiscovery('offline').error, /\S/);
+  assert.deepEqual(getToolFunctions(getAvailableTools().offline).map(f => f.name), ['static_search']);
+});
@@ -0,0 +1,85 @@
+/**
+ * Meeting Registry Tests
+ * A meeting's lifecycle (live, ended, restarted, pruned), its participants and transcript buffer, and listing order
+ */
+
+import assert from "node:assert/strict";
+
+const {
+  registerMeeting,
+  endMeeting,
+  recordMeetingTranscript,
+  getMeeting,
+  getMeetingTranscripts,
+  listMeetings
+} = await import("../meeting-registry.js");
+
+const NOW = Date.now();
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to build a transcript line
+function utterance(userId, userName, data, timestamp) {
+  return { user_id: userId, user_name: userName, data, timestamp };
+}
+
+Deno.test("follows a meeting from start to end and through a restart", () => {
+  registerMeeting('lifecycle==', { streamId: 'stream-1', startedAt: NOW - 60000 });
+  assert.equal(getMeeting('lifecycle==').status, 'live');
+  assert.equal(getMeeting('lifecycle==').rtms_stream_id, 'stream-1');
+
+  endMeeting('lifecycle==', NOW);
+  assert.deepEqual(
+    [getMeeting('lifecycle==').status, getMeeting('lifecycle==').stopped_at],
+    ['ended', NOW]
+  );
+
+  // RTMS restarting for the same meeting reopens the session and keeps the original start
+  registerMeeting('lifecycle==', { streamId: 'stream-2', startedAt: NOW });
+  const restarted = getMeeting('lifecycle==');
+  assert.equal(restarted.status, 'live');
+  assert.equal(restarted.stopped_at, null);
+  assert.equal(restarted.rtms_stream_id, 'stream-2');
+  assert.equal(restarted.started_at, NOW - 60000);
+
+  assert.equal(endMeeting('never-registered=='), null);
+  assert.equal(getMeeting('never-registered=='), null);
+});
+
+Deno.test("tracks participants and buffers transcripts", () => {
+  registerMeeting('participants==');
+  recordMeetingTranscript('participants==', utterance(16778240, 'Ada', 'Hello', 1000));
+  recordMeetingTranscript('participants==', utterance(16778241, 'Grace', 'Hi Ada', 2000));
+  recordMeetingTranscript('participants==', utterance(16778240, undefined, 'Shall we start?', 3000));
+
+  const meeting = getMeeting('participants==');
+  assert.equal(meeting.participant_count, 2);
+  assert.deepEqual(meeting.participants.map(p => p.user_name), ['Ada', 'Grace']);
+  assert.equal(meeting.transcript_count, 3);
+  assert.deepEqual(getMeetingTranscripts('participants==', 1000).map(t => t.data), ['Hi Ada', 'Shall we start?']);
+  assert.deepEqual(getMeetingTranscripts('unknown=='), []);
+});
+
+Deno.test("keeps only the newest 500 transcripts", () => {
+  registerMeeting('busy==');
+  for (let index = 0; index < 510; index++) {
+    recordMeetingTranscript('busy==', utterance(1, 'Ada', `line ${index}`, index + 1));
+  }
+  const transcripts = getMeetingTranscripts('busy==');
+  assert.equal(transcripts.length, 500);
+  assert.equal(transcripts[0].data, 'line 10');
+});
+
+Deno.test("lists live meetings first and prunes meetings ended over a day ago", () => {
+  registerMeeting('older-live==', { startedAt: NOW - 3 * 60000 });
+  registerMeeting('newer-live==', { startedAt: NOW - 60000 });
+  registerMeeting('recently-ended==', { startedAt: NOW - 30000 });
+  endMeeting('recently-ended==', NOW - 1000);
+  registerMeeting('long-ended==', { startedAt: NOW - 2 * DAY_MS });
+  endMeeting('long-ended==', NOW - DAY_MS - 1000);
+
+  const listed = listMeetings().map(m => m.meeting_uuid);
+  assert.ok(listed.indexOf('newer-live==') < listed.indexOf('older-live=='));
+  assert.ok(listed.indexOf('older-live==') < listed.indexOf('recently-ended=='));
+  assert.ok(!listed.includes('long-ended=='));
+  assert.equal(getMeeting('long-ended=='), null);
+});
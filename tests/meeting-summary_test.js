@@ -0,0 +1,50 @@
+/**
+ * Meeting Summary Tests
+ * summarizeMeeting against a slow transcript store and the scripted fake client
+ */
+
+import assert from "node:assert/strict";
+import { summarizeMeeting } from "../meeting-summary.js";
+import { createMemoryTranscriptStore, persistTranscript, setTranscriptStore } from "../transcript-store.js";
+import { createScriptedLlmClient, setLlmClient } from "../llm-client.js";
+
+// Helper function to wrap the memory store so every append takes a while, like a remote KV write
+function createSlowStore(delayMs) {
+  const store = createMemoryTranscriptStore();
+  return {
+    ...store,
+    append: (...args) => new Promise(resolve => setTimeout(() => resolve(store.append(...args)), delayMs))
+  };
+}
+
+// Helper function to run something without the summary logs
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+Deno.test("summarizes utterances whose writes were still in flight", async () => {
+  setTranscriptStore(createSlowStore(20));
+  const client = createScriptedLlmClient([JSON.stringify({
+    overview: 'Launch review',
+    decisions: ['Ship on Friday'],
+    action_items: [],
+    open_questions: [],
+    follow_ups: []
+  })]);
+  setLlmClient(client);
+
+  // RTMS stops right after the last utterances arrive - their writes haven't landed yet
+  persistTranscript('meeting-race', 'utterance', { user_name: 'Alice', data: 'Let us ship on Friday', timestamp: 1760884260000 });
+  persistTranscript('meeting-race', 'utterance', { user_name: 'Bob', data: 'Agreed', timestamp: 1760884262000 });
+  const state = await quietly(() => summarizeMeeting('meeting-race'));
+
+  assert.equal(state.status, 'ready');
+  assert.equal(client.calls.length, 1);
+  assert.match(client.calls[0].messages.at(-1).content, /Alice: Let us ship on Friday\nBob: Agreed/);
+});
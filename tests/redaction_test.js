@@ -0,0 +1,105 @@
+/**
+ * Redaction Tests
+ * redactText and the stream redactor, and a Salesforce answer end to end: the prompt sent to the model, the logs
+ * and the returned tools must not contain the session's access token
+ */
+
+import assert from "node:assert/strict";
+
+Deno.env.set("CREDENTIAL_VAULT", "memory");
+Deno.env.set("ROUTER_STRATEGY", "keyword");
+Deno.env.set("SALESFORCE_MCP_URL", "https://salesforce-mcp.example.com");
+const { redactText, registerSecret, createStreamRedactor } = await import("../redaction.js");
+const { setSalesforceCredentials } = await import("../auth-utils.js");
+const { performGroqInference } = await import("../ai-inference.js");
+const { createScriptedLlmClient, setLlmClient } = await import("../llm-client.js");
+
+const ACCESS_TOKEN = "00D5g000004ABCD!AQ0AQFixtureAccessTokenValue1234567890";
+const SESSION_HANDLE = "sf-session-handle-fixture-42";
+
+// Helper function to feed chunks through a stream redactor and collect what it emits
+function streamThrough(chunks) {
+  const emitted = [];
+  const redactor = createStreamRedactor(text => emitted.push(text));
+  chunks.forEach(chunk => redactor.push(chunk));
+  const beforeFlush = emitted.join('');
+  redactor.flush();
+  return { beforeFlush, text: emitted.join('') };
+}
+
+// Helper function to run fn and capture everything it logs
+async function captureLogs(fn) {
+  const lines = [];
+  const saved = { log: console.log, warn: console.warn, error: console.error, trace: console.trace };
+  console.log = console.warn = console.error = console.trace = (...args) => {
+    lines.push(args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' '));
+  };
+  try {
+    return { result: await fn(), logs: lines.join('\n') };
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+Deno.test("masks registered secrets and known credential shapes", () => {
+  registerSecret("registered-secret-value-1");
+  assert.equal(redactText("key registered-secret-value-1 here"), "key [REDACTED] here");
+  assert.equal(redactText("Authorization: Bearer abcdefgh12345678"), "Authorization: Bearer [REDACTED]");
+  assert.equal(redactText('{"access_token": "tok_abcdefgh123"}'), '{"access_token": "[REDACTED]"}');
+  assert.equal(redactText("short ids like abc stay"), "short ids like abc stay");
+});
+
+Deno.test("redacts a registered secret split across streamed chunks", () => {
+  registerSecret("split-secret-0123456789");
+  const { beforeFlush, text } = streamThrough(["The key is split-sec", "ret-0123", "456789 and that's it."]);
+  assert.equal(text, "The key is [REDACTED] and that's it.");
+  assert.ok(!beforeFlush.includes("split-sec"));
+});
+
+Deno.test("redacts a bearer token split across streamed chunks", () => {
+  const { text } = streamThrough(["Use Bear", "er abcd", "efgh1234", "5678 to call it"]);
+  assert.equal(text, "Use Bearer [REDACTED] to call it");
+});
+
+Deno.test("emits plain text unchanged once the stream is flushed", () => {
+  const { text } = streamThrough(["Paris ", "is the capital ", "of France."]);
+  assert.equal(text, "Paris is the capital of France.");
+});
+
+Deno.test("keeps the Salesforce token out of the prompt, the logs and executed_tools", async () => {
+  await setSalesforceCredentials('u1', {
+    access_token: ACCESS_TOKEN,
+    instance_url: 'https://example.my.salesforce.com',
+    state: SESSION_HANDLE
+  });
+
+  // The model (or an MCP server) echoes the token back in its answer and in a tool's output
+  const client = createScriptedLlmClient([{
+    content: `Found 1 lead. (token ${ACCESS_TOKEN})`,
+    executed_tools: [{
+      index: 0,
+      type: 'mcp',
+      name: 'salesforce__sf_search_leads',
+      arguments: JSON.stringify({ company: 'Globex' }),
+      output: JSON.stringify({ records: [{ id: '00Q1', company: 'Globex' }], access_token: ACCESS_TOKEN })
+    }]
+  }]);
+  setLlmClient(client);
+
+  const { result, logs } = await captureLogs(() =>
+    performGroqInference("search for leads at Globex", 'Test', 'general', [], true, null, { userId: 'u1' })
+  );
+
+  assert.deepEqual(result.tools.map(t => t.name), ['salesforce__sf_search_leads']);
+  assert.equal(client.calls.length, 1);
+  for (const [where, text] of [
+    ['prompt messages', JSON.stringify(client.calls[0].messages)],
+    ['logs', logs],
+    ['result', JSON.stringify(result)]
+  ]) {
+    assert.ok(!text.includes(ACCESS_TOKEN), `access token found in ${where}`);
+    assert.ok(!text.includes(SESSION_HANDLE), `session handle found in ${where}`);
+  }
+  // The token still reaches the MCP server, as a header
+  assert.equal(client.calls[0].tools[0].headers['X-Salesforce-Access-Token'], ACCESS_TOKEN);
+});
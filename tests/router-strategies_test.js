@@ -0,0 +1,71 @@
+/**
+ * Router Strategy Tests
+ * Runs the shared cases in tests/fixtures/router-cases.json through the llm (scripted MODEL_ROUTER),
+ * keyword and hybrid strategies
+ */
+
+import assert from "node:assert/strict";
+import fixtures from "./fixtures/router-cases.json" with { type: "json" };
+
+// The registry only offers Salesforce when its MCP URL is configured
+Deno.env.set("SALESFORCE_MCP_URL", "https://salesforce-mcp.example.com/mcp");
+const { intelligentRouter } = await import("../groq-router.js");
+const { createScriptedLlmClient, setLlmClient } = await import("../llm-client.js");
+
+// Answer each routing request with its case's llm_response, and each repair request with its repair_response
+const scriptedRouter = createScriptedLlmClient((request) => {
+  const question = request.messages[1].content;
+  const testCase = fixtures.cases.find(c => c.question === question);
+  const isRepair = request.messages.length > 2;
+  return JSON.stringify(isRepair ? testCase.repair_response : testCase.llm_response);
+});
+setLlmClient(scriptedRouter);
+
+// Helper function to compare a decision with a case's expectations for one strategy
+function assertDecision(decision, expected) {
+  assert.deepEqual([...decision.tools].sort(), [...expected.tools].sort());
+  if (expected.strategy) {
+    assert.equal(decision.strategy, expected.strategy);
+  }
+  for (const [toolId, functions] of Object.entries(expected.functions || {})) {
+    assert.deepEqual(decision.toolDetails.find(d => d.tool_id === toolId)?.functions, functions);
+  }
+  for (const [toolId, params] of Object.entries(expected.params || {})) {
+    assert.deepEqual(decision.toolDetails.find(d => d.tool_id === toolId)?.params, params);
+  }
+  if (expected.routing_error) {
+    assert.match(decision.routingError || '', new RegExp(expected.routing_error));
+  } else {
+    assert.equal(decision.routingError, undefined);
+  }
+}
+
+// Helper function to route quietly - the router logs every step
+async function route(question, strategy) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await intelligentRouter(question, 'Test', {}, [], { strategy });
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+for (const strategy of ['llm', 'keyword', 'hybrid']) {
+  for (const testCase of fixtures.cases) {
+    Deno.test(`${strategy}: ${testCase.id}`, async () => {
+      const callsBefore = scriptedRouter.calls.length;
+      const decision = await route(testCase.question, strategy);
+      assertDecision(decision, testCase.expected[strategy]);
+
+      // Keyword decisions never reach the model, hybrid ones only when the keyword match isn't confident
+      const modelCalled = scriptedRouter.calls.length > callsBefore;
+      const expectedStrategy = testCase.expected[strategy].strategy;
+      if (strategy === 'keyword' || expectedStrategy === 'hybrid:keyword') {
+        assert.equal(modelCalled, false);
+      } else {
+        assert.equal(modelCalled, true);
+      }
+    });
+  }
+}
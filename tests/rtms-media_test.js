@@ -0,0 +1,91 @@
+/**
+ * RTMS Media Tests
+ * Media type names to the handshake bitmask and media_params, and media socket messages to registered handlers
+ */
+
+import assert from "node:assert/strict";
+
+const {
+  MEDIA_TYPES,
+  getSubscribedMediaTypes,
+  getMediaTypeMask,
+  getMediaParams,
+  registerMediaHandler,
+  dispatchMediaMessage
+} = await import("../rtms-media.js");
+
+// Helper function to run something without the RTMS warnings
+async function quietly(fn) {
+  const { warn, error } = console;
+  console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { warn, error });
+  }
+}
+
+Deno.test("combines media type names into the handshake bitmask", () => {
+  assert.equal(getMediaTypeMask(['transcript']), 8);
+  assert.equal(getMediaTypeMask(['audio', 'video']), 3);
+  assert.equal(getMediaTypeMask(['transcript', 'chat']), 24);
+  assert.equal(getMediaTypeMask(['audio', 'video', 'share', 'transcript', 'chat']), 31);
+  assert.equal(getMediaTypeMask(['transcript', 'all']), MEDIA_TYPES.all);
+});
+
+Deno.test("drops unknown media types and falls back to transcript", async () => {
+  assert.deepEqual(await quietly(() => getSubscribedMediaTypes(['chat', 'hologram'])), ['chat']);
+  assert.deepEqual(await quietly(() => getSubscribedMediaTypes(['hologram'])), ['transcript']);
+  assert.deepEqual(getSubscribedMediaTypes([]), ['transcript']);
+});
+
+Deno.test("sends media_params only for audio and video", () => {
+  assert.equal(getMediaParams(['transcript', 'chat']), null);
+  assert.deepEqual(Object.keys(getMediaParams(['audio', 'transcript'])), ['audio']);
+  assert.deepEqual(Object.keys(getMediaParams(['all'])), ['audio', 'video']);
+});
+
+Deno.test("routes each media message type to the handlers for its type", async () => {
+  const received = [];
+  const unregister = ['audio', 'video', 'share', 'transcript', 'chat'].map(type =>
+    registerMediaHandler(type, (content, context) => received.push([context.type, context.msgType, content.data]))
+  );
+  try {
+    for (const msgType of [14, 15, 16, 17, 18]) {
+      assert.equal(await dispatchMediaMessage({ msg_type: msgType, content: { data: `frame-${msgType}` } }, 'meeting==', 'stream-1'), true);
+    }
+    assert.deepEqual(received, [
+      ['audio', 14, 'frame-14'],
+      ['video', 15, 'frame-15'],
+      ['share', 16, 'frame-16'],
+      ['transcript', 17, 'frame-17'],
+      ['chat', 18, 'frame-18']
+    ]);
+
+    // Keep-alives and handshakes aren't media
+    assert.equal(await dispatchMediaMessage({ msg_type: 12 }, 'meeting==', 'stream-1'), false);
+    assert.equal(received.length, 5);
+  } finally {
+    unregister.forEach(remove => remove());
+  }
+});
+
+Deno.test("keeps dispatching after a handler throws, and stops once unregistered", async () => {
+  const received = [];
+  const removeFailing = registerMediaHandler('chat', () => {
+    throw new Error('handler bug');
+  });
+  const remove = registerMediaHandler('chat', (content) => received.push(content.data));
+
+  await quietly(() => dispatchMediaMessage({ msg_type: 18, content: { data: 'hello' } }, 'meeting==', 'stream-1'));
+  removeFailing();
+  remove();
+  await dispatchMediaMessage({ msg_type: 18, content: { data: 'after' } }, 'meeting==', 'stream-1');
+
+  assert.deepEqual(received, ['hello']);
+});
+
+Deno.test("rejects handlers for unknown types", () => {
+  assert.throws(() => registerMediaHandler('hologram', () => {}), /Unknown media type: hologram/);
+  assert.throws(() => registerMediaHandler('chat', 'not a function'), /must be a function/);
+});
@@ -0,0 +1,96 @@
+/**
+ * RTMS Reconnect Tests
+ * Backoff between reconnect attempts and giving up, against a local signaling server that drops every socket
+ */
+
+import assert from "node:assert/strict";
+
+const BASE_DELAY_MS = 40;
+const MAX_DELAY_MS = 100;
+const MAX_ATTEMPTS = 3;
+Deno.env.set("ZOOM_CLIENT_ID", "fixture_client_id");
+Deno.env.set("ZOOM_CLIENT_SECRET", "fixture_client_secret");
+Deno.env.set("RTMS_RECONNECT_BASE_DELAY_MS", String(BASE_DELAY_MS));
+Deno.env.set("RTMS_RECONNECT_MAX_DELAY_MS", String(MAX_DELAY_MS));
+Deno.env.set("RTMS_RECONNECT_MAX_ATTEMPTS", String(MAX_ATTEMPTS));
+Deno.env.set("TRANSCRIPT_STORE", "memory");
+const { startRtmsStream, stopRtmsStream, getStreamStatus } = await import("../websocket-utils.js");
+
+// Longest random jitter getReconnectDelay adds
+const MAX_JITTER_MS = 250;
+
+// Helper function to run a signaling server that accepts each socket and closes it once the handshake arrives
+function startDroppingServer() {
+  const connectedAt = [];
+  const server = Deno.serve({ port: 0, hostname: 'localhost', onListen: () => {} }, (req) => {
+    const { socket, response } = Deno.upgradeWebSocket(req);
+    connectedAt.push(performance.now());
+    socket.onmessage = () => socket.close(1011, 'dropped by test server');
+    return response;
+  });
+  return { server, connectedAt, url: `ws://localhost:${server.addr.port}` };
+}
+
+// Helper function to poll until a condition holds (or fail after timeoutMs)
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = performance.now() + timeoutMs;
+  while (!condition()) {
+    if (performance.now() > deadline) throw new Error('timed out waiting for the stream');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Helper function to run something without the RTMS logs
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+Deno.test("backs off between reconnects and gives up after the last attempt", async () => {
+  const { server, connectedAt, url } = startDroppingServer();
+  const meetingUuid = 'reconnect-meeting==';
+  try {
+    await quietly(async () => {
+      startRtmsStream(meetingUuid, 'stream-1', url);
+      await waitFor(() => getStreamStatus(meetingUuid)?.state === 'failed');
+      // Give a (wrongly) scheduled extra attempt time to show up
+      await new Promise(resolve => setTimeout(resolve, MAX_DELAY_MS + MAX_JITTER_MS));
+    });
+
+    const status = getStreamStatus(meetingUuid);
+    assert.equal(status.reconnect_attempts, MAX_ATTEMPTS + 1);
+    assert.match(status.last_error, /^Reconnect attempts exhausted: Signaling socket closed/);
+
+    // The first connection plus one per attempt, each after a doubling (capped) delay
+    assert.equal(connectedAt.length, 1 + MAX_ATTEMPTS);
+    const gaps = connectedAt.slice(1).map((time, index) => time - connectedAt[index]);
+    [BASE_DELAY_MS, BASE_DELAY_MS * 2, MAX_DELAY_MS].forEach((delay, index) => {
+      assert.ok(gaps[index] >= delay - 5, `attempt ${index + 1} came after ${gaps[index]}ms, expected at least ${delay}ms`);
+    });
+  } finally {
+    await server.shutdown();
+  }
+});
+
+Deno.test("doesn't reconnect a stream that was stopped", async () => {
+  const { server, connectedAt, url } = startDroppingServer();
+  const meetingUuid = 'stopped-meeting==';
+  try {
+    await quietly(async () => {
+      startRtmsStream(meetingUuid, 'stream-2', url);
+      await waitFor(() => getStreamStatus(meetingUuid)?.state === 'reconnecting');
+      stopRtmsStream(meetingUuid);
+      await new Promise(resolve => setTimeout(resolve, BASE_DELAY_MS + MAX_JITTER_MS));
+    });
+
+    assert.equal(getStreamStatus(meetingUuid).state, 'stopped');
+    assert.equal(connectedAt.length, 1);
+  } finally {
+    await server.shutdown();
+  }
+});
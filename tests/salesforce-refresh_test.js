@@ -0,0 +1,160 @@
+/**
+ * Salesforce Refresh Tests
+ * Token refresh through a fake MCP wrapper: concurrent refreshes sharing one call, 401 retries,
+ * and sessions flagged needs_reconnect when the refresh fails
+ */
+
+import assert from "node:assert/strict";
+
+const WRAPPER_PORT = 8795;
+Deno.env.set("SALESFORCE_MCP_URL", `http://localhost:${WRAPPER_PORT}`);
+Deno.env.set("CREDENTIAL_VAULT", "memory");
+const {
+  setSalesforceCredentials,
+  getSalesforceSessionId,
+  refreshSalesforceCredentials,
+  withSalesforceRefresh,
+  processToolAuth
+} = await import("../auth-utils.js");
+const { sseClients } = await import("../websocket-utils.js");
+const { UNIFIED_TOOL_REGISTRY } = await import("../tool-registry-unified.js");
+
+// Helper function to run a wrapper whose /api/refresh-token answers slowly, failing while `failWith` is set
+function startWrapper() {
+  const state = { requests: [], failWith: null };
+  const server = Deno.serve({ port: WRAPPER_PORT, hostname: 'localhost', onListen: () => {} }, async (req) => {
+    const body = await req.json();
+    state.requests.push(body);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    if (state.failWith) {
+      return Response.json({ success: false, error: state.failWith }, { status: 400 });
+    }
+    return Response.json({
+      success: true,
+      access_token: `refreshed-access-token-${state.requests.length}`,
+      instance_url: body.instance_url,
+      expires_in: 7200
+    });
+  });
+  return { server, state };
+}
+
+// Helper function to store a session for a user
+function connectSalesforce(userId, overrides = {}) {
+  return setSalesforceCredentials(userId, {
+    access_token: `expired-access-token-${userId}`,
+    refresh_token: `refresh-token-${userId}`,
+    instance_url: 'https://example.my.salesforce.com',
+    state: `session-state-${userId}`,
+    needs_reconnect: false,
+    ...overrides
+  });
+}
+
+// Helper function to collect the SSE events sent to a user while fn runs
+async function collectUserEvents(userId, fn) {
+  const events = [];
+  const client = { userId, meetingUuid: null, send: (message) => events.push(message.split('\n')[0]) };
+  sseClients.add(client);
+  try {
+    return { result: await fn(), events };
+  } finally {
+    sseClients.delete(client);
+  }
+}
+
+// Helper function to run something without the auth logs
+async function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+Deno.test("shares one refresh call between concurrent refreshes", async () => {
+  const { server, state } = startWrapper();
+  try {
+    await quietly(() => connectSalesforce('u1'));
+    const results = await quietly(() => Promise.all([1, 2, 3].map(() => refreshSalesforceCredentials('u1'))));
+
+    assert.equal(state.requests.length, 1);
+    assert.deepEqual(state.requests[0], {
+      refresh_token: 'refresh-token-u1',
+      instance_url: 'https://example.my.salesforce.com',
+      state: 'session-state-u1'
+    });
+    assert.ok(results.every(result => result.access_token === 'refreshed-access-token-1'));
+
+    // The refresh token wasn't rotated, so the old one is kept
+    const stored = await quietly(() => getSalesforceSessionId('u1'));
+    assert.equal(stored.access_token, 'refreshed-access-token-1');
+    assert.equal(stored.refresh_token, 'refresh-token-u1');
+    assert.ok(stored.expires_at > Date.now());
+  } finally {
+    await server.shutdown();
+  }
+});
+
+Deno.test("retries concurrent 401s once each after a single refresh", async () => {
+  const { server, state } = startWrapper();
+  try {
+    await quietly(() => connectSalesforce('u2'));
+    const tokensUsed = [];
+    const call = () => withSalesforceRefresh('u2', async () => {
+      const { access_token } = await getSalesforceSessionId('u2');
+      tokensUsed.push(access_token);
+      if (access_token.startsWith('expired')) {
+        throw Object.assign(new Error('MCP tools/call failed: HTTP 401'), { status: 401 });
+      }
+      return access_token;
+    });
+
+    const results = await quietly(() => Promise.all([call(), call()]));
+    assert.equal(state.requests.length, 1);
+    assert.deepEqual(results, ['refreshed-access-token-1', 'refreshed-access-token-1']);
+    assert.equal(tokensUsed.length, 4);
+  } finally {
+    await server.shutdown();
+  }
+});
+
+Deno.test("flags the session needs_reconnect when the refresh fails", async () => {
+  const { server, state } = startWrapper();
+  state.failWith = 'expired access/refresh token';
+  try {
+    await quietly(() => connectSalesforce('u3'));
+    const { result, events } = await collectUserEvents('u3', () => quietly(() => refreshSalesforceCredentials('u3')));
+
+    assert.equal(result, null);
+    assert.deepEqual(events, ['event: salesforce_reconnect']);
+    const stored = await quietly(() => getSalesforceSessionId('u3'));
+    assert.equal(stored.needs_reconnect, true);
+    assert.equal(stored.refresh_error, 'expired access/refresh token');
+
+    // Nothing is sent to the MCP server with a session the user has to reconnect
+    const auth = await quietly(() => processToolAuth(UNIFIED_TOOL_REGISTRY.salesforce, 'u3'));
+    assert.equal(auth.shouldInclude, false);
+    assert.match(auth.error, /reconnect/);
+    await assert.rejects(
+      () => quietly(() => withSalesforceRefresh('u3', () => Promise.reject(Object.assign(new Error('Unauthorized'), { status: 401 })))),
+      /please reconnect Salesforce/
+    );
+  } finally {
+    await server.shutdown();
+  }
+});
+
+Deno.test("flags the session needs_reconnect without calling the wrapper when there's no refresh token", async () => {
+  const { server, state } = startWrapper();
+  try {
+    await quietly(() => connectSalesforce('u4', { refresh_token: null }));
+    assert.equal(await quietly(() => refreshSalesforceCredentials('u4')), null);
+    assert.equal(state.requests.length, 0);
+    assert.equal((await quietly(() => getSalesforceSessionId('u4'))).needs_reconnect, true);
+  } finally {
+    await server.shutdown();
+  }
+});
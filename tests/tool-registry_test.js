@@ -0,0 +1,59 @@
+/**
+ * Tool Registry Tests
+ * validateToolDefinition's auth checks, and which environment variables processToolAuth will send to a tool's server
+ */
+
+import assert from "node:assert/strict";
+
+Deno.env.set("CREDENTIAL_VAULT", "memory");
+Deno.env.set("TOOL_SECRET_GITHUB_TOKEN", "ghp-fixture-token");
+const { validateToolDefinition } = await import("../tool-registry-unified.js");
+const { processToolAuth } = await import("../auth-utils.js");
+
+// Helper function to build a tool definition with the given auth config
+function definitionWithAuth(auth) {
+  return {
+    description: 'Search issues and pull requests',
+    serverUrl: 'https://example.com/github/mcp',
+    auth
+  };
+}
+
+// Helper function to run something without the auth and vault logs
+async function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return await fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+Deno.test("accepts auth.env names with the TOOL_SECRET_ prefix", () => {
+  const config = validateToolDefinition('github', definitionWithAuth({ type: 'bearer_token', env: 'TOOL_SECRET_GITHUB_TOKEN' }));
+  assert.deepEqual(config.auth, { type: 'bearer_token', env: 'TOOL_SECRET_GITHUB_TOKEN' });
+});
+
+for (const env of ['GROQ_API_KEY', 'SESSION_SECRET', 'CREDENTIAL_VAULT_KEY', 'ZOOM_CLIENT_SECRET', 'TOOL_SECRET_', 'tool_secret_github']) {
+  Deno.test(`rejects auth.env ${env}`, () => {
+    assert.throws(
+      () => validateToolDefinition('github', definitionWithAuth({ type: 'env_header', header: 'x-api-key', env })),
+      /auth\.env must be an environment variable named TOOL_SECRET_<NAME>/
+    );
+  });
+}
+
+Deno.test("sends a TOOL_SECRET_ variable to a stored tool", async () => {
+  const tool = { id: 'github', auth: { type: 'bearer_token', env: 'TOOL_SECRET_GITHUB_TOKEN' } };
+  const result = await quietly(() => processToolAuth(tool, 'u1'));
+  assert.equal(result.headers.Authorization, 'Bearer ghp-fixture-token');
+});
+
+Deno.test("doesn't send the app's own secrets to a stored tool saved before the check", async () => {
+  Deno.env.set("GROQ_API_KEY", "gsk-fixture-key");
+  const tool = { id: 'github', auth: { type: 'env_header', header: 'x-api-key', env: 'GROQ_API_KEY' } };
+  const result = await quietly(() => processToolAuth(tool, 'u1'));
+  assert.equal(result.shouldInclude, false);
+  assert.deepEqual(result.headers, {});
+});
@@ -0,0 +1,79 @@
+/**
+ * Transcript Export Tests
+ * WebVTT and SRT output for a meeting running past the hour, cue timing, and the other formats' timecodes
+ */
+
+import assert from "node:assert/strict";
+
+const { buildCues, exportTranscript } = await import("../transcript-export.js");
+
+const STARTED_AT = 1760884200000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Helper function to build a stored entry offsetMs into the meeting
+function entry(offsetMs, userName, data, kind = 'utterance') {
+  return { kind, user_id: 16778240, user_name: userName, data, timestamp: STARTED_AT + offsetMs };
+}
+
+const ENTRIES = [
+  entry(5000, 'Ada', 'Welcome, everyone.'),
+  entry(HOUR_MS + 23 * 60000 + 45678, 'Grace', 'One more <b>thing</b> & then we wrap up.'),
+  entry(HOUR_MS + 23 * 60000 + 47000, 'Ada', 'Thanks!', 'chat'),
+  entry(HOUR_MS + 24 * 60000, 'Groq AI Assistant', 'Summary follows.', 'ai_response')
+];
+
+Deno.test("writes WebVTT timecodes past the first hour", () => {
+  const { body, contentType, filename } = exportTranscript(ENTRIES, 'vtt', { meetingUuid: 'abc123==', startedAt: STARTED_AT });
+  assert.equal(contentType, 'text/vtt; charset=utf-8');
+  assert.match(filename, /\.vtt$/);
+  assert.equal(body, [
+    'WEBVTT',
+    '',
+    '00:00:05.000 --> 00:00:06.000',
+    '<v Ada>Welcome, everyone.',
+    '',
+    '01:23:45.678 --> 01:23:47.000',
+    '<v Grace>One more thing &amp; then we wrap up.',
+    '',
+    '01:23:47.000 --> 01:23:48.000',
+    '<v Ada>Thanks!',
+    ''
+  ].join('\n'));
+});
+
+Deno.test("writes SRT timecodes past the first hour", () => {
+  const { body } = exportTranscript(ENTRIES, 'srt', { meetingUuid: 'abc123==', startedAt: STARTED_AT });
+  assert.equal(body, [
+    '1',
+    '00:00:05,000 --> 00:00:06,000',
+    'Ada: Welcome, everyone.',
+    '',
+    '2',
+    '01:23:45,678 --> 01:23:47,000',
+    'Grace: One more thing & then we wrap up.',
+    '',
+    '3',
+    '01:23:47,000 --> 01:23:48,000',
+    'Ada: Thanks!',
+    ''
+  ].join('\n'));
+});
+
+Deno.test("keeps hours in plain-text and JSON timecodes and includes AI answers on request", () => {
+  const options = { meetingUuid: 'abc123==', startedAt: STARTED_AT, includeAi: true };
+  const text = exportTranscript(ENTRIES, 'txt', options).body;
+  assert.match(text, /^\[01:24:00\] Groq AI Assistant: Summary follows\.$/m);
+  assert.match(text, /^\[01:23:47\] Ada \(chat\): Thanks!$/m);
+
+  const json = JSON.parse(exportTranscript(ENTRIES, 'json', options).body);
+  assert.deepEqual(json.entries.map(e => e.timecode), ['00:00:05.000', '01:23:45.678', '01:23:47.000', '01:24:00.000']);
+});
+
+Deno.test("times cues from the first entry when the meeting start is unknown", () => {
+  const cues = buildCues([entry(HOUR_MS, 'Ada', 'Late start'), entry(HOUR_MS + 2000, 'Grace', 'Hello')]);
+  assert.deepEqual(cues.map(cue => [cue.offset_ms, cue.end_ms]), [[0, 1000], [2000, 3000]]);
+});
+
+Deno.test("rejects unknown formats", () => {
+  assert.throws(() => exportTranscript(ENTRIES, 'docx', {}), /Unsupported export format: docx/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Transcript Store Tests
+ * Paging through the KV and memory backends: cursors, a last page that is exactly full, and malformed cursors
+ */
+
+import assert from "node:assert/strict";
+
+const {
+  createKvTranscriptStore,
+  createMemoryTranscriptStore,
+  INVALID_CURSOR_ERROR
+} = await import("../transcript-store.js");
+
+const MEETING_UUID = "store-test-meeting==";
+const BASE_TIME = 1760884200000;
+
+// Helper function to open each backend with its own empty storage
+const BACKENDS = {
+  kv: async () => {
+    const kv = await Deno.openKv(':memory:');
+    return { store: createKvTranscriptStore(kv), close: () => kv.close() };
+  },
+  memory: () => Promise.resolve({ store: createMemoryTranscriptStore(), close: () => {} })
+};
+
+// Helper function to store numbered utterances a second apart
+async function appendUtterances(store, count) {
+  for (let index = 0; index < count; index++) {
+    await store.append(MEETING_UUID, 'utterance', { text: `line ${index}`, timestamp: BASE_TIME + index * 1000 });
+  }
+}
+
+// Helper function to walk every page, returning the texts on each
+async function readPages(store, options = {}) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await store.list(MEETING_UUID, { ...options, cursor });
+    pages.push(page.entries.map(entry => entry.text));
+    cursor = page.next_cursor;
+  } while (cursor && pages.length < 10);
+  return pages;
+}
+
+for (const [backend, open] of Object.entries(BACKENDS)) {
+  Deno.test(`${backend}: pages through entries in order`, async () => {
+    const { store, close } = await open();
+    try {
+      await appendUtterances(store, 5);
+      assert.deepEqual(await readPages(store, { limit: 2 }), [['line 0', 'line 1'], ['line 2', 'line 3'], ['line 4']]);
+      assert.deepEqual(await readPages(store, { limit: 3, reverse: true }), [['line 4', 'line 3', 'line 2'], ['line 1', 'line 0']]);
+    } finally {
+      close();
+    }
+  });
+
+  Deno.test(`${backend}: gives no cursor after a last page that is exactly full`, async () => {
+    const { store, close } = await open();
+    try {
+      await appendUtterances(store, 4);
+      assert.deepEqual(await readPages(store, { limit: 2 }), [['line 0', 'line 1'], ['line 2', 'line 3']]);
+      assert.equal((await store.list(MEETING_UUID, { limit: 4 })).next_cursor, null);
+    } finally {
+      close();
+    }
+  });
+}
+
+Deno.test("kv: rejects a malformed cursor", async () => {
+  const { store, close } = await BACKENDS.kv();
+  try {
+    await appendUtterances(store, 2);
+    await assert.rejects(() => store.list(MEETING_UUID, { cursor: '!!not-a-cursor' }), { message: INVALID_CURSOR_ERROR });
+  } finally {
+    close();
+  }
+});
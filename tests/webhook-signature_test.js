@@ -0,0 +1,75 @@
+/**
+ * Webhook Signature Tests
+ * Replays signed Zoom webhook requests (tests/fixtures/zoom-webhooks.json) through verifyZoomWebhookSignature
+ */
+
+import assert from "node:assert/strict";
+import fixtures from "./fixtures/zoom-webhooks.json" with { type: "json" };
+
+// config.js reads ZOOM_SECRET_TOKEN on import, so the fixture token is set first
+Deno.env.set("ZOOM_SECRET_TOKEN", fixtures.secret_token);
+const { verifyZoomWebhookSignature, createHmacSha256 } = await import("../crypto-utils.js");
+const { WEBHOOK_MAX_SKEW_SECONDS } = await import("../config.js");
+
+// Helper function to turn a fixture's epoch-seconds timestamp into "now" a few seconds after it was sent
+function receivedAt(request, delaySeconds = 2) {
+  return (Number(request.timestamp) + delaySeconds) * 1000;
+}
+
+for (const request of fixtures.requests) {
+  Deno.test(`accepts recorded ${request.event}`, async () => {
+    const result = await verifyZoomWebhookSignature(request.body, request.timestamp, request.signature, receivedAt(request));
+    assert.deepEqual(result, { valid: true, reason: null });
+  });
+
+  Deno.test(`rejects ${request.event} replayed outside the window`, async () => {
+    const result = await verifyZoomWebhookSignature(
+      request.body,
+      request.timestamp,
+      request.signature,
+      receivedAt(request, WEBHOOK_MAX_SKEW_SECONDS + 1)
+    );
+    assert.equal(result.valid, false);
+    assert.match(result.reason, /replay window/);
+  });
+
+  Deno.test(`rejects ${request.event} with a tampered body`, async () => {
+    const tampered = request.body.replace('4444AAAiAAAAAiAiAiiAii==', 'attacker-meeting').replace('qgg8', 'xxxx');
+    const result = await verifyZoomWebhookSignature(tampered, request.timestamp, request.signature, receivedAt(request));
+    assert.deepEqual(result, { valid: false, reason: 'Signature mismatch' });
+  });
+
+  Deno.test(`rejects ${request.event} with its timestamp header changed`, async () => {
+    const shifted = String(Number(request.timestamp) + 1);
+    const result = await verifyZoomWebhookSignature(request.body, shifted, request.signature, receivedAt(request));
+    assert.deepEqual(result, { valid: false, reason: 'Signature mismatch' });
+  });
+}
+
+Deno.test("rejects a signature made with another secret token", async () => {
+  const request = fixtures.requests[1];
+  const forged = `v0=${await createHmacSha256('some-other-token', `v0:${request.timestamp}:${request.body}`)}`;
+  const result = await verifyZoomWebhookSignature(request.body, request.timestamp, forged, receivedAt(request));
+  assert.deepEqual(result, { valid: false, reason: 'Signature mismatch' });
+});
+
+Deno.test("rejects requests without signature headers", async () => {
+  const request = fixtures.requests[1];
+  assert.equal((await verifyZoomWebhookSignature(request.body, request.timestamp, undefined, receivedAt(request))).valid, false);
+  assert.equal((await verifyZoomWebhookSignature(request.body, undefined, request.signature, receivedAt(request))).valid, false);
+  assert.equal((await verifyZoomWebhookSignature(request.body, 'not-a-number', request.signature, receivedAt(request))).valid, false);
+});
+
+Deno.test("tolerates millisecond timestamps", async () => {
+  const request = fixtures.requests[1];
+  const timestamp = String(Number(request.timestamp) * 1000);
+  const signature = `v0=${await createHmacSha256(fixtures.secret_token, `v0:${timestamp}:${request.body}`)}`;
+  const result = await verifyZoomWebhookSignature(request.body, timestamp, signature, receivedAt(request));
+  assert.deepEqual(result, { valid: true, reason: null });
+});
+
+Deno.test("answers the url_validation challenge with Zoom's encrypted token", async () => {
+  const request = fixtures.requests.find(r => r.event === 'endpoint.url_validation');
+  const { payload } = JSON.parse(request.body);
+  assert.equal(await createHmacSha256(fixtures.secret_token, payload.plainToken), request.encrypted_token);
+});
@@ -0,0 +1,120 @@
+/**
+ * Zoom App Context Tests
+ * decryptZoomAppContext against headers sealed in the Zoom client's layout, and meeting membership from the middleware
+ */
+
+import assert from "node:assert/strict";
+
+const CLIENT_SECRET = "fixture_client_secret_0123456789";
+Deno.env.set("ZOOM_CLIENT_SECRET", CLIENT_SECRET);
+const { decryptZoomAppContext, zoomAppContextMiddleware, isMeetingParticipant, zoomUserId } = await import("../zoom-app-context.js");
+const { bytesToBase64 } = await import("../crypto-utils.js");
+
+const NOW = 1760884200000;
+const MEETING_UUID = "4444AAAiAAAAAiAiAiiAii==";
+
+// Helper function to seal a context payload the way the Zoom client does:
+// ivLength || iv || aadLength (LE) || aad || cipherLength (LE) || ciphertext || tag
+async function sealContext(payload, secret = CLIENT_SECRET) {
+  const keyBytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['encrypt']);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const aad = new TextEncoder().encode('zoom-app');
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: aad, tagLength: 128 },
+    key,
+    new TextEncoder().encode(JSON.stringify(payload))
+  ));
+  const ciphertext = sealed.slice(0, -16);
+  const tag = sealed.slice(-16);
+
+  const aadLength = new Uint8Array(2);
+  new DataView(aadLength.buffer).setUint16(0, aad.length, true);
+  const cipherLength = new Uint8Array(4);
+  new DataView(cipherLength.buffer).setInt32(0, ciphertext.length, true);
+
+  const parts = [Uint8Array.of(iv.length), iv, aadLength, aad, cipherLength, ciphertext, tag];
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytesToBase64(bytes);
+}
+
+// Helper function to build a context payload for a user in a meeting
+function contextPayload(overrides = {}) {
+  return {
+    typ: 'meeting',
+    uid: 'KdYKjnimT4KPd8KKdQt9FQ',
+    mid: MEETING_UUID,
+    attendrole: 'host',
+    ts: Math.floor(NOW / 1000) - 60,
+    exp: Math.floor(NOW / 1000) + 3600,
+    ...overrides
+  };
+}
+
+// Helper function to build the bits of a Hono context the middleware and isMeetingParticipant use
+function fakeRequest(headers = {}, userId = null) {
+  const vars = new Map(userId ? [['userId', userId]] : []);
+  return {
+    req: { header: (name) => headers[name] },
+    get: (key) => vars.get(key),
+    set: (key, value) => vars.set(key, value)
+  };
+}
+
+Deno.test("decrypts a valid context", async () => {
+  const context = await decryptZoomAppContext(await sealContext(contextPayload()), CLIENT_SECRET, NOW);
+  assert.deepEqual(context, {
+    type: 'meeting',
+    userId: 'KdYKjnimT4KPd8KKdQt9FQ',
+    meetingUuid: MEETING_UUID,
+    role: 'host',
+    issuedAt: NOW - 60000,
+    expiresAt: NOW + 3600000
+  });
+});
+
+Deno.test("rejects a context with a tampered tag", async () => {
+  const header = await sealContext(contextPayload());
+  const bytes = Uint8Array.from(atob(header), char => char.charCodeAt(0));
+  bytes[bytes.length - 1] ^= 0x01;
+  await assert.rejects(() => decryptZoomAppContext(bytesToBase64(bytes), CLIENT_SECRET, NOW), /failed to decrypt/);
+});
+
+Deno.test("rejects a context sealed with another client secret", async () => {
+  const header = await sealContext(contextPayload(), 'some_other_client_secret');
+  await assert.rejects(() => decryptZoomAppContext(header, CLIENT_SECRET, NOW), /failed to decrypt/);
+});
+
+Deno.test("rejects an expired context", async () => {
+  const header = await sealContext(contextPayload({ exp: Math.floor(NOW / 1000) - 1 }));
+  await assert.rejects(() => decryptZoomAppContext(header, CLIENT_SECRET, NOW), /has expired/);
+});
+
+Deno.test("rejects a truncated context", async () => {
+  const header = await sealContext(contextPayload());
+  const bytes = Uint8Array.from(atob(header), char => char.charCodeAt(0));
+  await assert.rejects(() => decryptZoomAppContext(bytesToBase64(bytes.slice(0, 20)), CLIENT_SECRET, NOW), /truncated/);
+  await assert.rejects(() => decryptZoomAppContext(bytesToBase64(bytes.slice(0, -4)), CLIENT_SECRET, NOW), /malformed auth tag/);
+});
+
+Deno.test("counts a user as a participant of the meetings their app was opened in", async () => {
+  // RTMS knows this user as participant 16778240 - the context only carries their Zoom account id
+  const payload = contextPayload({ uid: 'w8Rz3qLkQ2aP0xYvB1nC7g', exp: Math.floor(Date.now() / 1000) + 3600 });
+  const userId = zoomUserId({ userId: payload.uid });
+  await zoomAppContextMiddleware(fakeRequest({ 'X-Zoom-App-Context': await sealContext(payload) }), () => {});
+  await zoomAppContextMiddleware(
+    fakeRequest({ 'X-Zoom-App-Context': await sealContext({ ...payload, mid: 'next-meeting==' }) }),
+    () => {}
+  );
+
+  // Later requests (fetch, EventSource) carry no header, only the session
+  assert.equal(isMeetingParticipant(fakeRequest({}, userId), MEETING_UUID), true);
+  assert.equal(isMeetingParticipant(fakeRequest({}, userId), 'next-meeting=='), true);
+  assert.equal(isMeetingParticipant(fakeRequest({}, userId), 'someone-elses-meeting=='), false);
+  assert.equal(isMeetingParticipant(fakeRequest({}, 'user_without_zoom'), MEETING_UUID), false);
+});
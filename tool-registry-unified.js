@@ -3,6 +3,8 @@
  * Single source of truth for all tools (MCP and built-in)
  */
 
+import { SALESFORCE_MCP_URL } from "./config.js";
+
 // Import handlers for built-in tools (will be set after export)
 let getWeather, performWebSearch, answerDirectly;
 
@@ -62,13 +64,24 @@ export const UNIFIED_TOOL_REGISTRY = {
     namespace: 'salesforce',
     displayName: '☁️ Salesforce',
     description: 'Complete Salesforce CRM integration - handles ALL sales operations including leads, contacts, accounts, opportunities, tasks, notes, and SOQL queries. This MCP server provides 30+ functions for comprehensive CRM management.',
-    routing_keywords: ['salesforce', 'crm', 'lead', 'leads', 'contact', 'contacts', 'account', 'accounts', 'opportunity', 'opportunities', 'soql', 'query', 'sales', 'SELECT', 'FROM', 'WHERE', 'LIMIT', 'task', 'note', 'convert', 'pipeline', 'deal', 'prospect', 'customer', 'bob', 'jones', 'email', 'send', 'remember', 'remind', 'follow up', 'note about', 'add note'],
+    routing_keywords: ['salesforce', 'crm', 'lead', 'leads', 'contact', 'contacts', 'account', 'accounts', 'opportunity', 'opportunities', 'soql', 'query', 'sales', 'task', 'note', 'convert', 'pipeline', 'deal', 'prospect', 'customer', 'bob', 'jones', 'email', 'send', 'remember', 'remind', 'follow up', 'note about', 'add note'],
+    // Literal SOQL is unambiguous - the keyword pre-router sends it straight to sf_run_soql_query
+    routing_patterns: [
+      {
+        pattern: '\\bselect\\s+(?:count\\(\\)|[a-z_][\\w.]*(?:\\s*,\\s*[a-z_][\\w.]*)*)\\s+from\\s+[a-z_]\\w*(?:\\s+(?:where|order\\s+by|group\\s+by|limit)\\b.*)?',
+        flags: 'i',
+        function: 'sf_run_soql_query',
+        param: 'query'
+      }
+    ],
     trigger_prompt: 'Use this for ANY sales or CRM-related requests. This tool handles: 1) Lead management (create/search/update/convert leads), 2) Account management (companies), 3) Contact management (people), 4) Opportunity management (deals/pipeline), 5) Task management (follow-ups), 6) Note management (conversation logs - use sf_create_note to add notes to contacts/leads), 7) SOQL queries (any SELECT query), 8) General record operations (get/update any record type). IMPORTANT: When users say "add a note to [person]" or "remind me to email [person]", use sf_search_contacts to find the contact, then use sf_create_note to add the note. The MCP server will intelligently select the right function from 30+ available operations.',
     // NEW: Persistent focus/goal feature - stores the current sales focus (e.g., "working on Bob Jones deal ID 00Q...")
     focus_goal: null, // Will be set dynamically when user sets a focus
     server_label: 'Salesforce',
     server_url: '', // Will be set dynamically
     require_approval: 'never',
+    approval_functions: ['sf_create_*', 'sf_update_*', 'sf_delete_*', 'sf_convert_*'], // Writes wait for a person's OK (approvals.js)
+    private_functions: ['sf_set_credentials', 'sf_use_oauth_state', 'sf_debug_credentials'], // Take or echo credentials - never offered to the model
     allowed_tools: null, // null = allow all tools (MCP server has 30+ functions available)
     mcp_functions: [
       // Authentication & Setup
@@ -176,6 +189,9 @@ export const UNIFIED_TOOL_REGISTRY = {
   }
 };
 
+// Tools defined in code above - they can't be replaced or deleted through the tools API
+export const CORE_TOOL_IDS = new Set(Object.keys(UNIFIED_TOOL_REGISTRY));
+
 // Function to set built-in tool handlers after they're defined in main.js
 export function setBuiltinHandlers(handlers) {
   if (handlers.getWeather) UNIFIED_TOOL_REGISTRY.weather.handler = handlers.getWeather;
@@ -183,9 +199,9 @@ export function setBuiltinHandlers(handlers) {
   if (handlers.answerDirectly) UNIFIED_TOOL_REGISTRY.direct_answer.handler = handlers.answerDirectly;
 }
 
-// Function to add tools programmatically to the unified registry
-export function addTool(toolId, config) {
-  UNIFIED_TOOL_REGISTRY[toolId] = {
+// Function to build a registry entry from an addTool-style config (camelCase MCP fields)
+export function createToolConfig(toolId, config) {
+  return {
     id: toolId,
     type: config.type || 'builtin',
     category: config.category || 'general',
@@ -193,7 +209,10 @@ export function addTool(toolId, config) {
     displayName: config.displayName || `⚙️ ${toolId}`,
     description: config.description || `${toolId} tool`,
     routing_keywords: config.routing_keywords || [],
+    routing_patterns: config.routing_patterns || [],
+    trigger_prompt: config.triggerPrompt || config.trigger_prompt || null,
     examples: config.examples || [],
+    auth: config.auth || { type: 'none' },
 
     // MCP-specific fields
     ...(config.type === 'mcp' && {
@@ -201,7 +220,10 @@ export function addTool(toolId, config) {
       server_url: config.serverUrl,
       headers: config.headers || {},
       require_approval: config.requireApproval || 'never',
-      allowed_tools: config.allowedTools || []
+      approval_functions: config.approvalFunctions || [], // Globs like 'sf_delete_*' - see approvals.js
+      private_functions: config.privateFunctions || [], // Functions the model is never offered (credential handling)
+      allowed_tools: config.allowedTools === undefined ? [] : config.allowedTools, // null = allow all
+      mcp_functions: config.mcpFunctions || []
     }),
 
     // Built-in specific fields
@@ -211,6 +233,283 @@ export function addTool(toolId, config) {
   };
 }
 
+// Function to add tools programmatically to the unified registry
+export function addTool(toolId, config) {
+  UNIFIED_TOOL_REGISTRY[toolId] = createToolConfig(toolId, config);
+}
+
+// Request-scoped custom MCP tools (from the frontend "custom tools" panel)
+const MAX_CUSTOM_MCPS = 5;
+const MAX_CUSTOM_MCP_HEADERS = 20;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Helper function to accept headers as [{ name, value }] (panel format) or { name: value }
+function normalizeCustomHeaders(headers, label) {
+  if (headers === undefined || headers === null) return {};
+
+  const entries = Array.isArray(headers)
+    ? headers.map(h => [h?.name, h?.value])
+    : (typeof headers === 'object' ? Object.entries(headers) : null);
+  if (!entries) {
+    throw new Error(`${label}: headers must be an object or a list of { name, value }`);
+  }
+
+  const normalized = {};
+  for (const [name, value] of entries) {
+    // Blank rows left in the panel are ignored
+    if (!name && !value) continue;
+    if (typeof name !== 'string' || !HEADER_NAME_PATTERN.test(name)) {
+      throw new Error(`${label}: invalid header name "${name}"`);
+    }
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+      throw new Error(`${label}: header "${name}" must be a single-line string`);
+    }
+    normalized[name] = value;
+  }
+
+  if (Object.keys(normalized).length > MAX_CUSTOM_MCP_HEADERS) {
+    throw new Error(`${label}: at most ${MAX_CUSTOM_MCP_HEADERS} headers are allowed`);
+  }
+  return normalized;
+}
+
+// Validate custom MCP definitions from a request and turn them into tool configs keyed by id
+// Throws with a user-facing message on the first invalid definition
+export function validateCustomMcps(customMcps) {
+  if (customMcps === undefined || customMcps === null) return {};
+  if (!Array.isArray(customMcps)) {
+    throw new Error('custom_mcps must be a list');
+  }
+  if (customMcps.length > MAX_CUSTOM_MCPS) {
+    throw new Error(`At most ${MAX_CUSTOM_MCPS} custom MCP tools can be used per request`);
+  }
+
+  const tools = {};
+  customMcps.forEach((mcp, index) => {
+    const name = typeof mcp?.name === 'string' ? mcp.name.trim() : '';
+    const label = `Custom MCP #${index + 1}${name ? ` (${name})` : ''}`;
+    if (!name) {
+      throw new Error(`${label}: name is required`);
+    }
+
+    let url;
+    try {
+      url = new URL(mcp.serverUrl || mcp.server_url);
+    } catch {
+      throw new Error(`${label}: serverUrl must be a valid URL`);
+    }
+    if (url.protocol !== 'https:') {
+      throw new Error(`${label}: serverUrl must use https`);
+    }
+
+    // Ids are always derived server-side so a custom tool can never shadow a registry tool
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+    if (!slug) {
+      throw new Error(`${label}: name must contain letters or numbers`);
+    }
+    const toolId = `custom_${slug}`;
+    if (tools[toolId]) {
+      throw new Error(`${label}: duplicate custom tool name`);
+    }
+
+    const description = typeof mcp.description === 'string' && mcp.description.trim()
+      ? mcp.description.trim().slice(0, 500)
+      : 'Custom MCP tool';
+    const trigger = typeof mcp.trigger === 'string' ? mcp.trigger.trim().slice(0, 200) : '';
+
+    tools[toolId] = createToolConfig(toolId, {
+      type: 'mcp',
+      category: 'custom',
+      namespace: 'custom',
+      displayName: `⚙️ ${name}`,
+      description,
+      triggerPrompt: `User-configured MCP server "${name}". Use this when the question matches its description: ${description}`,
+      examples: trigger ? [trigger] : [],
+      serverLabel: toolId,
+      serverUrl: url.toString(),
+      headers: normalizeCustomHeaders(mcp.headers, label),
+      allowedTools: null
+    });
+    tools[toolId].custom = { name };
+  });
+
+  return tools;
+}
+
+// Persisted tool definitions (tools API) - MCP only, since built-in handlers can't be stored
+const TOOL_ID_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const RESERVED_TOOL_IDS = new Set(['registry', 'refresh']);
+const AUTH_TYPES = ['none', 'env_header', 'bearer_token', 'api_key'];
+const APPROVAL_MODES = ['never', 'always'];
+
+// Stored tools may only name env vars with this prefix - otherwise anyone with the admin token could have
+// the app's own secrets (GROQ_API_KEY, ZOOM_CLIENT_SECRET, ...) sent to a server of their choosing
+export const TOOL_SECRET_ENV_PREFIX = 'TOOL_SECRET_';
+
+// Check an auth.env name is one a stored tool is allowed to read
+export function isToolSecretEnv(name) {
+  return typeof name === 'string' && /^TOOL_SECRET_[A-Z0-9_]+$/.test(name);
+}
+
+// Helper function to validate an optional list of short strings
+function validateStringList(value, field, maxItems, maxLength = 200) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim() || item.length > maxLength)) {
+    throw new Error(`${field} must be a list of non-empty strings (max ${maxLength} characters each)`);
+  }
+  if (value.length > maxItems) {
+    throw new Error(`${field} allows at most ${maxItems} entries`);
+  }
+  return value.map(item => item.trim());
+}
+
+// Helper function to validate routing_patterns: [{ pattern, flags, function, param }] with compilable regexes
+function validateRoutingPatterns(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > 10) {
+    throw new Error('routing_patterns must be a list of at most 10 { pattern, flags, function, param } entries');
+  }
+  return value.map((entry, index) => {
+    const pattern = validateString(entry?.pattern, `routing_patterns[${index}].pattern`, 500, true);
+    const flags = validateString(entry.flags, `routing_patterns[${index}].flags`, 4) || '';
+    if (!/^[imsu]*$/.test(flags)) {
+      throw new Error(`routing_patterns[${index}].flags may only contain i, m, s and u`);
+    }
+    try {
+      new RegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`routing_patterns[${index}].pattern is not a valid regular expression: ${error.message}`);
+    }
+    return {
+      pattern,
+      flags,
+      function: validateString(entry.function, `routing_patterns[${index}].function`, 100),
+      param: validateString(entry.param, `routing_patterns[${index}].param`, 100)
+    };
+  });
+}
+
+// Helper function to validate an optional string field
+function validateString(value, field, maxLength, required = false) {
+  if (value === undefined || value === null || value === '') {
+    if (required) throw new Error(`${field} is required`);
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw new Error(`${field} must be a string of at most ${maxLength} characters`);
+  }
+  return value.trim();
+}
+
+// Validate a tool definition from the tools API and return a normalized addTool-style config
+// Auth references environment variables by name so secrets don't have to be stored with the definition
+export function validateToolDefinition(toolId, definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error('Tool definition must be an object');
+  }
+  if (typeof toolId !== 'string' || !TOOL_ID_PATTERN.test(toolId)) {
+    throw new Error('id must be 2-40 characters: lowercase letters, digits and underscores, starting with a letter');
+  }
+  if (toolId.startsWith('custom_') || RESERVED_TOOL_IDS.has(toolId)) {
+    throw new Error(`id "${toolId}" is reserved`);
+  }
+  if ((definition.type || 'mcp') !== 'mcp') {
+    throw new Error('Only MCP tools can be registered through the API');
+  }
+
+  let url;
+  try {
+    url = new URL(definition.serverUrl);
+  } catch {
+    throw new Error('serverUrl must be a valid URL');
+  }
+  // Plain http is only accepted for local servers (e.g. the stub MCP server used in development)
+  const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+    throw new Error('serverUrl must use https');
+  }
+
+  const auth = definition.auth || { type: 'none' };
+  if (!AUTH_TYPES.includes(auth.type)) {
+    throw new Error(`auth.type must be one of ${AUTH_TYPES.join(', ')}`);
+  }
+  if (auth.type !== 'none' && !auth.env) {
+    throw new Error(`auth.env is required for ${auth.type} auth`);
+  }
+  if (auth.env && !isToolSecretEnv(auth.env)) {
+    throw new Error(`auth.env must be an environment variable named ${TOOL_SECRET_ENV_PREFIX}<NAME> (uppercase letters, digits and underscores)`);
+  }
+  if (auth.type === 'env_header' && !auth.header) {
+    throw new Error('auth.header is required for env_header auth');
+  }
+  if (auth.header && !HEADER_NAME_PATTERN.test(auth.header)) {
+    throw new Error(`auth.header "${auth.header}" is not a valid header name`);
+  }
+
+  const requireApproval = definition.requireApproval || 'never';
+  if (!APPROVAL_MODES.includes(requireApproval)) {
+    throw new Error(`requireApproval must be one of ${APPROVAL_MODES.join(', ')}`);
+  }
+
+  const approvalFunctions = validateStringList(definition.approvalFunctions, 'approvalFunctions', 50, 100);
+  if (approvalFunctions.some(glob => !/^[\w.*-]+$/.test(glob))) {
+    throw new Error('approvalFunctions entries may only contain letters, digits, _, ., - and * wildcards');
+  }
+
+  const privateFunctions = validateStringList(definition.privateFunctions, 'privateFunctions', 50, 100);
+  if (privateFunctions.some(name => !/^[\w.-]+$/.test(name))) {
+    throw new Error('privateFunctions entries may only contain letters, digits, _, . and -');
+  }
+
+  const mcpFunctions = definition.mcpFunctions ?? [];
+  if (!Array.isArray(mcpFunctions) || mcpFunctions.some(f => !f || typeof f.name !== 'string' || !f.name)) {
+    throw new Error('mcpFunctions must be a list of { name, description, params }');
+  }
+
+  return {
+    type: 'mcp',
+    category: validateString(definition.category, 'category', 40) || 'custom',
+    namespace: validateString(definition.namespace, 'namespace', 40) || toolId,
+    displayName: validateString(definition.displayName, 'displayName', 80) || `⚙️ ${toolId}`,
+    description: validateString(definition.description, 'description', 1000, true),
+    triggerPrompt: validateString(definition.triggerPrompt, 'triggerPrompt', 2000),
+    routing_keywords: validateStringList(definition.routing_keywords, 'routing_keywords', 50, 100),
+    examples: validateStringList(definition.examples, 'examples', 20),
+    routing_patterns: validateRoutingPatterns(definition.routing_patterns),
+    serverLabel: validateString(definition.serverLabel, 'serverLabel', 64) || toolId,
+    serverUrl: url.toString(),
+    headers: normalizeCustomHeaders(definition.headers, 'headers'),
+    requireApproval,
+    approvalFunctions,
+    privateFunctions,
+    allowedTools: definition.allowedTools == null ? null : validateStringList(definition.allowedTools, 'allowedTools', 100, 100),
+    mcpFunctions: mcpFunctions.slice(0, 100).map(f => ({
+      name: f.name,
+      description: typeof f.description === 'string' ? f.description : '',
+      params: Array.isArray(f.params) ? f.params.filter(p => typeof p === 'string') : []
+    })),
+    auth: {
+      type: auth.type,
+      ...(auth.header && { header: auth.header }),
+      ...(auth.env && { env: auth.env })
+    }
+  };
+}
+
+// Function to remove a programmatically added tool (core tools stay)
+export function removeTool(toolId) {
+  if (CORE_TOOL_IDS.has(toolId)) return false;
+  return delete UNIFIED_TOOL_REGISTRY[toolId];
+}
+
+// Function to get the URL an MCP tool is served from (Salesforce's comes from SALESFORCE_MCP_URL)
+export function resolveServerUrl(tool) {
+  if (tool.id === 'salesforce') {
+    return SALESFORCE_MCP_URL ? `${SALESFORCE_MCP_URL}/mcp` : null;
+  }
+  return tool.server_url || null;
+}
+
 // Function to get all available tools from unified registry
 export function getAvailableTools() {
   return { ...UNIFIED_TOOL_REGISTRY };
@@ -0,0 +1,238 @@
+/**
+ * Tool Store
+ * Persists tool definitions created through the tools API and hot-loads them into the unified registry,
+ * so the router sees new MCP tools without a redeploy
+ *
+ * Backends:
+ * - kv:     Deno KV (default) - shared by every isolate
+ * - memory: per-isolate Map - for tests and local runs without KV
+ */
+
+import { TOOL_STORE, INSTANCE_ID, bc } from "./config.js";
+import {
+  UNIFIED_TOOL_REGISTRY,
+  CORE_TOOL_IDS,
+  addTool,
+  removeTool,
+  validateToolDefinition
+} from "./tool-registry-unified.js";
+import { discoverToolFunctions, forgetToolFunctions, getToolFunctions, getToolDiscovery } from "./mcp-discovery.js";
+
+let activeStore = null;
+
+// Ids of stored tools currently loaded into the registry -> { created_at, updated_at }
+const loadedTools = new Map();
+
+// Deno KV backend - one key per tool: ['tools', id]
+export function createKvToolStore(kv) {
+  return {
+    type: 'kv',
+
+    async list() {
+      const records = [];
+      for await (const entry of kv.list({ prefix: ['tools'] })) {
+        records.push(entry.value);
+      }
+      return records;
+    },
+
+    async get(toolId) {
+      const entry = await kv.get(['tools', toolId]);
+      return entry.value;
+    },
+
+    async put(record) {
+      await kv.set(['tools', record.id], record);
+      return record;
+    },
+
+    async delete(toolId) {
+      await kv.delete(['tools', toolId]);
+    }
+  };
+}
+
+// In-memory backend with the same interface
+export function createMemoryToolStore() {
+  const records = new Map();
+
+  return {
+    type: 'memory',
+    list: () => Promise.resolve([...records.values()]),
+    get: (toolId) => Promise.resolve(records.get(toolId) || null),
+    put: (record) => {
+      records.set(record.id, record);
+      return Promise.resolve(record);
+    },
+    delete: (toolId) => {
+      records.delete(toolId);
+      return Promise.resolve();
+    }
+  };
+}
+
+// Get the configured store (opened lazily; falls back to memory if KV is unavailable)
+export async function getToolStore() {
+  if (activeStore) return activeStore;
+
+  if (TOOL_STORE === 'kv' && typeof Deno.openKv === 'function') {
+    try {
+      activeStore = createKvToolStore(await Deno.openKv());
+      console.log('🧰 Tool store: Deno KV');
+      return activeStore;
+    } catch (error) {
+      console.error('❌ Failed to open Deno KV, falling back to in-memory tool store:', error);
+    }
+  } else if (TOOL_STORE === 'kv') {
+    console.warn('⚠️ Deno KV not available (run with --unstable-kv), falling back to in-memory tool store');
+  }
+
+  activeStore = createMemoryToolStore();
+  console.log('🧰 Tool store: in-memory (tools are lost on restart)');
+  return activeStore;
+}
+
+// Swap the active store (tests, or a custom backend)
+export function setToolStore(store) {
+  activeStore = store;
+}
+
+// Replace the stored tools in the registry with the store's current contents
+export async function reloadStoredTools() {
+  const store = await getToolStore();
+  const records = await store.list();
+  const seen = new Set();
+
+  for (const record of records) {
+    if (CORE_TOOL_IDS.has(record.id)) {
+      console.warn(`⚠️ TOOLS: Ignoring stored tool "${record.id}" - it clashes with a core tool`);
+      continue;
+    }
+    const changed = loadedTools.get(record.id)?.updated_at !== record.updated_at;
+    addTool(record.id, record.definition);
+    loadedTools.set(record.id, { created_at: record.created_at, updated_at: record.updated_at });
+    seen.add(record.id);
+
+    // New or edited tools get their functions discovered right away instead of on the next scheduled refresh
+    if (changed) {
+      discoverToolFunctions(record.id);
+    }
+  }
+
+  for (const toolId of [...loadedTools.keys()]) {
+    if (!seen.has(toolId)) {
+      removeTool(toolId);
+      loadedTools.delete(toolId);
+      forgetToolFunctions(toolId);
+    }
+  }
+
+  console.log(`🧰 TOOLS: Loaded ${seen.size} stored tool(s)`);
+  return seen.size;
+}
+
+// Helper function to tell other isolates to reload their registry
+function publishToolsChanged(toolId, action) {
+  if (bc) {
+    bc.postMessage({ type: 'tools-changed', origin: INSTANCE_ID, payload: { id: toolId, action } });
+  }
+}
+
+// Serializable view of a registry entry - header values and handlers are never returned
+export function describeTool(tool) {
+  const stored = loadedTools.get(tool.id);
+  return {
+    id: tool.id,
+    source: CORE_TOOL_IDS.has(tool.id) ? 'core' : (stored ? 'api' : 'code'),
+    type: tool.type,
+    category: tool.category,
+    namespace: tool.namespace,
+    displayName: tool.displayName,
+    description: tool.description,
+    triggerPrompt: tool.trigger_prompt || null,
+    routing_keywords: tool.routing_keywords || [],
+    routing_patterns: tool.routing_patterns || [],
+    examples: tool.examples || [],
+    ...(tool.type === 'mcp' && {
+      serverLabel: tool.server_label,
+      serverUrl: tool.server_url,
+      headers: Object.keys(tool.headers || {}),
+      requireApproval: tool.require_approval,
+      approvalFunctions: tool.approval_functions || [],
+      privateFunctions: tool.private_functions || [],
+      allowedTools: tool.allowed_tools ?? null,
+      mcpFunctions: getToolFunctions(tool).map(({ input_schema: _schema, ...func }) => func),
+      discovery: getToolDiscovery(tool.id),
+      auth: tool.auth || { type: 'none' }
+    }),
+    created_at: stored?.created_at || null,
+    updated_at: stored?.updated_at || null
+  };
+}
+
+// List every registered tool
+export function listTools() {
+  return Object.values(UNIFIED_TOOL_REGISTRY).map(describeTool);
+}
+
+// Create (create = true) or replace a stored tool; returns { success, tool } or { success: false, status, error }
+export async function saveTool(toolId, definition, { create = false } = {}) {
+  if (CORE_TOOL_IDS.has(toolId)) {
+    return { success: false, status: 403, error: `"${toolId}" is a core tool and can't be changed through the API` };
+  }
+
+  let config;
+  try {
+    config = validateToolDefinition(toolId, definition);
+  } catch (error) {
+    return { success: false, status: 400, error: error.message };
+  }
+
+  const store = await getToolStore();
+  const existing = await store.get(toolId);
+  if (create && (existing || UNIFIED_TOOL_REGISTRY[toolId])) {
+    return { success: false, status: 409, error: `Tool "${toolId}" already exists` };
+  }
+  if (!create && !existing) {
+    return { success: false, status: 404, error: `Tool "${toolId}" not found` };
+  }
+
+  const now = Date.now();
+  const record = {
+    id: toolId,
+    definition: config,
+    created_at: existing?.created_at || now,
+    updated_at: now
+  };
+  await store.put(record);
+
+  addTool(toolId, config);
+  loadedTools.set(toolId, { created_at: record.created_at, updated_at: record.updated_at });
+  forgetToolFunctions(toolId);
+  discoverToolFunctions(toolId);
+  publishToolsChanged(toolId, create ? 'created' : 'updated');
+  console.log(`🧰 TOOLS: ${create ? 'Created' : 'Updated'} "${toolId}" (${config.serverUrl})`);
+
+  return { success: true, tool: describeTool(UNIFIED_TOOL_REGISTRY[toolId]) };
+}
+
+// Delete a stored tool; returns { success } or { success: false, status, error }
+export async function deleteTool(toolId) {
+  if (CORE_TOOL_IDS.has(toolId)) {
+    return { success: false, status: 403, error: `"${toolId}" is a core tool and can't be deleted` };
+  }
+
+  const store = await getToolStore();
+  if (!await store.get(toolId)) {
+    return { success: false, status: 404, error: `Tool "${toolId}" not found` };
+  }
+
+  await store.delete(toolId);
+  removeTool(toolId);
+  loadedTools.delete(toolId);
+  forgetToolFunctions(toolId);
+  publishToolsChanged(toolId, 'deleted');
+  console.log(`🧰 TOOLS: Deleted "${toolId}"`);
+
+  return { success: true };
+}
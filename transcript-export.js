@@ -0,0 +1,182 @@
+/**
+ * Transcript Export
+ * Renders stored meeting entries as WebVTT, SRT, DOCX-friendly Markdown, plain text or JSON
+ * with speaker labels and timecodes relative to the meeting start
+ */
+
+import { normalizeTimestamp } from "./transcript-store.js";
+
+// Supported formats: content type and file extension
+export const EXPORT_FORMATS = {
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Caption timing - estimated reading time when the next cue doesn't bound this one
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 10000;
+const MS_PER_WORD = 400;
+
+// Helper function to format a millisecond offset as HH:MM:SS with the given fraction separator
+function formatTimecode(offsetMs, separator = '.', withMillis = true) {
+  const ms = Math.max(0, Math.round(offsetMs));
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  const base = `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+  return withMillis ? `${base}${separator}${pad(ms % 1000, 3)}` : base;
+}
+
+// Helper function to collapse an entry's text to a single caption-safe line
+function toSingleLine(text) {
+  return String(text || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Helper function to pick the speaker label for an entry
+function speakerLabel(entry) {
+  if (entry.kind === 'ai_response') return entry.user_name || 'Groq AI Assistant';
+  if (entry.kind === 'discovery_insight') return 'Discovery';
+  return entry.user_name || (entry.user_id !== undefined ? `Participant ${entry.user_id}` : 'Unknown speaker');
+}
+
+// Filter and time stored entries into export cues (oldest first)
+export function buildCues(entries, { includeAi = false, includeDiscovery = false, startedAt = null } = {}) {
+  const kinds = new Set(['utterance', 'chat']);
+  if (includeAi) kinds.add('ai_response');
+  if (includeDiscovery) kinds.add('discovery_insight');
+
+  const timed = entries
+    .filter(e => kinds.has(e.kind) && e.data)
+    .map(e => ({ entry: e, at: normalizeTimestamp(e.timestamp) || e.stored_at }))
+    .sort((a, b) => a.at - b.at);
+
+  const start = normalizeTimestamp(startedAt) || timed[0]?.at || Date.now();
+
+  return timed.map(({ entry, at }, index) => {
+    const text = String(entry.data).trim();
+    const offsetMs = Math.max(0, at - start);
+    const words = toSingleLine(text).split(' ').length;
+    let durationMs = Math.min(Math.max(words * MS_PER_WORD, MIN_CUE_MS), MAX_CUE_MS);
+
+    // Don't overlap the next cue
+    const next = timed[index + 1];
+    if (next && next.at - start > offsetMs) {
+      durationMs = Math.min(durationMs, next.at - start - offsetMs);
+    }
+
+    return {
+      index: index + 1,
+      kind: entry.kind,
+      speaker: speakerLabel(entry),
+      user_id: entry.user_id,
+      text,
+      timestamp: at,
+      offset_ms: offsetMs,
+      end_ms: offsetMs + durationMs
+    };
+  });
+}
+
+// Helper function to escape text for WebVTT cue payloads
+function escapeVtt(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function renderVtt(cues) {
+  const blocks = cues.map(cue => [
+    `${formatTimecode(cue.offset_ms)} --> ${formatTimecode(cue.end_ms)}`,
+    `<v ${escapeVtt(cue.speaker)}>${escapeVtt(toSingleLine(cue.text))}`
+  ].join('\n'));
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+}
+
+function renderSrt(cues) {
+  return cues.map(cue => [
+    String(cue.index),
+    `${formatTimecode(cue.offset_ms, ',')} --> ${formatTimecode(cue.end_ms, ',')}`,
+    `${cue.speaker}: ${toSingleLine(cue.text)}`
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+// Markdown kept to headings, bold and blockquotes so it pastes/converts cleanly into Word/Docs
+function renderMarkdown(cues, meta) {
+  const lines = [
+    '# Meeting Transcript',
+    '',
+    `**Meeting:** ${meta.meetingUuid}  `,
+    `**Started:** ${new Date(meta.startedAt).toISOString()}  `,
+    `**Exported:** ${new Date().toISOString()}`,
+    ''
+  ];
+
+  for (const cue of cues) {
+    const time = formatTimecode(cue.offset_ms, '.', false);
+    if (cue.kind === 'ai_response' || cue.kind === 'discovery_insight') {
+      lines.push(`> **[${time}] ${cue.speaker}:**`);
+      lines.push(...cue.text.split('\n').map(line => `> ${line}`));
+    } else {
+      const chat = cue.kind === 'chat' ? ' _(chat)_' : '';
+      lines.push(`**[${time}] ${cue.speaker}:**${chat} ${cue.text}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+function renderText(cues) {
+  return cues.map(cue => {
+    const chat = cue.kind === 'chat' ? ' (chat)' : '';
+    return `[${formatTimecode(cue.offset_ms, '.', false)}] ${cue.speaker}${chat}: ${toSingleLine(cue.text)}`;
+  }).join('\n') + '\n';
+}
+
+function renderJson(cues, meta) {
+  return JSON.stringify({
+    meeting_uuid: meta.meetingUuid,
+    started_at: meta.startedAt,
+    exported_at: Date.now(),
+    entries: cues.map(cue => ({
+      speaker: cue.speaker,
+      user_id: cue.user_id,
+      kind: cue.kind,
+      text: cue.text,
+      timestamp: cue.timestamp,
+      offset_ms: cue.offset_ms,
+      timecode: formatTimecode(cue.offset_ms)
+    }))
+  }, null, 2);
+}
+
+// Render stored entries in the requested format; returns { body, contentType, filename }
+export function exportTranscript(entries, format, { meetingUuid, startedAt, includeAi = false, includeDiscovery = false } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) {
+    throw new Error(`Unsupported export format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const cues = buildCues(entries, { includeAi, includeDiscovery, startedAt });
+  const meta = {
+    meetingUuid,
+    startedAt: normalizeTimestamp(startedAt) || (cues[0] ? cues[0].timestamp : Date.now())
+  };
+
+  const renderers = {
+    vtt: () => renderVtt(cues),
+    srt: () => renderSrt(cues),
+    md: () => renderMarkdown(cues, meta),
+    txt: () => renderText(cues),
+    json: () => renderJson(cues, meta)
+  };
+
+  const safeId = String(meetingUuid || 'meeting').replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 12) || 'meeting';
+  return {
+    body: renderers[format](),
+    contentType: spec.contentType,
+    filename: `meeting-${safeId}.${spec.extension}`
+  };
+}
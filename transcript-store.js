@@ -0,0 +1,257 @@
+/**
+ * Transcript Store
+ * Pluggable, durable storage for everything said or generated in a meeting
+ * (utterances, chat, AI responses, discovery insights), with retention and paging
+ *
+ * Backends:
+ * - kv:     Deno KV (default) - survives isolate restarts, entries expire after TRANSCRIPT_RETENTION_DAYS
+ * - memory: per-isolate Map - for tests and local runs without KV
+ */
+
+import { TRANSCRIPT_STORE, TRANSCRIPT_RETENTION_DAYS } from "./config.js";
+
+// Kinds of entries the store accepts
+export const TRANSCRIPT_KINDS = ['utterance', 'chat', 'ai_response', 'discovery_insight', 'summary'];
+
+// Meeting key used for entries that don't belong to an RTMS meeting (manual input, local testing)
+export const MANUAL_MEETING_ID = 'manual';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Message of the error list() throws for a cursor the backend can't decode (callers answer 400)
+export const INVALID_CURSOR_ERROR = 'Invalid cursor';
+
+let activeStore = null;
+
+// Normalize a timestamp to epoch milliseconds (Zoom sends ms, some payloads use seconds or microseconds)
+export function normalizeTimestamp(timestamp) {
+  const value = Number(timestamp);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  if (value > 1e14) return Math.floor(value / 1000); // microseconds
+  if (value < 1e11) return value * 1000; // seconds
+  return value;
+}
+
+// Helper function to build a sortable, unique entry id (timestamp first so keys order by time)
+function createEntryId(timestamp) {
+  return `${String(timestamp).padStart(15, '0')}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+// Helper function to normalize an entry before it's stored
+function buildEntry(meetingUuid, kind, entry) {
+  if (!TRANSCRIPT_KINDS.includes(kind)) {
+    throw new Error(`Unknown transcript kind: ${kind}`);
+  }
+
+  const timestamp = entry.timestamp || Date.now();
+  return {
+    ...entry,
+    id: createEntryId(normalizeTimestamp(timestamp) || Date.now()),
+    meeting_uuid: meetingUuid || MANUAL_MEETING_ID,
+    kind,
+    timestamp,
+    stored_at: Date.now()
+  };
+}
+
+// Helper function to clamp a requested page size
+function normalizeLimit(limit) {
+  const value = parseInt(limit) || DEFAULT_PAGE_SIZE;
+  return Math.max(1, Math.min(value, MAX_PAGE_SIZE));
+}
+
+// Deno KV-backed store
+// Keys: ['transcripts', meetingUuid, id] and a per-kind index ['transcripts_by_kind', meetingUuid, kind, id]
+export function createKvTranscriptStore(kv, { retentionDays = TRANSCRIPT_RETENTION_DAYS } = {}) {
+  const expireIn = retentionDays > 0 ? retentionDays * 24 * 60 * 60 * 1000 : undefined;
+
+  return {
+    type: 'kv',
+
+    async append(meetingUuid, kind, entry) {
+      const stored = buildEntry(meetingUuid, kind, entry);
+      const options = expireIn ? { expireIn } : undefined;
+
+      const result = await kv.atomic()
+        .set(['transcripts', stored.meeting_uuid, stored.id], stored, options)
+        .set(['transcripts_by_kind', stored.meeting_uuid, kind, stored.id], stored, options)
+        .commit();
+      if (!result.ok) {
+        throw new Error('Failed to persist transcript entry');
+      }
+      return stored;
+    },
+
+    async list(meetingUuid, { cursor, limit, kind, reverse = false } = {}) {
+      const prefix = kind
+        ? ['transcripts_by_kind', meetingUuid, kind]
+        : ['transcripts', meetingUuid];
+      const pageSize = normalizeLimit(limit);
+
+      // Read one entry past the page so a full last page doesn't get a cursor to an empty one
+      const iter = kv.list({ prefix }, { cursor: cursor || undefined, limit: pageSize + 1, reverse });
+      const entries = [];
+      let pageCursor = null;
+      let hasMore = false;
+      try {
+        for await (const item of iter) {
+          if (entries.length === pageSize) {
+            hasMore = true;
+            break;
+          }
+          entries.push(item.value);
+          pageCursor = iter.cursor;
+        }
+      } catch (error) {
+        if (cursor && /invalid cursor/i.test(error.message)) {
+          throw new Error(INVALID_CURSOR_ERROR);
+        }
+        throw error;
+      }
+
+      return {
+        entries,
+        next_cursor: hasMore ? pageCursor : null
+      };
+    },
+
+    async deleteMeeting(meetingUuid) {
+      let deleted = 0;
+      for (const prefix of [['transcripts', meetingUuid], ['transcripts_by_kind', meetingUuid]]) {
+        for await (const item of kv.list({ prefix })) {
+          await kv.delete(item.key);
+          if (prefix[0] === 'transcripts') deleted++;
+        }
+      }
+      return deleted;
+    }
+  };
+}
+
+// In-memory store - same interface as the KV store, retention enforced on read
+export function createMemoryTranscriptStore({ retentionDays = TRANSCRIPT_RETENTION_DAYS } = {}) {
+  const meetings = new Map();
+  const retentionMs = retentionDays > 0 ? retentionDays * 24 * 60 * 60 * 1000 : 0;
+
+  const liveEntries = (meetingUuid) => {
+    const entries = meetings.get(meetingUuid) || [];
+    if (!retentionMs) return entries;
+    const cutoff = Date.now() - retentionMs;
+    const live = entries.filter(e => e.stored_at >= cutoff);
+    if (live.length !== entries.length) {
+      meetings.set(meetingUuid, live);
+    }
+    return live;
+  };
+
+  return {
+    type: 'memory',
+
+    append(meetingUuid, kind, entry) {
+      const stored = buildEntry(meetingUuid, kind, entry);
+      if (!meetings.has(stored.meeting_uuid)) {
+        meetings.set(stored.meeting_uuid, []);
+      }
+      meetings.get(stored.meeting_uuid).push(stored);
+      return Promise.resolve(stored);
+    },
+
+    list(meetingUuid, { cursor, limit, kind, reverse = false } = {}) {
+      let entries = liveEntries(meetingUuid);
+      if (kind) {
+        entries = entries.filter(e => e.kind === kind);
+      }
+      entries = [...entries].sort((a, b) => a.id.localeCompare(b.id));
+      if (reverse) {
+        entries.reverse();
+      }
+
+      // Cursor is the id of the last entry on the previous page
+      if (cursor) {
+        const index = entries.findIndex(e => e.id === cursor);
+        entries = index === -1 ? [] : entries.slice(index + 1);
+      }
+
+      const pageSize = normalizeLimit(limit);
+      const page = entries.slice(0, pageSize);
+      return Promise.resolve({
+        entries: page,
+        next_cursor: entries.length > pageSize ? page[page.length - 1].id : null
+      });
+    },
+
+    deleteMeeting(meetingUuid) {
+      const deleted = (meetings.get(meetingUuid) || []).length;
+      meetings.delete(meetingUuid);
+      return Promise.resolve(deleted);
+    }
+  };
+}
+
+// Get the configured store (opened lazily; falls back to memory if KV is unavailable)
+export async function getTranscriptStore() {
+  if (activeStore) return activeStore;
+
+  if (TRANSCRIPT_STORE === 'kv' && typeof Deno.openKv === 'function') {
+    try {
+      const kv = await Deno.openKv();
+      activeStore = createKvTranscriptStore(kv);
+      console.log(`💾 Transcript store: Deno KV (retention: ${TRANSCRIPT_RETENTION_DAYS} days)`);
+      return activeStore;
+    } catch (error) {
+      console.error('❌ Failed to open Deno KV, falling back to in-memory transcript store:', error);
+    }
+  } else if (TRANSCRIPT_STORE === 'kv') {
+    console.warn('⚠️ Deno KV not available (run with --unstable-kv), falling back to in-memory transcript store');
+  }
+
+  activeStore = createMemoryTranscriptStore();
+  console.log(`💾 Transcript store: in-memory (retention: ${TRANSCRIPT_RETENTION_DAYS} days)`);
+  return activeStore;
+}
+
+// Swap the active store (tests, or a custom backend)
+export function setTranscriptStore(store) {
+  activeStore = store;
+}
+
+// meetingUuid -> writes started by persistTranscript that haven't settled yet
+const pendingWrites = new Map();
+
+// Persist an entry without blocking the caller - storage failures are logged, never thrown
+export function persistTranscript(meetingUuid, kind, entry) {
+  const write = getTranscriptStore()
+    .then(store => store.append(meetingUuid, kind, entry))
+    .catch(error => {
+      console.error(`❌ Failed to persist ${kind} entry:`, error);
+      return null;
+    })
+    .finally(() => {
+      const writes = pendingWrites.get(meetingUuid);
+      writes.delete(write);
+      if (writes.size === 0) pendingWrites.delete(meetingUuid);
+    });
+
+  if (!pendingWrites.has(meetingUuid)) pendingWrites.set(meetingUuid, new Set());
+  pendingWrites.get(meetingUuid).add(write);
+  return write;
+}
+
+// Wait for a meeting's in-flight persistTranscript writes, so a read right after sees them
+export async function flushTranscripts(meetingUuid) {
+  await Promise.all(pendingWrites.get(meetingUuid) || []);
+}
+
+// Read a meeting's full history (oldest first) by walking every page
+export async function listAllTranscripts(meetingUuid, { kind } = {}) {
+  const store = await getTranscriptStore();
+  const entries = [];
+  let cursor = null;
+  do {
+    const page = await store.list(meetingUuid, { cursor, limit: 500, kind });
+    entries.push(...page.entries);
+    cursor = page.next_cursor;
+  } while (cursor);
+  return entries;
+}
@@ -4,12 +4,37 @@
  */
 
 import { generateSignature } from "./crypto-utils.js";
-import { INSTANCE_ID, bc } from "./config.js";
+import {
+  getSubscribedMediaTypes,
+  getMediaTypeMask,
+  getMediaParams,
+  registerMediaHandler,
+  dispatchMediaMessage,
+  MEDIA_MSG_TYPES
+} from "./rtms-media.js";
+import { recordMeetingTranscript } from "./meeting-registry.js";
+import { persistTranscript } from "./transcript-store.js";
+import {
+  INSTANCE_ID,
+  bc,
+  RTMS_RECONNECT_BASE_DELAY_MS,
+  RTMS_RECONNECT_MAX_DELAY_MS,
+  RTMS_RECONNECT_MAX_ATTEMPTS
+} from "./config.js";
 
 // RTMS data structures
 export const activeConnections = new Map();
+// SSE clients: { send, meetingUuid, userId } - meetingUuid null means the client follows all meetings
 export const sseClients = new Set();
 
+// Per-meeting stream state used by the reconnect state machine
+// States: connecting -> connected -> (degraded | reconnecting) -> connected ... -> stopped | failed
+//   degraded     - media socket dropped, signaling still up; reconnecting media only
+//   reconnecting - signaling socket dropped; full re-handshake pending
+//   stopped      - Zoom sent meeting.rtms_stopped (expected close, never reconnect)
+//   failed       - handshake rejected or reconnect attempts exhausted
+const meetingStreams = new Map();
+
 // Store for recent transcripts
 let recentTranscripts = [];
 
@@ -61,6 +86,271 @@ export function getRecentTranscripts() {
   return recentTranscripts;
 }
 
+// Serializable view of a meeting's stream state (for SSE and the status API)
+function describeStream(stream) {
+  return {
+    meeting_uuid: stream.meetingUuid,
+    rtms_stream_id: stream.streamId,
+    state: stream.state,
+    reconnect_attempts: stream.reconnectAttempts,
+    last_error: stream.lastError,
+    media: stream.mediaStats,
+    started_at: stream.startedAt,
+    updated_at: stream.updatedAt
+  };
+}
+
+// Send a meeting-scoped SSE event to clients following that meeting (clients without one get none)
+// Returns the number of clients the event was delivered to
+export function broadcastMeetingEvent(eventName, payload, meetingUuid) {
+  let delivered = 0;
+  for (const client of sseClients) {
+    if (client.meetingUuid !== meetingUuid) continue;
+    try {
+      client.send(`event: ${eventName}\n` + 'data: ' + JSON.stringify(payload) + '\n\n');
+      delivered++;
+    } catch (error) {
+      console.error(`Error broadcasting ${eventName} to SSE client:`, error);
+    }
+  }
+  return delivered;
+}
+
+// Send an SSE event that belongs to one user (their Hey Zoom answers, approvals) to that user's clients only
+// Returns the number of clients the event was delivered to
+export function broadcastUserEvent(eventName, payload, userId) {
+  let delivered = 0;
+  for (const client of sseClients) {
+    if (client.userId !== userId) continue;
+    try {
+      client.send(`event: ${eventName}\n` + 'data: ' + JSON.stringify(payload) + '\n\n');
+      delivered++;
+    } catch (error) {
+      console.error(`Error broadcasting ${eventName} to SSE client:`, error);
+    }
+  }
+  return delivered;
+}
+
+// Helper function to broadcast a meeting stream status change to SSE clients and other isolates
+function broadcastStreamStatus(stream) {
+  const payload = describeStream(stream);
+
+  broadcastMeetingEvent('status', payload, stream.meetingUuid);
+
+  if (bc) {
+    bc.postMessage({ type: 'status', origin: INSTANCE_ID, payload });
+  }
+}
+
+// Helper function to move a meeting stream to a new state
+function setStreamState(meetingUuid, state, lastError = null) {
+  const stream = meetingStreams.get(meetingUuid);
+  if (!stream) return;
+
+  stream.state = state;
+  stream.lastError = lastError;
+  stream.updatedAt = Date.now();
+  console.log(`📶 RTMS: Stream state -> ${state}${lastError ? ` (${lastError})` : ''} - meeting: ${meetingUuid.slice(0, 8)}...`);
+  broadcastStreamStatus(stream);
+}
+
+// Close any sockets still open for a meeting without triggering reconnect logic
+function closeMeetingSockets(meetingUuid) {
+  const connections = activeConnections.get(meetingUuid);
+  if (!connections) return;
+
+  for (const conn of Object.values(connections)) {
+    if (conn && typeof conn.close === 'function') {
+      try {
+        conn.close();
+      } catch {
+        // Socket already closed
+      }
+    }
+  }
+  activeConnections.delete(meetingUuid);
+}
+
+// Exponential backoff with a little jitter so concurrent meetings don't retry in lockstep
+function getReconnectDelay(attempt) {
+  const delay = Math.min(RTMS_RECONNECT_BASE_DELAY_MS * Math.pow(2, attempt - 1), RTMS_RECONNECT_MAX_DELAY_MS);
+  return delay + Math.floor(Math.random() * 250);
+}
+
+// Schedule a reconnect after an unexpected drop; mediaOnly keeps the signaling socket and re-opens media
+function scheduleReconnect(meetingUuid, reason, mediaOnly = false) {
+  const stream = meetingStreams.get(meetingUuid);
+  if (!stream || stream.stopRequested) return;
+
+  if (stream.reconnectTimer) {
+    clearTimeout(stream.reconnectTimer);
+    stream.reconnectTimer = null;
+  }
+
+  stream.reconnectAttempts++;
+  if (stream.reconnectAttempts > RTMS_RECONNECT_MAX_ATTEMPTS) {
+    console.error(`❌ RTMS: Giving up after ${RTMS_RECONNECT_MAX_ATTEMPTS} reconnect attempts - meeting: ${meetingUuid.slice(0, 8)}...`);
+    closeMeetingSockets(meetingUuid);
+    setStreamState(meetingUuid, 'failed', `Reconnect attempts exhausted: ${reason}`);
+    return;
+  }
+
+  const delay = getReconnectDelay(stream.reconnectAttempts);
+  setStreamState(meetingUuid, mediaOnly ? 'degraded' : 'reconnecting', reason);
+  console.log(`🔄 RTMS: ${mediaOnly ? 'Media' : 'Full'} reconnect attempt ${stream.reconnectAttempts}/${RTMS_RECONNECT_MAX_ATTEMPTS} in ${delay}ms - meeting: ${meetingUuid.slice(0, 8)}...`);
+
+  stream.reconnectTimer = setTimeout(() => {
+    stream.reconnectTimer = null;
+    if (stream.stopRequested) return;
+
+    const signaling = activeConnections.get(meetingUuid)?.signaling;
+    if (mediaOnly && stream.mediaUrl && signaling && signaling.readyState === WebSocket.OPEN) {
+      connectToMediaWebSocket(stream.mediaUrl, meetingUuid, stream.streamId, signaling);
+    } else {
+      closeMeetingSockets(meetingUuid);
+      connectToSignalingWebSocket(meetingUuid, stream.streamId, stream.serverUrl);
+    }
+  }, delay);
+}
+
+// Start (or restart) an RTMS stream for a meeting after meeting.rtms_started
+export function startRtmsStream(meetingUuid, streamId, serverUrls) {
+  const serverUrl = resolveWsUrl(serverUrls);
+  if (!serverUrl) {
+    console.error(`❌ RTMS: No signaling server URL for meeting: ${meetingUuid.slice(0, 8)}...`);
+    return;
+  }
+
+  const existing = meetingStreams.get(meetingUuid);
+  if (existing?.reconnectTimer) {
+    clearTimeout(existing.reconnectTimer);
+  }
+  closeMeetingSockets(meetingUuid);
+
+  meetingStreams.set(meetingUuid, {
+    meetingUuid,
+    streamId,
+    serverUrl,
+    mediaUrl: null,
+    state: 'connecting',
+    stopRequested: false,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    lastError: null,
+    mediaStats: {},
+    startedAt: Date.now(),
+    updatedAt: Date.now()
+  });
+  broadcastStreamStatus(meetingStreams.get(meetingUuid));
+
+  connectToSignalingWebSocket(meetingUuid, streamId, serverUrl);
+}
+
+// Stop an RTMS stream after meeting.rtms_stopped - sockets closing after this are expected
+export function stopRtmsStream(meetingUuid) {
+  const stream = meetingStreams.get(meetingUuid);
+  if (stream) {
+    stream.stopRequested = true;
+    if (stream.reconnectTimer) {
+      clearTimeout(stream.reconnectTimer);
+      stream.reconnectTimer = null;
+    }
+  }
+
+  closeMeetingSockets(meetingUuid);
+
+  if (stream) {
+    setStreamState(meetingUuid, 'stopped');
+  }
+}
+
+// Get the stream status for one meeting (null if unknown)
+export function getStreamStatus(meetingUuid) {
+  const stream = meetingStreams.get(meetingUuid);
+  return stream ? describeStream(stream) : null;
+}
+
+// Get stream statuses for all meetings known to this isolate
+export function getAllStreamStatuses() {
+  return Array.from(meetingStreams.values()).map(describeStream);
+}
+
+// Helper function to track per-type media frame counts/bytes for the stream status API
+function recordMediaStats(meetingUuid, msgType, content) {
+  const stream = meetingStreams.get(meetingUuid);
+  if (!stream) return;
+
+  const type = MEDIA_MSG_TYPES[msgType];
+  const stats = stream.mediaStats[type] || (stream.mediaStats[type] = { messages: 0, bytes: 0, last_at: null });
+  stats.messages++;
+  stats.bytes += typeof content?.data === 'string' ? content.data.length : 0;
+  stats.last_at = Date.now();
+}
+
+// Default transcript handler - store for polling and broadcast to the meeting's SSE clients and other isolates
+function handleTranscriptMedia(content, { meetingUuid }) {
+  if (!content.data) return;
+
+  const { user_id, user_name, data, timestamp } = content;
+  console.log(`📝 [ZOOM-WS] Transcript received: ${user_name || 'unknown'} → "${data?.slice(0, 50)}${data?.length > 50 ? '...' : ''}"`);
+
+  // Broadcast to SSE clients (local) and to other isolates via BroadcastChannel
+  try {
+    const payload = {
+      msg_type: 17,
+      meeting_uuid: meetingUuid,
+      content: { user_id, user_name, data, timestamp, meeting_uuid: meetingUuid }
+    };
+    
+    console.log(`📤 [ZOOM-WS] Broadcasting to ${sseClients.size} SSE client(s)`);
+    console.log(`📤 [ZOOM-WS] Payload:`, JSON.stringify(payload));
+    
+    // Store for polling endpoint and the meeting's own transcript buffer
+    addToRecentTranscripts(payload.content);
+    recordMeetingTranscript(meetingUuid, payload.content);
+    persistTranscript(meetingUuid, 'utterance', payload.content);
+    console.log(`💾 [ZOOM-WS] Stored in recent transcripts`);
+    
+    // Local SSE
+    const broadcastCount = broadcastMeetingEvent('transcript', payload, meetingUuid);
+    console.log(`✅ [ZOOM-WS] Broadcast complete: ${broadcastCount}/${sseClients.size} clients`);
+    
+    // Cross-isolate relay
+    if (bc) {
+      bc.postMessage({ type: 'transcript', origin: INSTANCE_ID, payload });
+      console.log(`📡 [ZOOM-WS] Sent via BroadcastChannel`);
+    }
+  } catch (e) {
+    console.error(`❌ [ZOOM-WS] SSE broadcast error:`, e);
+  }
+}
+
+// Default chat handler - broadcast in-meeting chat messages alongside the spoken transcript
+function handleChatMedia(content, { meetingUuid }) {
+  if (!content.data) return;
+
+  const { user_id, user_name, data, timestamp } = content;
+  console.log(`💬 [ZOOM-WS] Chat received: ${user_name || 'unknown'} → "${data.slice(0, 50)}${data.length > 50 ? '...' : ''}"`);
+
+  const payload = {
+    msg_type: 18,
+    meeting_uuid: meetingUuid,
+    content: { user_id, user_name, data, timestamp, meeting_uuid: meetingUuid, source: 'chat' }
+  };
+
+  recordMeetingTranscript(meetingUuid, payload.content);
+  persistTranscript(meetingUuid, 'chat', payload.content);
+  broadcastMeetingEvent('chat', payload, meetingUuid);
+
+  if (bc) {
+    bc.postMessage({ type: 'chat', origin: INSTANCE_ID, payload });
+  }
+}
+
+registerMediaHandler('transcript', handleTranscriptMedia);
+registerMediaHandler('chat', handleChatMedia);
+
 // WebSocket connection functions for RTMS
 export async function connectToSignalingWebSocket(meetingUuid, streamId, serverUrl) {
   const ws = new WebSocket(serverUrl);
@@ -98,12 +388,27 @@ export async function connectToSignalingWebSocket(meetingUuid, streamId, serverU
         const mediaUrl = msg.media_server?.server_urls?.all;
         if (mediaUrl) {
           console.log(`🎯 SIGNALING: Got media server URL, connecting to media WebSocket...`);
+          const stream = meetingStreams.get(meetingUuid);
+          if (stream) {
+            stream.mediaUrl = mediaUrl;
+          }
           connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, ws);
         } else {
           console.warn(`⚠️ SIGNALING: No media URL in handshake response`);
         }
       }
 
+      // Handshake rejected - retrying with the same parameters won't help
+      if (msg.msg_type === 2 && msg.status_code !== 0) {
+        console.error(`❌ SIGNALING: Handshake rejected - status: ${msg.status_code}, reason: ${msg.reason || 'none'}`);
+        const stream = meetingStreams.get(meetingUuid);
+        if (stream) {
+          stream.stopRequested = true;
+        }
+        setStreamState(meetingUuid, 'failed', `Signaling handshake rejected (status ${msg.status_code})`);
+        ws.close();
+      }
+
       // Respond to keep-alive requests
       if (msg.msg_type === 12) { // KEEP_ALIVE_REQ
         console.log(`🔄 SIGNALING: Received keep-alive request - timestamp: ${msg.timestamp}, meeting: ${meetingUuid.slice(0, 8)}...`);
@@ -125,8 +430,15 @@ export async function connectToSignalingWebSocket(meetingUuid, streamId, serverU
 
   ws.onclose = (event) => {
     console.log(`❌ SIGNALING: WebSocket connection closed - code: ${event.code}, reason: ${event.reason || 'none'}, meeting: ${meetingUuid.slice(0, 8)}...`);
-    if (activeConnections.has(meetingUuid)) {
-      delete activeConnections.get(meetingUuid).signaling;
+
+    // Ignore sockets that were already replaced by a reconnect
+    const connections = activeConnections.get(meetingUuid);
+    if (!connections || connections.signaling !== ws) return;
+    delete connections.signaling;
+
+    const stream = meetingStreams.get(meetingUuid);
+    if (stream && !stream.stopRequested) {
+      scheduleReconnect(meetingUuid, `Signaling socket closed (code ${event.code})`);
     }
   };
 }
@@ -142,17 +454,23 @@ export async function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, s
   mediaWs.onopen = async () => {
     console.log(`🔌 MEDIA: WebSocket connection opened - meeting: ${meetingUuid.slice(0, 8)}..., stream: ${streamId}`);
     const signature = await generateSignature(meetingUuid, streamId);
+    const mediaTypes = getSubscribedMediaTypes();
+    const mediaType = getMediaTypeMask(mediaTypes);
     const handshake = {
       msg_type: 3, // DATA_HAND_SHAKE_REQ
       protocol_version: 1,
       meeting_uuid: meetingUuid,
       rtms_stream_id: streamId,
       signature,
-      media_type: 8, // MEDIA_DATA_TRANSCRIPT (same as Node.js version)
+      media_type: mediaType, // Bitmask of subscribed media types (see rtms-media.js)
       payload_encryption: false,
     };
+    const mediaParams = getMediaParams(mediaTypes);
+    if (mediaParams) {
+      handshake.media_params = mediaParams;
+    }
     mediaWs.send(JSON.stringify(handshake));
-    console.log(`📤 MEDIA: Sent handshake request - media_type: 8 (transcript)`);
+    console.log(`📤 MEDIA: Sent handshake request - media_type: ${mediaType} (${mediaTypes.join(', ')})`);
   };
 
   mediaWs.onmessage = async (event) => {
@@ -161,7 +479,7 @@ export async function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, s
 
       // Handle successful media handshake
       if (msg.msg_type === 4 && msg.status_code === 0) { // DATA_HAND_SHAKE_RESP
-        console.log(`✅ MEDIA: Handshake successful - status: ${msg.status_code}, ready to receive transcripts`);
+        console.log(`✅ MEDIA: Handshake successful - status: ${msg.status_code}, ready to receive media`);
         signalingSocket.send(
           JSON.stringify({
             msg_type: 7, // CLIENT_READY_ACK
@@ -169,6 +487,13 @@ export async function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, s
           })
         );
         console.log(`📤 SIGNALING: Sent CLIENT_READY_ACK via signaling socket`);
+
+        // Stream fully (re)established - reset backoff
+        const stream = meetingStreams.get(meetingUuid);
+        if (stream) {
+          stream.reconnectAttempts = 0;
+        }
+        setStreamState(meetingUuid, 'connected');
       }
 
       // Respond to keep-alive requests
@@ -182,46 +507,9 @@ export async function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, s
         console.log(`✅ MEDIA: Sent keep-alive response - timestamp: ${msg.timestamp}`);
       }
 
-      // Handle transcript data
-      if (msg.msg_type === 17 && msg.content && msg.content.data) {
-        let { user_id, user_name, data, timestamp } = msg.content;
-        console.log(`📝 [ZOOM-WS] Transcript received: ${user_name || 'unknown'} → "${data?.slice(0, 50)}${data?.length > 50 ? '...' : ''}"`);
-
-        // Broadcast to SSE clients (local) and to other isolates via BroadcastChannel
-        try {
-          const payload = {
-            msg_type: 17,
-            content: { user_id, user_name, data, timestamp }
-          };
-          
-          console.log(`📤 [ZOOM-WS] Broadcasting to ${sseClients.size} SSE client(s)`);
-          console.log(`📤 [ZOOM-WS] Payload:`, JSON.stringify(payload));
-          
-          // Store for polling endpoint
-          addToRecentTranscripts(payload.content);
-          console.log(`💾 [ZOOM-WS] Stored in recent transcripts`);
-          
-          // Local SSE
-          let broadcastCount = 0;
-          for (const client of sseClients) {
-            try {
-              client.send('event: transcript\n' + 'data: ' + JSON.stringify(payload) + '\n\n');
-              broadcastCount++;
-              console.log(`✅ [ZOOM-WS] Sent to SSE client ${broadcastCount}`);
-            } catch (clientError) {
-              console.error(`❌ [ZOOM-WS] Failed to send to SSE client:`, clientError);
-            }
-          }
-          console.log(`✅ [ZOOM-WS] Broadcast complete: ${broadcastCount}/${sseClients.size} clients`);
-          
-          // Cross-isolate relay
-          if (bc) {
-            bc.postMessage({ type: 'transcript', origin: INSTANCE_ID, payload });
-            console.log(`📡 [ZOOM-WS] Sent via BroadcastChannel`);
-          }
-        } catch (e) {
-          console.error(`❌ [ZOOM-WS] SSE broadcast error:`, e);
-        }
+      // Media data (audio, video, share, transcript, chat) goes to the registered handlers
+      if (await dispatchMediaMessage(msg, meetingUuid, streamId)) {
+        recordMediaStats(meetingUuid, msg.msg_type, msg.content);
       }
 
     } catch (error) {
@@ -236,8 +524,17 @@ export async function connectToMediaWebSocket(mediaUrl, meetingUuid, streamId, s
 
   mediaWs.onclose = (event) => {
     console.log(`❌ MEDIA: WebSocket connection closed - code: ${event.code}, reason: ${event.reason || 'none'}, meeting: ${meetingUuid.slice(0, 8)}...`);
-    if (activeConnections.has(meetingUuid)) {
-      delete activeConnections.get(meetingUuid).media;
+
+    // Ignore sockets that were already replaced by a reconnect
+    const connections = activeConnections.get(meetingUuid);
+    if (!connections || connections.media !== mediaWs) return;
+    delete connections.media;
+
+    const stream = meetingStreams.get(meetingUuid);
+    if (stream && !stream.stopRequested) {
+      // Keep the signaling socket if it's still healthy and only re-open media
+      const signalingOpen = connections.signaling && connections.signaling.readyState === WebSocket.OPEN;
+      scheduleReconnect(meetingUuid, `Media socket closed (code ${event.code})`, signalingOpen);
     }
   };
 }
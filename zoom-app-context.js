@@ -0,0 +1,157 @@
+/**
+ * Zoom App Context
+ * Decrypts the X-Zoom-App-Context header the Zoom client sends when it loads the app, so the server knows
+ * which user and meeting the in-client app is embedded in
+ *
+ * Header layout (base64): ivLength (1 byte) || iv || aadLength (2 bytes LE) || aad ||
+ * cipherLength (4 bytes LE) || ciphertext || 16-byte GCM tag, encrypted with AES-256-GCM under
+ * SHA-256(ZOOM_CLIENT_SECRET). The payload is JSON: { typ, uid, mid, ts, exp, ... }
+ *
+ * The Zoom client only sends the header on page loads, so the last valid context is remembered per user
+ * (identity.js maps the Zoom user to the session) until it expires
+ */
+
+import { ZOOM_CLIENT_SECRET } from "./config.js";
+import { base64ToBytes } from "./crypto-utils.js";
+
+// Real headers are a few hundred characters; anything much longer isn't one
+const MAX_CONTEXT_HEADER_LENGTH = 8192;
+const GCM_TAG_LENGTH = 16;
+
+// userId (identity.js) -> last valid context
+const rememberedContexts = new Map();
+
+// userId -> uuids of the meetings their app has been opened in (most recent last)
+// Context uids are Zoom account ids while RTMS participants carry per-meeting numeric user_ids, so membership is
+// matched on the meeting uuid (context mid = RTMS meeting_uuid), the one id both sides share
+const openedMeetings = new Map();
+const MAX_OPENED_MEETINGS = 50;
+
+// Helper function to split a decoded header into its parts
+function unpackContext(bytes) {
+  let offset = 0;
+  const take = (length) => {
+    if (length < 0 || offset + length > bytes.length) {
+      throw new Error('Zoom App context is truncated');
+    }
+    const part = bytes.slice(offset, offset + length);
+    offset += length;
+    return part;
+  };
+
+  const iv = take(take(1)[0]);
+  const aad = take(new DataView(take(2).buffer).getUint16(0, true));
+  const ciphertext = take(new DataView(take(4).buffer).getInt32(0, true));
+  const tag = bytes.slice(offset);
+  if (tag.length !== GCM_TAG_LENGTH) {
+    throw new Error('Zoom App context has a malformed auth tag');
+  }
+
+  return { iv, aad, ciphertext, tag };
+}
+
+// Helper function to read a timestamp that may be in seconds or milliseconds
+function toMillis(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) return null;
+  return number < 1e12 ? number * 1000 : number;
+}
+
+// Decrypt and validate an X-Zoom-App-Context header
+// Returns { type, userId, meetingUuid, role, issuedAt, expiresAt }; throws when it can't be trusted
+export async function decryptZoomAppContext(header, secret = ZOOM_CLIENT_SECRET, now = Date.now()) {
+  if (!secret) {
+    throw new Error('ZOOM_CLIENT_SECRET is required to decrypt the Zoom App context');
+  }
+  if (typeof header !== 'string' || !header || header.length > MAX_CONTEXT_HEADER_LENGTH) {
+    throw new Error('Missing or oversized Zoom App context');
+  }
+
+  const { iv, aad, ciphertext, tag } = unpackContext(base64ToBytes(header.trim()));
+  const keyBytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+  const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'AES-GCM' }, false, ['decrypt']);
+
+  let plaintext;
+  try {
+    const sealed = new Uint8Array(ciphertext.length + tag.length);
+    sealed.set(ciphertext);
+    sealed.set(tag, ciphertext.length);
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv, additionalData: aad, tagLength: 128 }, key, sealed);
+  } catch {
+    throw new Error('Zoom App context failed to decrypt (wrong client secret or tampered header)');
+  }
+
+  const payload = JSON.parse(new TextDecoder().decode(plaintext));
+  const expiresAt = toMillis(payload.exp);
+  if (!expiresAt || expiresAt <= now) {
+    throw new Error('Zoom App context has expired');
+  }
+  if (!payload.uid) {
+    throw new Error('Zoom App context has no user id');
+  }
+
+  return {
+    type: payload.typ || null,
+    userId: String(payload.uid),
+    meetingUuid: payload.mid || null,
+    role: payload.role ?? payload.attendrole ?? null, // Webinar contexts report attendrole
+    issuedAt: toMillis(payload.ts),
+    expiresAt
+  };
+}
+
+// Session user id for a Zoom user (identity.js)
+export function zoomUserId(context) {
+  return `zoom_${context.userId}`;
+}
+
+// Helper function to remember a user's latest context and the meeting it was opened in
+function rememberContext(context) {
+  const userId = zoomUserId(context);
+  rememberedContexts.set(userId, context);
+  if (!context.meetingUuid) return;
+
+  const meetings = openedMeetings.get(userId) || new Set();
+  meetings.delete(context.meetingUuid);
+  meetings.add(context.meetingUuid);
+  if (meetings.size > MAX_OPENED_MEETINGS) {
+    meetings.delete(meetings.values().next().value);
+  }
+  openedMeetings.set(userId, meetings);
+}
+
+// Middleware: decrypt the header when present and expose it as c.get('zoomContext') (null when absent or invalid)
+// Must run before identityMiddleware, which signs the Zoom user into the session
+export async function zoomAppContextMiddleware(c, next) {
+  const header = c.req.header('X-Zoom-App-Context');
+  let context = null;
+
+  if (header) {
+    try {
+      context = await decryptZoomAppContext(header);
+      rememberContext(context);
+    } catch (error) {
+      console.warn(`⚠️ Ignoring X-Zoom-App-Context: ${error.message}`);
+    }
+  }
+
+  c.set('zoomContext', context);
+  return next();
+}
+
+// The Zoom App context for this request: its own header, or the last one the session user's app sent
+export function getZoomContext(c) {
+  const context = c.get('zoomContext') || rememberedContexts.get(c.get('userId'));
+  if (context && context.expiresAt <= Date.now()) {
+    rememberedContexts.delete(c.get('userId'));
+    return null;
+  }
+  return context || null;
+}
+
+// Check the session user took part in a meeting - their in-client app is, or has been, open in it
+export function isMeetingParticipant(c, meetingUuid) {
+  if (!meetingUuid) return false;
+  if (getZoomContext(c)?.meetingUuid === meetingUuid) return true;
+  return openedMeetings.get(c.get('userId'))?.has(meetingUuid) || false;
+}